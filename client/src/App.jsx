@@ -1,14 +1,91 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import BookingPreview from './components/BookingPreview';
+import StationAdmin from './components/StationAdmin';
+import UserAdmin from './components/UserAdmin';
+import CustomerAdmin from './components/CustomerAdmin';
+import CashUp from './components/CashUp';
+import NotificationLog from './components/NotificationLog';
+import Analytics from './components/Analytics';
+import DataTransfer from './components/DataTransfer';
+import ManageBooking from './components/ManageBooking';
+import Login from './components/Login';
+import { getUser, hasRole, clearSession, currentBranch, pagePath, branchPath } from './api';
+
+// The server sends index.html for every non-API path, so pages are picked by pathname,
+// after the /b/<slug> branch prefix (see api.js).
+// Pages with a role are only listed for (and reachable by) staff with that role.
+const PAGES = [
+  { path: '/', label: 'Bookings', component: BookingPreview },
+  { path: '/manage', label: 'My Booking', component: ManageBooking },
+  { path: '/admin/stations', label: 'Stations', component: StationAdmin, role: 'staff' },
+  { path: '/admin/customers', label: 'Customers', component: CustomerAdmin, role: 'staff' },
+  { path: '/admin/cash-up', label: 'Cash-up', component: CashUp, role: 'staff' },
+  { path: '/admin/messages', label: 'Messages', component: NotificationLog, role: 'staff' },
+  { path: '/admin/analytics', label: 'Analytics', component: Analytics, role: 'owner' },
+  { path: '/admin/data', label: 'Import / Export', component: DataTransfer, role: 'staff' },
+  { path: '/admin/users', label: 'Staff', component: UserAdmin, role: 'owner' }
+];
+
+const LOGIN_PAGE = { path: '/login', component: Login };
 
 export default function App(){
+  const user = getUser();
+  const [branches, setBranches] = useState([]);
+  const pages = PAGES.filter(p => !p.role || hasRole(p.role));
+  const path = pagePath();
+  const page = path === LOGIN_PAGE.path
+    ? LOGIN_PAGE
+    : pages.find(p => p.path === path) || (user ? pages[0] : LOGIN_PAGE);
+  const Page = page.component;
+
+  // Without a slug in the address the first branch is shown
+  const slug = currentBranch();
+  const branch = slug ? branches.find(b => b.slug === slug) : branches[0];
+
+  useEffect(() => {
+    fetch('/api/branches')
+      .then(res => (res.ok ? res.json() : []))
+      .then(setBranches)
+      .catch(() => setBranches([]));
+  }, []);
+
+  // Staff tied to a branch work at their own
+  useEffect(() => {
+    if (!user || !user.branch_id || !branch || branch.id === user.branch_id) return;
+    const own = branches.find(b => b.id === user.branch_id);
+    if (own) window.location.replace(branchPath(path, own.slug));
+  }, [branches]);
+
+  function switchBranch(e){
+    window.location.href = branchPath(path, e.target.value);
+  }
+
+  function signOut(){
+    clearSession();
+    window.location.href = branchPath('/');
+  }
+
   return (
     <div className="container">
       <div className="header">
         <div className="logo">One More Game</div>
-        <div className="small">Gaming Cafe Booking</div>
+        <div className="nav">
+          {pages.map(p => (
+            <a key={p.path} href={branchPath(p.path)} className={p === page ? 'active' : ''}>{p.label}</a>
+          ))}
+          {user
+            ? <a href={branchPath('/')} onClick={e => { e.preventDefault(); signOut(); }}>Sign out ({user.username})</a>
+            : <a href={branchPath(LOGIN_PAGE.path)} className={page === LOGIN_PAGE ? 'active' : ''}>Staff sign in</a>}
+        </div>
+        {branches.length > 1 && branch && !(user && user.branch_id) ? (
+          <select className="form-input" style={{ width: 'auto', marginBottom: 0, color: '#000' }} value={branch.slug} onChange={switchBranch}>
+            {branches.map(b => <option key={b.id} value={b.slug}>{b.name}</option>)}
+          </select>
+        ) : (
+          <div className="small">{branch && branches.length > 1 ? branch.name : 'Gaming Cafe Booking'}</div>
+        )}
       </div>
-      <BookingPreview />
+      <Page />
     </div>
   );
 }
@@ -0,0 +1,93 @@
+// Staff session kept in localStorage: the signed token from /api/auth/login
+// and the user it belongs to. Without one the app runs as the public.
+const SESSION_KEY = "omg_session";
+
+export function getSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function getUser() {
+  const session = getSession();
+  return session ? session.user : null;
+}
+
+export function hasRole(role) {
+  const user = getUser();
+  if (!user) return false;
+  return role === "staff" || user.role === role;
+}
+
+export function setSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// A branch's pages live under /b/<slug>, e.g. /b/north/admin/stations.
+// Without a slug the app (and the API) work on the first branch.
+const BRANCH_PATH = /^\/b\/([a-z0-9-]+)(\/.*)?$/;
+
+// The slug of the branch in the address bar, or null for the first branch
+export function currentBranch() {
+  const match = window.location.pathname.match(BRANCH_PATH);
+  return match ? match[1] : null;
+}
+
+// The page path without the branch prefix
+export function pagePath() {
+  const match = window.location.pathname.match(BRANCH_PATH);
+  return match ? match[2] || "/" : window.location.pathname;
+}
+
+// A page path within a branch, by default the current one
+export function branchPath(path, slug = currentBranch()) {
+  if (!slug) return path;
+  return `/b/${slug}${path === "/" ? "" : path}`;
+}
+
+// An /api/... URL for the current branch: /api/b/<slug>/...
+export function apiUrl(url) {
+  const slug = currentBranch();
+  return slug && url.startsWith("/api/") ? `/api/b/${slug}/${url.slice(5)}` : url;
+}
+
+// fetch() for the current branch with the staff token attached. An expired
+// or revoked token signs the user out so the app falls back to the public view.
+export async function apiFetch(url, options = {}) {
+  const session = getSession();
+  const headers = { ...options.headers };
+  if (session) headers.Authorization = `Bearer ${session.token}`;
+
+  const res = await fetch(apiUrl(url), { ...options, headers });
+  if (res.status === 401 && session) {
+    clearSession();
+    window.location.href = branchPath("/login");
+  }
+  return res;
+}
+
+// EventSource for the current branch's live change stream. It can't send
+// headers, so the token goes in the query string.
+export function openEventStream() {
+  const session = getSession();
+  const query = session ? `?access_token=${encodeURIComponent(session.token)}` : "";
+  return new EventSource(apiUrl(`/api/events${query}`));
+}
+
+// Field-level problems from an error response ({ error, code, errors: [{ path,
+// message }] }) as { field: message }, keyed by the top-level field so
+// "station_ids[1]" counts against station_ids. The first problem per field wins.
+export function fieldErrors(result) {
+  const errors = {};
+  for (const problem of (result && result.errors) || []) {
+    const key = String(problem.path || "").split(/[.[]/)[0];
+    if (key && !errors[key]) errors[key] = problem.message;
+  }
+  return errors;
+}
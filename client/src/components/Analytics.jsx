@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from "react";
+import { apiFetch } from "../api";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const EXPORTS = [
+  { section: "revenue", label: "Revenue" },
+  { section: "stations", label: "Stations" },
+  { section: "station_types", label: "Types" },
+  { section: "peak_hours", label: "Peak hours" },
+];
+
+function UtilisationTable({ rows, nameOf }) {
+  return (
+    <table className="table">
+      <thead>
+        <tr>
+          <th>Name</th>
+          <th>Bookings</th>
+          <th>Hours</th>
+          <th>Utilisation</th>
+          <th>Revenue</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={nameOf(row)}>
+            <td>{nameOf(row)}</td>
+            <td>{row.bookings}</td>
+            <td>
+              {row.hours_played} / {row.open_hours}
+            </td>
+            <td>{row.utilisation_percent}%</td>
+            <td>₹{row.revenue}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Owner's dashboard: revenue over time, how busy each station and type is,
+// when the cafe is busiest and how many customers come back
+export default function Analytics() {
+  const [range, setRange] = useState({ from: "", to: "", group_by: "day" });
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadReport();
+  }, [range]);
+
+  function query(extra = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...range, ...extra })) {
+      if (value) params.set(key, value);
+    }
+    return params.toString();
+  }
+
+  async function loadReport() {
+    try {
+      const res = await apiFetch(`/api/reports/analytics?${query()}`);
+      const data = await res.json();
+      setReport(res.ok ? data : null);
+      setError(res.ok ? null : data.error);
+    } catch (err) {
+      console.error("Failed to load analytics:", err);
+      setError("Failed to load analytics");
+    }
+  }
+
+  // The download needs the staff token, so it can't be a plain link
+  async function download(section) {
+    const res = await apiFetch(`/api/reports/analytics?${query({ format: "csv", section })}`);
+    if (!res.ok) {
+      alert((await res.json()).error);
+      return;
+    }
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${section}-${report.from}-to-${report.to}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  const maxRevenue = report ? Math.max(1, ...report.revenue.map((r) => r.revenue)) : 1;
+  const maxPeak = report ? Math.max(0.01, ...report.peak_hours.flat()) : 1;
+
+  return (
+    <div>
+      <div className="card">
+        <h2>Analytics</h2>
+        <div style={{ display: "flex", gap: "8px", flexWrap: "wrap" }}>
+          <input
+            type="date"
+            className="form-input"
+            value={range.from || (report ? report.from : "")}
+            onChange={(e) => setRange({ ...range, from: e.target.value })}
+          />
+          <input
+            type="date"
+            className="form-input"
+            value={range.to || (report ? report.to : "")}
+            onChange={(e) => setRange({ ...range, to: e.target.value })}
+          />
+          <select
+            className="form-input"
+            style={{ color: "#000" }}
+            value={range.group_by}
+            onChange={(e) => setRange({ ...range, group_by: e.target.value })}
+          >
+            <option value="day">Per day</option>
+            <option value="week">Per week</option>
+            <option value="month">Per month</option>
+          </select>
+        </div>
+        {error && <div className="small">Error: {error}</div>}
+        {report && (
+          <>
+            <div className="small" style={{ margin: "8px 0" }}>
+              ₹{report.summary.revenue} from {report.summary.bookings} completed bookings ·{" "}
+              {report.summary.hours_played}h played · average session {report.summary.average_session_minutes}m ·{" "}
+              {report.summary.utilisation_percent}% utilisation · {report.summary.repeat_customers} of{" "}
+              {report.summary.customers} customers came back ({report.summary.repeat_customer_rate_percent}%)
+            </div>
+            <div>
+              Export CSV:{" "}
+              {EXPORTS.map((e) => (
+                <button key={e.section} className="btn" onClick={() => download(e.section)} style={{ marginRight: "8px" }}>
+                  {e.label}
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      {report && (
+        <div className="grid" style={{ marginTop: 16 }}>
+          <div className="card">
+            <h3>Revenue</h3>
+            {report.revenue.map((r) => (
+              <div key={r.period} className="small" style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+                <span style={{ width: "90px", flexShrink: 0 }}>{r.period}</span>
+                <div
+                  style={{
+                    height: "10px",
+                    width: `${(r.revenue / maxRevenue) * 100}%`,
+                    background: "green",
+                  }}
+                />
+                <span>₹{r.revenue}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="card">
+            <h3>Stations</h3>
+            <UtilisationTable rows={report.stations} nameOf={(row) => row.station_name} />
+            <h3>Types</h3>
+            <UtilisationTable rows={report.station_types} nameOf={(row) => row.station_type} />
+          </div>
+
+          <div className="card">
+            <h3>Peak hours</h3>
+            <div className="small">Station-hours played in each hour ({report.timezone})</div>
+            <table style={{ borderCollapse: "collapse" }}>
+              <tbody>
+                {report.peak_hours.map((hours, weekday) => (
+                  <tr key={weekday}>
+                    <td className="small" style={{ paddingRight: "6px" }}>
+                      {WEEKDAYS[weekday]}
+                    </td>
+                    {hours.map((value, hour) => (
+                      <td
+                        key={hour}
+                        title={`${WEEKDAYS[weekday]} ${hour}:00 - ${value}h`}
+                        style={{
+                          width: "14px",
+                          height: "14px",
+                          background: `rgba(255, 140, 0, ${value / maxPeak})`,
+                          border: "1px solid #333",
+                        }}
+                      />
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from "react";
+import { apiUrl } from "../api";
+
+const SLOT_MINUTES = 15;
+const HOUR_MARKS = [0, 3, 6, 9, 12, 15, 18, 21];
+
+// Day view of every station's bookings. Clicking free space picks that
+// station and time (rounded down to 15 minutes) through onPick.
+export default function AvailabilityTimeline({ onPick, refreshKey }) {
+  const [date, setDate] = useState("");
+  const [timeline, setTimeline] = useState(null);
+
+  useEffect(() => {
+    loadTimeline(date);
+  }, [date, refreshKey]);
+
+  async function loadTimeline(day) {
+    try {
+      const res = await fetch(apiUrl(`/api/stations/timeline${day ? `?date=${day}` : ""}`));
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setTimeline(data);
+      if (!day) setDate(data.date);
+    } catch (err) {
+      console.error("Failed to load timeline:", err);
+    }
+  }
+
+  if (!timeline) return <div className="small">Loading...</div>;
+
+  const dayStart = new Date(timeline.day_starts_at).getTime();
+  const dayLength = new Date(timeline.day_ends_at).getTime() - dayStart;
+  const percent = (iso) => ((new Date(iso).getTime() - dayStart) / dayLength) * 100;
+  const clock = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timeline.timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+
+  function handleClick(e, station) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const slotMs = SLOT_MINUTES * 60000;
+    const at = dayStart + ((e.clientX - rect.left) / rect.width) * dayLength;
+    const instant = Math.floor(at / slotMs) * slotMs;
+
+    const free = station.free.some(
+      (f) => instant >= new Date(f.starts_at).getTime() && instant < new Date(f.ends_at).getTime()
+    );
+    if (!free) return;
+    onPick({ stationId: station.id, date: timeline.date, time: clock.format(new Date(instant)) });
+  }
+
+  return (
+    <div>
+      <input
+        type="date"
+        className="form-input"
+        value={date}
+        onChange={(e) => setDate(e.target.value)}
+        style={{ color: "#000", maxWidth: "200px" }}
+      />
+      <div style={{ display: "flex", marginLeft: "110px", position: "relative", height: "16px" }}>
+        {HOUR_MARKS.map((hour) => (
+          <span key={hour} className="small" style={{ position: "absolute", left: `${(hour / 24) * 100}%` }}>
+            {String(hour).padStart(2, "0")}:00
+          </span>
+        ))}
+      </div>
+      {timeline.stations.map((s) => (
+        <div key={s.id} style={{ display: "flex", alignItems: "center", marginBottom: "6px" }}>
+          <div className="small" style={{ width: "110px", flexShrink: 0 }}>
+            {s.station_name}
+          </div>
+          <div
+            onClick={(e) => handleClick(e, s)}
+            title="Click a free slot to book it"
+            style={{
+              position: "relative",
+              flex: 1,
+              height: "24px",
+              borderRadius: "4px",
+              backgroundColor: "#333",
+              cursor: "pointer",
+              overflow: "hidden",
+            }}
+          >
+            {s.free.map((f) => (
+              <div
+                key={f.starts_at}
+                style={{
+                  position: "absolute",
+                  top: 0,
+                  bottom: 0,
+                  left: `${percent(f.starts_at)}%`,
+                  width: `${percent(f.ends_at) - percent(f.starts_at)}%`,
+                  backgroundColor: "#00AA0040",
+                }}
+              />
+            ))}
+            {s.busy.map((b) => (
+              <div
+                key={b.starts_at}
+                title={`Booked ${b.start_time}-${b.end_time}`}
+                style={{
+                  position: "absolute",
+                  top: 0,
+                  bottom: 0,
+                  left: `${percent(b.starts_at)}%`,
+                  width: `${percent(b.ends_at) - percent(b.starts_at)}%`,
+                  backgroundColor: "#FF0000",
+                }}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,24 +1,125 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
+import { apiFetch, apiUrl, hasRole, openEventStream, fieldErrors } from "../api";
+import AvailabilityTimeline from "./AvailabilityTimeline";
+import WaitlistPanel from "./WaitlistPanel";
+import { computeStationStatus } from "../stationStatus";
+
+const STATUS_COLORS = {
+  confirmed: "orange",
+  completed: "green",
+  cancelled: "#666",
+  no_show: "#FF0000",
+};
+
+const PAYMENT_COLORS = {
+  paid: "green",
+  partial: "orange",
+  unpaid: "#FF0000",
+};
+
+// Same rule as the server: payments and discounts against the price
+function paymentStatus(b) {
+  const settled = (b.amount_paid || 0) + (b.discount_amount || 0);
+  if (settled >= (b.total_price || 0)) return "paid";
+  return settled > 0 ? "partial" : "unpaid";
+}
+
+// Which form input each booking field the server checks belongs to
+const FORM_FIELDS = {
+  user_name: "name",
+  contact: "contact",
+  email: "email",
+  station_id: "station",
+  station_ids: "station",
+  redeem_points: "redeem_points",
+  pay_from_wallet: "pay_from_wallet",
+  booking_date: "datetime",
+  start_time: "datetime",
+  starts_at: "datetime",
+  duration_hours: "duration",
+  end_time: "duration",
+  ends_at: "duration",
+};
+
+function FieldError({ message }) {
+  if (!message) return null;
+  return (
+    <div className="small" style={{ color: "#FF6B6B", margin: "-8px 0 12px" }}>
+      {message}
+    </div>
+  );
+}
+
+// The outcome of the latest staff action, shown next to the booking it was on
+function ActionStatus({ status, bookingId }) {
+  if (!status || status.bookingId !== bookingId) return null;
+  return (
+    <div className="small" style={{ color: status.error ? "#FF6B6B" : "green", marginTop: "6px", whiteSpace: "normal" }}>
+      {status.message}
+    </div>
+  );
+}
+
+// Quick extensions offered on a running session's card
+const EXTEND_OPTIONS = [
+  { minutes: 30, label: "+30m" },
+  { minutes: 60, label: "+1h" },
+];
 
 export default function BookingPreview() {
   const [bookings, setBookings] = useState([]);
   const [stations, setStations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [lastUpdate, setLastUpdate] = useState(new Date());
+  const [now, setNow] = useState(new Date());
+  const [quote, setQuote] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [seated, setSeated] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [member, setMember] = useState(null);
+  // Problems with the booking form, per input, plus the latest outcome
+  const [formErrors, setFormErrors] = useState({});
+  const [formStatus, setFormStatus] = useState(null);
+  // { bookingId, error, message } for the latest action on a booking
+  const [actionStatus, setActionStatus] = useState(null);
+  const quoteRequest = useRef(0);
+  const formRef = useRef(null);
+  // The public see anonymised bookings (which stations are taken, not by whom);
+  // staff see customers and can act on bookings
+  const isStaff = hasRole("staff");
 
   useEffect(() => {
     refreshData();
 
-    // auto-refresh every 30 seconds
-    const intervalId = setInterval(refreshData, 30000);
+    // The server pushes every booking and station change. After a dropped
+    // connection reload everything, in case changes were missed meanwhile.
+    const stream = openEventStream();
+    let connectedBefore = false;
+    stream.onopen = () => {
+      if (connectedBefore) refreshData();
+      connectedBefore = true;
+    };
+    stream.addEventListener("booking", (e) => {
+      upsertBooking(JSON.parse(e.data));
+      setLastUpdate(new Date());
+    });
+    stream.addEventListener("station", () => {
+      loadStations();
+      setLastUpdate(new Date());
+    });
+    stream.addEventListener("waitlist", (e) => {
+      const entry = JSON.parse(e.data);
+      if (entry.status === "seated") setSeated(entry);
+      setLastUpdate(new Date());
+    });
 
-    // trigger countdown updates every 30s
+    // countdowns tick every second
     const localTimer = setInterval(() => {
-      setLastUpdate(new Date());
-    }, 30000);
+      setNow(new Date());
+    }, 1000);
 
     return () => {
-      clearInterval(intervalId);
+      stream.close();
       clearInterval(localTimer);
     };
   }, []);
@@ -28,9 +129,19 @@ export default function BookingPreview() {
     setLastUpdate(new Date());
   }
 
+  function upsertBooking(booking) {
+    setBookings((current) => {
+      const index = current.findIndex((b) => b.id === booking.id);
+      if (index === -1) return [...current, booking];
+      const next = [...current];
+      next[index] = booking;
+      return next;
+    });
+  }
+
   async function loadStations() {
     try {
-      const res = await fetch("/api/stations");
+      const res = await apiFetch("/api/stations");
       const data = await res.json();
       setStations(data);
     } catch (err) {
@@ -41,7 +152,7 @@ export default function BookingPreview() {
 
   async function loadBookings() {
     try {
-      const res = await fetch("/api/bookings");
+      const res = await apiFetch("/api/bookings");
       const data = await res.json();
       setBookings(data);
       setLoading(false);
@@ -52,132 +163,356 @@ export default function BookingPreview() {
     }
   }
 
+  // Read the form fields the quote and the booking both need
+  function readBookingFields(form) {
+    const stationIds = Array.from(
+      form.querySelectorAll('input[name="station"]:checked')
+    ).map((checkbox) => parseInt(checkbox.value, 10));
+    const [durationHours, durationMinutes] = (form.duration.value || "0:0")
+      .split(":")
+      .map(Number);
+    // The picker gives wall-clock "YYYY-MM-DDTHH:MM"; the server reads it in the branch's timezone
+    const [bookingDate, startTime] = form.datetime.value.split("T");
+
+    return {
+      stationIds,
+      totalHours: durationHours + durationMinutes / 60,
+      bookingDate,
+      startTime,
+      redeemPoints: form.redeem_points ? parseInt(form.redeem_points.value, 10) || 0 : 0,
+    };
+  }
+
+  // Returning customers are recognised by their number: staff get matching
+  // customers to pick from, with their points and wallet
+  async function lookUpCustomer(form) {
+    if (!isStaff) return;
+    const phone = form.contact.value.replace(/[^0-9+]/g, "");
+    try {
+      let found = [];
+      if (phone.length >= 3) {
+        const res = await apiFetch(`/api/customers?search=${encodeURIComponent(phone)}`);
+        if (res.ok) found = await res.json();
+      }
+      setMatches(found);
+      const exact = found.find((c) => c.phone === phone);
+      if (exact && !form.name.value) form.name.value = exact.name;
+      setMember(exact || null);
+    } catch (err) {
+      console.error("Failed to look up customer:", err);
+    }
+  }
+
+  // Ask the server for the price of the current selection whenever the form changes
+  async function updateQuote(form) {
+    const { stationIds, totalHours, bookingDate, startTime, redeemPoints } = readBookingFields(form);
+    const requestId = ++quoteRequest.current;
+
+    if (stationIds.length === 0 || !bookingDate || !startTime || totalHours <= 0) {
+      setQuote(null);
+      return;
+    }
+
+    try {
+      // All selected stations are priced together, as they will be booked
+      const params = new URLSearchParams({
+        station_ids: stationIds.join(","),
+        booking_date: bookingDate,
+        start_time: startTime,
+        duration_hours: totalHours.toFixed(2),
+      });
+      if (redeemPoints > 0 && stationIds.length === 1) params.set("redeem_points", redeemPoints);
+      const res = await fetch(apiUrl(`/api/pricing/quote?${params}`));
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+
+      // Ignore answers to an older version of the form
+      if (requestId !== quoteRequest.current) return;
+      setQuote({
+        perStation: data.stations.map((q, i) => ({
+          ...q,
+          station_name: stations.find((s) => s.id === stationIds[i])?.station_name,
+        })),
+        groupDiscount: data.group_discount,
+        pointsDiscount: data.points_discount,
+        total: data.total,
+      });
+    } catch (err) {
+      if (requestId !== quoteRequest.current) return;
+      setQuote({ error: err.message || "Could not get a price" });
+    }
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
     const form = e.target;
     const datetime = new Date(form.datetime.value);
     const now = new Date();
 
+    setFormStatus(null);
     if (datetime.getTime() < now.getTime() - 60000) {
-      alert("Cannot book for past dates/times");
+      setFormErrors({ datetime: "Cannot book for past dates/times" });
       return;
     }
 
-    const selectedStations = Array.from(
-      form.querySelectorAll('input[name="station"]:checked')
-    ).map((checkbox) => parseInt(checkbox.value, 10));
+    const {
+      stationIds: selectedStations,
+      totalHours,
+      bookingDate,
+      startTime,
+      redeemPoints,
+    } = readBookingFields(form);
 
     if (selectedStations.length === 0) {
-      alert("Please select at least one station");
+      setFormErrors({ station: "Please select at least one station" });
       return;
     }
 
-    const [durationHours, durationMinutes] = form.duration.value
-      .split(":")
-      .map(Number);
-    const totalHours = durationHours + durationMinutes / 60;
-    const startTime = datetime;
-    const endTime = new Date(startTime.getTime() + totalHours * 3600000);
-
-    const successful = [];
-    const failed = [];
-
-    for (const stationId of selectedStations) {
-      const selectedStation = stations.find((s) => s.id === stationId);
-      const hourlyRate = selectedStation?.specs === "PS5" ? 100 : 60;
-      const stationPrice = Math.round(totalHours * hourlyRate);
-
-      const payload = {
-        user_name: form.name.value,
-        contact: form.contact.value.replace(/[^0-9+]/g, ""),
-        station_id: stationId,
-        booking_date: datetime.toISOString().split("T")[0],
-        start_time: startTime.toTimeString().substring(0, 5),
-        end_time: endTime.toTimeString().substring(0, 5),
-        duration_hours: totalHours.toFixed(2),
-        total_price: stationPrice,
-      };
-
-      try {
-        const res = await fetch("/api/bookings", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        });
-        const result = await res.json();
-
-        if (res.ok) successful.push(selectedStation.station_name);
-        else failed.push({ station: selectedStation.station_name, error: result.error });
-      } catch {
-        failed.push({ station: selectedStation.station_name, error: "Network error" });
+    // The server prices the booking from its rate card. Several stations are
+    // booked as one group: either all of them or none.
+    const group = selectedStations.length > 1;
+    const payload = {
+      user_name: form.name.value,
+      contact: form.contact.value.replace(/[^0-9+]/g, ""),
+      ...(form.email.value.trim() ? { email: form.email.value.trim() } : {}),
+      ...(group ? { station_ids: selectedStations } : { station_id: selectedStations[0] }),
+      ...(!group && redeemPoints > 0 ? { redeem_points: redeemPoints } : {}),
+      ...(!group && form.pay_from_wallet?.checked ? { pay_from_wallet: true } : {}),
+      booking_date: bookingDate,
+      start_time: startTime,
+      duration_hours: totalHours.toFixed(2),
+    };
+
+    try {
+      // apiFetch so staff are recognised when charging a wallet
+      const res = await apiFetch(group ? "/api/bookings/group" : "/api/bookings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const result = await res.json();
+
+      if (!res.ok) {
+        // Problems with particular fields are shown next to them; a taken
+        // slot comes back with free alternatives to pick from
+        const errors = {};
+        for (const [key, message] of Object.entries(fieldErrors(result))) {
+          const input = FORM_FIELDS[key] || "form";
+          if (!errors[input]) errors[input] = message;
+        }
+        setFormErrors(errors);
+        setSuggestions(result.suggestions || []);
+        const onForm = Object.keys(errors).some((input) => input !== "form");
+        setFormStatus({ error: true, message: onForm ? errors.form : `Failed to book: ${result.error}` });
+        return;
       }
-    }
 
-    if (successful.length > 0) {
-      alert(`Successfully booked stations: ${successful.join(", ")}`);
+      const booked = group ? result.bookings : [result.booking];
+      const names = booked.map((b) => stations.find((s) => s.id === b.station_id)?.station_name);
+      const total = booked.reduce((sum, b) => sum + b.total_price, 0);
+      setFormStatus({
+        message:
+          `Successfully booked ${names.join(", ")} (₹${total}). ` +
+          `Your booking code: ${group ? result.group_code : result.booking.booking_code}. ` +
+          "Use it with your phone number under My Booking to change or cancel.",
+      });
+      setFormErrors({});
       form.reset();
-      await refreshData();
-    }
-    if (failed.length > 0) {
-      alert(
-        `Failed to book:\n${failed
-          .map((f) => `${f.station}: ${f.error}`)
-          .join("\n")}`
-      );
+      setQuote(null);
+      setSuggestions([]);
+      setMember(null);
+    } catch {
+      setFormStatus({ error: true, message: "Failed to book: Network error" });
     }
   }
 
-  async function markComplete(id) {
-    const res = await fetch(`/api/bookings/${id}/complete`, { method: "POST" });
-    if (res.ok) await refreshData();
-    else alert("Failed to mark complete");
+  // An edited input's error no longer applies; the price may have changed
+  function onFormChange(e) {
+    const { name } = e.target;
+    if (formErrors[name]) setFormErrors((current) => ({ ...current, [name]: undefined }));
+    updateQuote(e.currentTarget);
   }
 
-  // --- compute current status dynamically ---
-  const computeStationStatus = (station) => {
-    const now = new Date();
-    const today = now.toISOString().split("T")[0];
+  // Fill the form with a station and start time picked on the timeline or
+  // from a suggestion, keeping the name, contact and duration already entered
+  function pickSlot({ stationId, date, time }) {
+    const form = formRef.current;
+    form.datetime.value = `${date}T${time}`;
+    form.querySelectorAll('input[name="station"]').forEach((checkbox) => {
+      checkbox.checked = parseInt(checkbox.value, 10) === stationId;
+    });
+    setFormErrors((current) => ({ ...current, station: undefined, datetime: undefined }));
+    setSuggestions([]);
+    updateQuote(form);
+    form.scrollIntoView({ behavior: "smooth" });
+  }
+
+  // Show how an action on booking b went, next to it
+  function reportAction(b, message, error = false) {
+    setActionStatus(message ? { bookingId: b.id, error, message } : null);
+  }
+
+  // Status changes from the bookings table; the server checks each against its state
+  // machine. `target` is b's id, or "group/<code>" for b's whole group booking.
+  async function changeStatus(b, action, body = {}, target = b.id) {
+    reportAction(b, null);
+    const res = await apiFetch(`/api/bookings/${target}/${action}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    // The change itself arrives over the event stream
+    if (res.ok) return;
+    const result = await res.json();
+    reportAction(b, result.error || `Failed to ${action} booking`, true);
+  }
+
+  async function markComplete(b) {
+    await changeStatus(b, "complete");
+  }
+
+  async function cancelBooking(b) {
+    const reason = window.prompt(`Cancel ${b.user_name}'s booking? Reason:`);
+    if (reason === null) return;
+    const refund = window.prompt(`Refund amount (up to ₹${b.amount_paid || 0} paid), leave empty for none:`, "");
+    if (refund === null) return;
+    await changeStatus(b, "cancel", { reason, refund_amount: refund, refund_reason: reason });
+  }
+
+  async function completeGroup(b) {
+    if (!window.confirm(`Complete every booking in group ${b.group_code}?`)) return;
+    await changeStatus(b, "complete", {}, `group/${b.group_code}`);
+  }
 
-    const activeBooking = bookings.find((b) => {
-      if (b.station_id !== station.id || b.booking_date !== today) return false;
-      const start = new Date(`${b.booking_date}T${b.start_time}`);
-      const end = new Date(`${b.booking_date}T${b.end_time}`);
+  async function cancelGroup(b) {
+    const reason = window.prompt(`Cancel every booking in group ${b.group_code}? Reason:`);
+    if (reason === null) return;
+    await changeStatus(b, "cancel", { reason }, `group/${b.group_code}`);
+  }
 
-      // ✅ ignore if marked completed early
-      if (b.status === "completed") return false;
+  async function markNoShow(b) {
+    if (!window.confirm(`Mark ${b.user_name} as a no-show?`)) return;
+    await changeStatus(b, "no-show");
+  }
 
-      return now >= start && now <= end;
+  async function extendBooking(b, minutes) {
+    reportAction(b, null);
+    const res = await apiFetch(`/api/bookings/${b.id}/extend`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ minutes }),
     });
+    const result = await res.json();
+    if (!res.ok) {
+      reportAction(b, `Could not extend: ${result.error}`, true);
+      return;
+    }
+    reportAction(
+      b,
+      `${b.user_name} now plays until ${result.booking.end_time}. ` +
+        `Extra ₹${result.additional_price}, new total ₹${result.booking.total_price}`
+    );
+  }
 
-    if (activeBooking) {
-      const end = new Date(`${activeBooking.booking_date}T${activeBooking.end_time}`);
-      const diffMs = end - now;
-      const mins = Math.max(0, Math.floor(diffMs / 60000));
-      const hrs = Math.floor(mins / 60);
-      const rem = mins % 60;
-      const timeRemaining = `${hrs > 0 ? `${hrs}h ` : ""}${rem}m`;
-
-      return {
-        status: "OCCUPIED",
-        currentBooking: activeBooking,
-        timeRemaining,
-      };
+  // Early check-out; staff choose whether to charge only for the time played
+  async function checkOut(b) {
+    if (!window.confirm(`Check ${b.user_name} out now?`)) return;
+    const prorate = window.confirm("Charge only for the time actually played? (Cancel keeps the full price)");
+    reportAction(b, null);
+    const res = await apiFetch(`/api/bookings/${b.id}/checkout`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ prorate }),
+    });
+    const result = await res.json();
+    if (!res.ok) {
+      reportAction(b, result.error || "Failed to check out", true);
+      return;
     }
-    return { status: "AVAILABLE" };
-  };
+    reportAction(b, `Checked out. Total ₹${result.booking.total_price}`);
+  }
+
+  async function recordPayment(b) {
+    const due = Math.round(((b.total_price || 0) - (b.amount_paid || 0) - (b.discount_amount || 0)) * 100) / 100;
+    const method = window.prompt(`Payment for ${b.user_name}, ₹${due} due. Method (cash, upi or card):`, "cash");
+    if (!method) return;
+    const amount = window.prompt("Amount paid (₹):", String(due));
+    if (amount === null) return;
+    const discount = window.prompt("Discount given (₹), leave empty for none:", "");
+    if (discount === null) return;
+    reportAction(b, null);
+    const res = await apiFetch(`/api/bookings/${b.id}/payments`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        method: method.trim().toLowerCase(),
+        amount: amount ? Number(amount) : 0,
+        discount: discount ? Number(discount) : 0,
+      }),
+    });
+    // The updated booking arrives over the event stream
+    if (res.ok) return;
+    const result = await res.json();
+    reportAction(b, result.error || "Failed to record payment", true);
+  }
+
+  async function recordRefund(b) {
+    const amount = window.prompt(`Refund amount (up to ₹${b.amount_paid || 0} paid):`);
+    if (!amount) return;
+    const reason = window.prompt("Reason for the refund:", "") || "";
+    await changeStatus(b, "refund", { refund_amount: amount, refund_reason: reason });
+  }
 
   return (
     <div className="grid">
       {/* Booking Form */}
+      <div>
       <div className="card">
         <h2>Reserve a Station</h2>
-        <form onSubmit={handleSubmit}>
+        <form ref={formRef} onSubmit={handleSubmit} onChange={onFormChange}>
           <input name="name" className="form-input" placeholder="Your name" required />
+          <FieldError message={formErrors.name} />
           <input
             name="contact"
             className="form-input"
             placeholder="Contact number (optional)"
+            list="customer-matches"
+            onChange={(e) => lookUpCustomer(e.target.form)}
           />
+          <FieldError message={formErrors.contact} />
+          <input name="email" type="email" className="form-input" placeholder="Email for your confirmation (optional)" />
+          <FieldError message={formErrors.email} />
+          <datalist id="customer-matches">
+            {matches.map((c) => (
+              <option key={c.id} value={c.phone}>
+                {c.name}
+              </option>
+            ))}
+          </datalist>
+          {member && (
+            <div style={{ marginBottom: "12px" }}>
+              <div className="small">Loyalty points: {member.loyalty_points}</div>
+              {member.loyalty_points > 0 && (
+                <input
+                  name="redeem_points"
+                  type="number"
+                  min="0"
+                  max={member.loyalty_points}
+                  className="form-input"
+                  placeholder="Points to use (single station bookings)"
+                  style={{ color: "#000" }}
+                />
+              )}
+              <FieldError message={formErrors.redeem_points} />
+            </div>
+          )}
+          {member && (
+            <label className="small" style={{ display: "block", marginBottom: "12px" }}>
+              <input type="checkbox" name="pay_from_wallet" style={{ marginRight: "8px" }} />
+              Pay from wallet (₹{member.wallet_balance} balance, or a package) when the session completes
+            </label>
+          )}
+          <FieldError message={formErrors.pay_from_wallet} />
 
           <label className="small">Select Stations</label>
           <div
@@ -213,6 +548,7 @@ export default function BookingPreview() {
               </label>
             ))}
           </div>
+          <FieldError message={formErrors.station} />
 
           <label className="small">Duration (hours:minutes)</label>
           <input
@@ -223,9 +559,62 @@ export default function BookingPreview() {
             defaultValue="01:00"
             style={{ color: "#000" }}
           />
+          <FieldError message={formErrors.duration} />
 
           <label className="small">Select Date & Time</label>
           <input name="datetime" type="datetime-local" className="form-input" required />
+          <FieldError message={formErrors.datetime} />
+
+          {quote && (
+            <div className="quote" style={{ marginBottom: "12px" }}>
+              {quote.error ? (
+                <div className="small" style={{ color: "#FF6B6B" }}>{quote.error}</div>
+              ) : (
+                <>
+                  {quote.perStation.map((q) => (
+                    <div key={q.station_name} className="small">
+                      {q.station_name}: ₹{q.total}
+                      {" "}({q.lines.map((l) => `${l.minutes}m ${l.kind} @ ₹${l.hourly_rate}/h`).join(", ")}
+                      {q.bundle ? `, bundle ${q.bundle.hours}h for ${q.bundle.pay_hours}h -₹${q.bundle.discount}` : ""})
+                    </div>
+                  ))}
+                  {quote.groupDiscount && (
+                    <div className="small">
+                      Group of {quote.groupDiscount.min_stations}+ stations: -{quote.groupDiscount.percent}% (₹
+                      {quote.groupDiscount.amount})
+                    </div>
+                  )}
+                  {quote.pointsDiscount > 0 && (
+                    <div className="small">Loyalty points: -₹{quote.pointsDiscount}</div>
+                  )}
+                  <div style={{ fontWeight: 700, marginTop: "4px" }}>Total: ₹{quote.total}</div>
+                </>
+              )}
+            </div>
+          )}
+
+          {suggestions.length > 0 && (
+            <div style={{ marginBottom: "12px" }}>
+              <div className="small">That slot is taken. Free instead:</div>
+              {suggestions.map((sg) => (
+                <button
+                  key={`${sg.station_id}-${sg.starts_at}`}
+                  type="button"
+                  className="btn"
+                  style={{ margin: "4px 8px 0 0" }}
+                  onClick={() => pickSlot({ stationId: sg.station_id, date: sg.booking_date, time: sg.start_time })}
+                >
+                  {sg.station_name} {sg.booking_date} {sg.start_time}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {formStatus && formStatus.message && (
+            <div className="small" style={{ color: formStatus.error ? "#FF6B6B" : "green", marginBottom: "12px" }}>
+              {formStatus.message}
+            </div>
+          )}
 
           <button className="btn" type="submit">
             Confirm Booking
@@ -233,6 +622,13 @@ export default function BookingPreview() {
         </form>
       </div>
 
+      {/* Day view: click a free slot to fill the form */}
+      <div className="card" style={{ marginTop: 16 }}>
+        <h3>Availability</h3>
+        <AvailabilityTimeline onPick={pickSlot} refreshKey={lastUpdate} />
+      </div>
+      </div>
+
       {/* Right Section */}
       <div>
         {/* Live Station Status */}
@@ -259,7 +655,7 @@ export default function BookingPreview() {
             }}
           >
             {stations.map((s) => {
-              const computed = computeStationStatus(s);
+              const computed = computeStationStatus(s, bookings, now);
               return (
                 <div
                   key={s.id}
@@ -330,7 +726,7 @@ export default function BookingPreview() {
                             marginBottom: "8px",
                           }}
                         >
-                          {computed.currentBooking.user_name}
+                          {computed.currentBooking.user_name || "Booked"}
                         </div>
                         <div
                           style={{
@@ -343,6 +739,23 @@ export default function BookingPreview() {
                           <strong>Time Left: {computed.timeRemaining}</strong>
                           <span>Until: {computed.currentBooking.end_time}</span>
                         </div>
+                        {isStaff && computed.currentBooking.id && (
+                          <div style={{ display: "flex", gap: "6px", marginTop: "8px", flexWrap: "wrap" }}>
+                            {EXTEND_OPTIONS.map((option) => (
+                              <button
+                                key={option.minutes}
+                                className="btn"
+                                onClick={() => extendBooking(computed.currentBooking, option.minutes)}
+                              >
+                                Extend {option.label}
+                              </button>
+                            ))}
+                            <button className="btn" onClick={() => checkOut(computed.currentBooking)}>
+                              Check out
+                            </button>
+                          </div>
+                        )}
+                        {isStaff && <ActionStatus status={actionStatus} bookingId={computed.currentBooking.id} />}
                       </div>
                     )}
                   </div>
@@ -352,7 +765,18 @@ export default function BookingPreview() {
           </div>
         </div>
 
+        {/* Walk-in queue */}
+        <div className="card" style={{ marginTop: 16 }}>
+          <h3>Waitlist</h3>
+          <WaitlistPanel
+            stationTypes={[...new Set(stations.map((s) => s.specs))]}
+            refreshKey={lastUpdate}
+            seated={seated}
+          />
+        </div>
+
         {/* All Bookings Table */}
+        {isStaff && (
         <div className="card" style={{ marginTop: 16 }}>
           <h3>All Bookings</h3>
           {loading ? (
@@ -366,6 +790,7 @@ export default function BookingPreview() {
                   <th>Station</th>
                   <th>Time</th>
                   <th>Status</th>
+                  <th>Payment</th>
                   <th>Action</th>
                 </tr>
               </thead>
@@ -373,33 +798,91 @@ export default function BookingPreview() {
                 {bookings.map((b) => (
                   <tr key={b.id}>
                     <td>{b.id}</td>
-                    <td>{b.user_name}</td>
+                    <td>
+                      {b.user_name}
+                      {b.group_code && <div className="small">Group {b.group_code}</div>}
+                    </td>
                     <td>{b.station_name}</td>
                     <td>
                       {b.booking_date} {b.start_time}-{b.end_time}
                       <div className="small">
                         Duration: {b.duration_hours}hrs (₹{b.total_price})
                       </div>
+                      {b.checked_out_at && (
+                        <div className="small">
+                          Checked out {new Date(b.checked_out_at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                        </div>
+                      )}
                     </td>
                     <td
                       style={{
-                        color:
-                          b.status === "completed"
-                            ? "green"
-                            : b.status === "confirmed"
-                            ? "orange"
-                            : "black",
+                        color: STATUS_COLORS[b.status] || "black",
                         fontWeight: 600,
                       }}
                     >
-                      {b.status}
+                      {b.status.replace("_", "-")}
+                      {b.cancellation_reason && (
+                        <div className="small">{b.cancellation_reason}</div>
+                      )}
+                      {b.refunded_at && (
+                        <div className="small">
+                          Refunded ₹{b.refund_amount}
+                          {b.refund_reason ? ` (${b.refund_reason})` : ""}
+                        </div>
+                      )}
                     </td>
-                    <td>
+                    <td
+                      style={{
+                        color: PAYMENT_COLORS[paymentStatus(b)],
+                        fontWeight: 600,
+                      }}
+                    >
+                      {b.payment_method === "wallet" ? "wallet" : paymentStatus(b)}
+                      {(b.amount_paid > 0 || b.discount_amount > 0) && (
+                        <div className="small">
+                          ₹{b.amount_paid} paid{b.discount_amount > 0 ? `, ₹${b.discount_amount} off` : ""}
+                        </div>
+                      )}
+                    </td>
+                    <td style={{ whiteSpace: "nowrap" }}>
+                      {["confirmed", "completed"].includes(b.status) &&
+                        b.payment_method !== "wallet" &&
+                        paymentStatus(b) !== "paid" && (
+                          <button className="btn" onClick={() => recordPayment(b)} style={{ marginRight: "8px" }}>
+                            Pay
+                          </button>
+                        )}
                       {b.status === "confirmed" && (
-                        <button className="btn" onClick={() => markComplete(b.id)}>
-                          Complete
+                        <>
+                          <button className="btn" onClick={() => markComplete(b)} style={{ marginRight: "8px" }}>
+                            Complete
+                          </button>
+                          <button className="btn" onClick={() => cancelBooking(b)} style={{ marginRight: "8px" }}>
+                            Cancel
+                          </button>
+                          {new Date() >= new Date(b.starts_at) && (
+                            <button className="btn" onClick={() => markNoShow(b)}>
+                              No-show
+                            </button>
+                          )}
+                          {b.group_code && (
+                            <div style={{ marginTop: "6px" }}>
+                              <button className="btn" onClick={() => completeGroup(b)} style={{ marginRight: "8px" }}>
+                                Complete group
+                              </button>
+                              <button className="btn" onClick={() => cancelGroup(b)}>
+                                Cancel group
+                              </button>
+                            </div>
+                          )}
+                        </>
+                      )}
+                      {["cancelled", "no_show"].includes(b.status) && !b.refunded_at && (
+                        <button className="btn" onClick={() => recordRefund(b)}>
+                          Refund
                         </button>
                       )}
+                      <ActionStatus status={actionStatus} bookingId={b.id} />
                     </td>
                   </tr>
                 ))}
@@ -407,6 +890,7 @@ export default function BookingPreview() {
             </table>
           )}
         </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,173 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import BookingPreview from "./BookingPreview";
+
+// The day view and walk-in queue have their own requests; not under test here
+jest.mock("./AvailabilityTimeline", () => () => null);
+jest.mock("./WaitlistPanel", () => () => null);
+
+// Browsers give a form its named inputs as properties (form.duration,
+// form.name, ...), which the component reads; jsdom doesn't
+for (const name of ["name", "contact", "email", "duration", "datetime", "redeem_points", "pay_from_wallet"]) {
+  Object.defineProperty(HTMLFormElement.prototype, name, {
+    configurable: true,
+    get() {
+      return this.elements.namedItem(name);
+    },
+  });
+}
+
+const STATIONS = [
+  { id: 1, station_name: "Station 1", specs: "PC" },
+  { id: 2, station_name: "Station 2", specs: "PC" },
+];
+
+// fetch answering GETs from `routes` and POST /api/bookings with `booked`
+function fakeApi(booked) {
+  const routes = { "/api/stations": STATIONS, "/api/bookings": [] };
+  return jest.fn(async (url, options = {}) => {
+    const path = url.split("?")[0];
+    if (options.method === "POST" && path === "/api/bookings") {
+      return { ok: booked.status < 400, status: booked.status, json: async () => booked.body };
+    }
+    if (path === "/api/pricing/quote") {
+      return { ok: false, status: 400, json: async () => ({ error: "No quote in tests" }) };
+    }
+    return { ok: true, status: 200, json: async () => routes[path] || [] };
+  });
+}
+
+class FakeEventSource {
+  addEventListener() {}
+  close() {}
+}
+
+// A wall-clock "YYYY-MM-DDTHH:MM" tomorrow, as the datetime picker gives it
+function tomorrowAt(time) {
+  const day = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}T${time}`;
+}
+
+async function fillForm() {
+  render(<BookingPreview />);
+  fireEvent.change(screen.getByPlaceholderText("Your name"), { target: { value: "Asha" } });
+  fireEvent.change(screen.getByPlaceholderText("Contact number (optional)"), { target: { value: "98765 43210" } });
+  fireEvent.click(await screen.findByRole("checkbox", { name: "Station 2" }));
+  const datetime = document.querySelector('input[name="datetime"]');
+  fireEvent.change(datetime, { target: { value: tomorrowAt("18:00") } });
+  return datetime.form;
+}
+
+const postedBooking = () => {
+  const [, options] = global.fetch.mock.calls.find(([, o]) => o && o.method === "POST");
+  return JSON.parse(options.body);
+};
+
+beforeEach(() => {
+  global.EventSource = FakeEventSource;
+  localStorage.clear();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("books the selected station and shows the booking code", async () => {
+  global.fetch = fakeApi({
+    status: 201,
+    body: { message: "Booking confirmed", booking: { id: 7, station_id: 2, total_price: 60, booking_code: "BK2345ABCD" } },
+  });
+  const form = await fillForm();
+
+  fireEvent.submit(form);
+
+  expect(await screen.findByText(/Your booking code: BK2345ABCD/)).toBeInTheDocument();
+  expect(screen.getByText(/Successfully booked Station 2 \(₹60\)/)).toBeInTheDocument();
+  expect(postedBooking()).toMatchObject({
+    user_name: "Asha",
+    contact: "9876543210",
+    station_id: 2,
+    booking_date: tomorrowAt("18:00").split("T")[0],
+    start_time: "18:00",
+    duration_hours: "1.00",
+  });
+  // No price is ever sent: the server quotes it
+  expect(postedBooking().total_price).toBeUndefined();
+});
+
+test("shows a taken slot's error and the free alternatives", async () => {
+  global.fetch = fakeApi({
+    status: 409,
+    body: {
+      error: "Station already booked during this time period",
+      code: "booking_conflict",
+      suggestions: [{ station_id: 1, station_name: "Station 1", booking_date: "2030-01-01", start_time: "19:00", starts_at: "x" }],
+    },
+  });
+  const form = await fillForm();
+
+  fireEvent.submit(form);
+
+  expect(await screen.findByText("Failed to book: Station already booked during this time period")).toBeInTheDocument();
+  expect(screen.getByRole("button", { name: "Station 1 2030-01-01 19:00" })).toBeInTheDocument();
+});
+
+test("puts field problems next to their inputs", async () => {
+  global.fetch = fakeApi({
+    status: 400,
+    body: {
+      error: "user_name is too long",
+      code: "validation_failed",
+      errors: [{ path: "user_name", code: "too_long", message: "user_name must be at most 100 characters" }],
+    },
+  });
+  const form = await fillForm();
+
+  fireEvent.submit(form);
+
+  await waitFor(() => expect(screen.getByText("user_name must be at most 100 characters")).toBeInTheDocument());
+});
+
+test("refuses a time in the past without asking the server", async () => {
+  global.fetch = fakeApi({ status: 201, body: {} });
+  const form = await fillForm();
+  fireEvent.change(form.datetime, { target: { value: "2020-01-01T10:00" } });
+
+  fireEvent.submit(form);
+
+  expect(await screen.findByText("Cannot book for past dates/times")).toBeInTheDocument();
+  expect(global.fetch.mock.calls.some(([, o]) => o && o.method === "POST")).toBe(false);
+});
+
+test("shows a refused table action next to its booking", async () => {
+  localStorage.setItem("omg_session", JSON.stringify({ token: "t", user: { username: "owner", role: "owner" } }));
+  const booking = {
+    id: 7,
+    user_name: "Asha",
+    station_id: 1,
+    station_name: "Station 1",
+    status: "confirmed",
+    booking_date: "2030-01-01",
+    start_time: "18:00",
+    end_time: "19:00",
+    starts_at: "2030-01-01T12:30:00.000Z",
+    ends_at: "2030-01-01T13:30:00.000Z",
+    duration_hours: 1,
+    total_price: 60,
+  };
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const path = url.split("?")[0];
+    if (options.method === "POST" && path === "/api/bookings/7/complete") {
+      const body = { error: "A booking can only be completed once it has started - cancel it instead", code: "invalid_transition" };
+      return { ok: false, status: 409, json: async () => body };
+    }
+    const routes = { "/api/stations": STATIONS, "/api/bookings": [booking] };
+    return { ok: true, status: 200, json: async () => routes[path] || [] };
+  });
+  render(<BookingPreview />);
+
+  fireEvent.click(await screen.findByRole("button", { name: "Complete" }));
+
+  expect(await screen.findByText("A booking can only be completed once it has started - cancel it instead")).toBeInTheDocument();
+});
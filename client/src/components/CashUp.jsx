@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from "react";
+import { apiFetch } from "../api";
+
+const METHOD_LABELS = {
+  cash: "Cash",
+  upi: "UPI",
+  card: "Card",
+  wallet: "Wallet",
+};
+
+// End-of-day cash-up: what the day's completed bookings should have brought
+// in against the payments recorded, per method. Opens on the cafe's today.
+export default function CashUp() {
+  const [date, setDate] = useState("");
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadReport(date);
+  }, [date]);
+
+  async function loadReport(day) {
+    try {
+      const res = await apiFetch(`/api/reports/cash-up${day ? `?date=${day}` : ""}`);
+      const data = await res.json();
+      setReport(res.ok ? data : null);
+      setError(res.ok ? null : data.error);
+    } catch (err) {
+      console.error("Failed to load cash-up:", err);
+      setError("Failed to load cash-up");
+    }
+  }
+
+  return (
+    <div className="grid">
+      <div className="card">
+        <h2>Cash-up</h2>
+        <input
+          type="date"
+          className="form-input"
+          value={date || (report ? report.date : "")}
+          onChange={(e) => e.target.value && setDate(e.target.value)}
+        />
+        {error && <div className="small">Error: {error}</div>}
+        {report && (
+          <table className="table">
+            <tbody>
+              <tr>
+                <td>Expected from {report.completed_bookings} completed bookings</td>
+                <td>₹{report.expected}</td>
+              </tr>
+              {Object.entries(report.by_method).map(([method, total]) => (
+                <tr key={method}>
+                  <td>
+                    {METHOD_LABELS[method]} ({total.count})
+                  </td>
+                  <td>₹{total.amount}</td>
+                </tr>
+              ))}
+              <tr>
+                <td>Discounts given</td>
+                <td>₹{report.discounts}</td>
+              </tr>
+              <tr>
+                <td>
+                  <strong>Difference</strong>
+                </td>
+                <td style={{ color: report.difference === 0 ? "green" : "#FF0000", fontWeight: 600 }}>
+                  {report.difference > 0 ? "+" : ""}₹{report.difference}
+                </td>
+              </tr>
+              <tr>
+                <td>Refunds paid out</td>
+                <td>-₹{report.refunds}</td>
+              </tr>
+              <tr>
+                <td>Wallet top-ups and package sales</td>
+                <td>₹{report.wallet_sales}</td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card">
+        <h2>Not fully paid</h2>
+        {report && report.outstanding.length === 0 && (
+          <div className="small">Every completed booking on this day is paid.</div>
+        )}
+        {report && report.outstanding.length > 0 && (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Booking</th>
+                <th>Customer</th>
+                <th>Price</th>
+                <th>Paid</th>
+                <th>Due</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.outstanding.map((b) => (
+                <tr key={b.id}>
+                  <td>{b.booking_code}</td>
+                  <td>{b.user_name}</td>
+                  <td>₹{b.total_price}</td>
+                  <td>
+                    ₹{b.amount_paid}
+                    {b.discount_amount > 0 && <div className="small">₹{b.discount_amount} off</div>}
+                  </td>
+                  <td>₹{b.due}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
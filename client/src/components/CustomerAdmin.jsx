@@ -0,0 +1,355 @@
+import React, { useState, useEffect } from "react";
+import { apiFetch, hasRole } from "../api";
+
+const PACKAGE_KINDS = {
+  credit: "Rupee credit",
+  hours: "Hours pack",
+  pass: "Unlimited pass",
+};
+
+const LEDGER_LABELS = {
+  top_up: "Top-up",
+  purchase: "Package",
+  charge: "Booking",
+};
+
+export default function CustomerAdmin() {
+  const [customers, setCustomers] = useState([]);
+  const [search, setSearch] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [wallet, setWallet] = useState(null);
+  const [packages, setPackages] = useState([]);
+  const [message, setMessage] = useState(null);
+  const isOwner = hasRole("owner");
+
+  useEffect(() => {
+    loadCustomers(search);
+  }, [search]);
+
+  useEffect(() => {
+    loadPackages();
+  }, []);
+
+  async function loadPackages() {
+    try {
+      const res = await apiFetch("/api/packages/all");
+      const data = await res.json();
+      setPackages(res.ok ? data : []);
+    } catch (err) {
+      console.error("Failed to load packages:", err);
+    }
+  }
+
+  async function send(url, method, body) {
+    const res = await apiFetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const result = await res.json();
+    setMessage(res.ok ? result.message : `Error: ${result.error}`);
+    return res.ok;
+  }
+
+  async function loadCustomers(query) {
+    try {
+      const res = await apiFetch(`/api/customers${query ? `?search=${encodeURIComponent(query)}` : ""}`);
+      const data = await res.json();
+      setCustomers(res.ok ? data : []);
+    } catch (err) {
+      console.error("Failed to load customers:", err);
+      setCustomers([]);
+    }
+    setLoading(false);
+  }
+
+  async function showHistory(customer) {
+    try {
+      const [historyRes, walletRes] = await Promise.all([
+        apiFetch(`/api/customers/${customer.id}`),
+        apiFetch(`/api/customers/${customer.id}/wallet`),
+      ]);
+      if (historyRes.ok) setSelected(await historyRes.json());
+      if (walletRes.ok) setWallet(await walletRes.json());
+    } catch (err) {
+      console.error("Failed to load customer:", err);
+    }
+  }
+
+  async function rename(customer) {
+    const name = window.prompt("Customer name", customer.name);
+    if (!name) return;
+    const res = await apiFetch(`/api/customers/${customer.id}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name }),
+    });
+    if (res.ok) {
+      await loadCustomers(search);
+      if (selected && selected.id === customer.id) await showHistory(customer);
+    }
+  }
+
+  // Confirmations and reminders are emailed here when email is on
+  async function changeEmail(customer) {
+    const email = window.prompt("Email address (leave empty to remove)", customer.email || "");
+    if (email === null) return;
+    if (await send(`/api/customers/${customer.id}`, "PATCH", { email: email.trim() || null })) {
+      await loadCustomers(search);
+      if (selected && selected.id === customer.id) await showHistory(customer);
+    }
+  }
+
+  async function topUp(customer) {
+    const amount = window.prompt("Amount paid into the wallet (₹)");
+    if (!amount) return;
+    if (await send(`/api/customers/${customer.id}/wallet/top-up`, "POST", { amount: Number(amount) })) {
+      await showHistory(customer);
+      await loadCustomers(search);
+    }
+  }
+
+  async function sellPackage(customer, packageId) {
+    if (!packageId) return;
+    if (await send(`/api/customers/${customer.id}/wallet/purchase`, "POST", { package_id: Number(packageId) })) {
+      await showHistory(customer);
+      await loadCustomers(search);
+    }
+  }
+
+  async function addPackage(e) {
+    e.preventDefault();
+    const form = e.target;
+    const number = (field) => (form[field].value ? Number(form[field].value) : undefined);
+    const added = await send("/api/packages", "POST", {
+      name: form.name.value,
+      kind: form.kind.value,
+      station_type: form.station_type.value || undefined,
+      hours: number("hours"),
+      credit: number("credit"),
+      price: number("price"),
+      valid_days: number("valid_days"),
+    });
+    if (added) {
+      form.reset();
+      await loadPackages();
+    }
+  }
+
+  async function toggleSale(pkg) {
+    if (await send(`/api/packages/${pkg.id}`, "PATCH", { active: !pkg.active })) await loadPackages();
+  }
+
+  return (
+    <div className="grid">
+      <div className="card">
+        <h2>Customers</h2>
+        <input
+          className="form-input"
+          placeholder="Search by name or number"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        {loading ? (
+          <div className="small">Loading...</div>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Phone</th>
+                <th>Points</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {customers.map((c) => (
+                <tr key={c.id}>
+                  <td>{c.name}</td>
+                  <td>{c.phone}</td>
+                  <td>{c.loyalty_points}</td>
+                  <td style={{ whiteSpace: "nowrap" }}>
+                    <button className="btn" onClick={() => showHistory(c)} style={{ marginRight: "8px" }}>
+                      History
+                    </button>
+                    <button className="btn" onClick={() => rename(c)} style={{ marginRight: "8px" }}>
+                      Rename
+                    </button>
+                    <button className="btn" onClick={() => changeEmail(c)}>
+                      Email
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card">
+        {selected ? (
+          <>
+            <h2>{selected.name}</h2>
+            <div className="small" style={{ marginBottom: "12px" }}>
+              {selected.phone}
+              {selected.email ? ` · ${selected.email}` : ""} · {selected.visits} visits · {selected.hours_played}h played ·{" "}
+              {selected.loyalty_points} points
+            </div>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Station</th>
+                  <th>Time</th>
+                  <th>Price</th>
+                  <th>Points</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.bookings.map((b) => (
+                  <tr key={b.id}>
+                    <td>{b.booking_date}</td>
+                    <td>{b.station_name}</td>
+                    <td>
+                      {b.start_time}-{b.end_time}
+                    </td>
+                    <td>₹{b.total_price}</td>
+                    <td>
+                      {b.points_earned ? `+${b.points_earned}` : ""}
+                      {b.points_redeemed ? ` -${b.points_redeemed}` : ""}
+                    </td>
+                    <td>{b.status.replace(/_/g, "-")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <div className="small">Pick a customer to see their bookings.</div>
+        )}
+
+        {selected && wallet && (
+          <div style={{ marginTop: 16 }}>
+            <h3>Wallet</h3>
+            <div style={{ marginBottom: "8px" }}>
+              Balance: ₹{wallet.wallet_balance}
+              {wallet.memberships.map((m) => (
+                <div key={m.id} className="small">
+                  {m.package_name}:{" "}
+                  {m.kind === "pass" ? "unlimited" : `${m.hours_remaining}h left`}
+                  {m.expires_at ? ` until ${new Date(m.expires_at).toLocaleDateString()}` : ""}
+                </div>
+              ))}
+            </div>
+            <div style={{ display: "flex", gap: "8px", marginBottom: "12px" }}>
+              <button className="btn" onClick={() => topUp(selected)}>
+                Top Up
+              </button>
+              <select
+                className="form-input"
+                style={{ marginBottom: 0, color: "#000" }}
+                value=""
+                onChange={(e) => sellPackage(selected, e.target.value)}
+              >
+                <option value="">Sell a package...</option>
+                {packages
+                  .filter((p) => p.active)
+                  .map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name} (₹{p.price})
+                    </option>
+                  ))}
+              </select>
+            </div>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Entry</th>
+                  <th>Change</th>
+                  <th>Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {wallet.ledger.map((entry) => (
+                  <tr key={entry.id}>
+                    <td>{new Date(entry.created_at).toLocaleString()}</td>
+                    <td>
+                      {LEDGER_LABELS[entry.entry_type]} {entry.note}
+                    </td>
+                    <td>
+                      {entry.amount ? `₹${entry.amount}` : ""}
+                      {entry.hours ? ` ${entry.hours}h` : ""}
+                    </td>
+                    <td>₹{entry.balance_after}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <h2>Packages</h2>
+        {message && (
+          <div className="small" style={{ marginBottom: "12px" }}>
+            {message}
+          </div>
+        )}
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Kind</th>
+              <th>Price</th>
+              {isOwner && <th>Action</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {packages.map((p) => (
+              <tr key={p.id} style={{ opacity: p.active ? 1 : 0.5 }}>
+                <td>{p.name}</td>
+                <td>
+                  {PACKAGE_KINDS[p.kind]}
+                  {p.station_type ? ` (${p.station_type})` : ""}
+                </td>
+                <td>₹{p.price}</td>
+                {isOwner && (
+                  <td>
+                    <button className="btn" onClick={() => toggleSale(p)}>
+                      {p.active ? "Take Off Sale" : "Put On Sale"}
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {isOwner && (
+          <form onSubmit={addPackage} style={{ marginTop: 16 }}>
+            <input name="name" className="form-input" placeholder="Name, e.g. 10h PC" required />
+            <select name="kind" className="form-input" style={{ color: "#000" }}>
+              {Object.entries(PACKAGE_KINDS).map(([kind, label]) => (
+                <option key={kind} value={kind}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input name="station_type" className="form-input" placeholder="Station type (hours packs and passes)" />
+            <input name="hours" type="number" step="0.5" className="form-input" placeholder="Hours (hours packs)" />
+            <input name="credit" type="number" className="form-input" placeholder="Credit ₹ (credit packages)" />
+            <input name="price" type="number" className="form-input" placeholder="Price ₹" required />
+            <input name="valid_days" type="number" className="form-input" placeholder="Valid for days (optional)" />
+            <button className="btn" type="submit">
+              Add Package
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
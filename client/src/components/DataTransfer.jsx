@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import { apiFetch, hasRole } from "../api";
+
+const STATUSES = ["confirmed", "completed", "cancelled", "no_show"];
+
+// Bookings and stations as CSV or Excel files. Staff export; the owner
+// imports, checking the file first and seeing every row's problems.
+export default function DataTransfer() {
+  const [filters, setFilters] = useState({ from: "", to: "", statuses: STATUSES, format: "csv" });
+  const [kind, setKind] = useState("bookings");
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const isOwner = hasRole("owner");
+
+  // The download needs the staff token, so it can't be a plain link
+  async function download(what) {
+    const params = new URLSearchParams({ format: filters.format });
+    if (what === "bookings") {
+      if (filters.from) params.set("from", filters.from);
+      if (filters.to) params.set("to", filters.to);
+      params.set("status", filters.statuses.join(","));
+    }
+    const res = await apiFetch(`/api/export/${what}?${params}`);
+    if (!res.ok) {
+      alert((await res.json()).error);
+      return;
+    }
+    const name = (res.headers.get("Content-Disposition") || "").match(/filename="(.+)"/);
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name ? name[1] : `${what}.${filters.format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function toggleStatus(status) {
+    const statuses = filters.statuses.includes(status)
+      ? filters.statuses.filter((s) => s !== status)
+      : [...filters.statuses, status];
+    setFilters({ ...filters, statuses });
+  }
+
+  async function upload(dryRun) {
+    if (!file) return;
+    const res = await apiFetch(`/api/import/${kind}${dryRun ? "?dry_run=true" : ""}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream" },
+      body: file,
+    });
+    setResult(await res.json());
+  }
+
+  return (
+    <div className="grid">
+      <div className="card">
+        <h2>Export</h2>
+        <input
+          type="date"
+          className="form-input"
+          value={filters.from}
+          onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+        />
+        <input
+          type="date"
+          className="form-input"
+          value={filters.to}
+          onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+        />
+        <div className="small" style={{ marginBottom: "8px" }}>
+          {STATUSES.map((status) => (
+            <label key={status} style={{ marginRight: "12px" }}>
+              <input
+                type="checkbox"
+                checked={filters.statuses.includes(status)}
+                onChange={() => toggleStatus(status)}
+              />{" "}
+              {status.replace("_", "-")}
+            </label>
+          ))}
+        </div>
+        <select
+          className="form-input"
+          style={{ color: "#000" }}
+          value={filters.format}
+          onChange={(e) => setFilters({ ...filters, format: e.target.value })}
+        >
+          <option value="csv">CSV</option>
+          <option value="xlsx">Excel (.xlsx)</option>
+        </select>
+        <button className="btn" onClick={() => download("bookings")} style={{ marginRight: "8px" }}>
+          Export Bookings
+        </button>
+        <button className="btn" onClick={() => download("stations")}>
+          Export Stations
+        </button>
+      </div>
+
+      {isOwner && (
+        <div className="card">
+          <h2>Import</h2>
+          <div className="small" style={{ marginBottom: "8px" }}>
+            The first row names the columns, as in an export. Nothing is imported unless every row is valid.
+          </div>
+          <select className="form-input" style={{ color: "#000" }} value={kind} onChange={(e) => setKind(e.target.value)}>
+            <option value="bookings">Bookings</option>
+            <option value="stations">Stations</option>
+          </select>
+          <input
+            type="file"
+            className="form-input"
+            accept=".csv,.xlsx"
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              setResult(null);
+            }}
+          />
+          <button className="btn" onClick={() => upload(true)} style={{ marginRight: "8px" }} disabled={!file}>
+            Check File
+          </button>
+          <button className="btn" onClick={() => upload(false)} disabled={!file}>
+            Import
+          </button>
+
+          {result && (
+            <div style={{ marginTop: "12px" }}>
+              <div className="small">{result.message || result.error}</div>
+              {result.errors && (
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.errors.map((e) => (
+                      <tr key={e.row}>
+                        <td>{e.row}</td>
+                        <td>{e.errors.join("; ")}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
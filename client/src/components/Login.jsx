@@ -0,0 +1,59 @@
+import React, { useState } from "react";
+import { setSession, branchPath } from "../api";
+
+export default function Login() {
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    setError(null);
+
+    try {
+      const res = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          username: form.username.value,
+          password: form.password.value,
+        }),
+      });
+      const result = await res.json();
+      if (!res.ok) {
+        setError(result.error);
+        return;
+      }
+      setSession(result);
+      window.location.href = branchPath("/");
+    } catch {
+      setError("Network error");
+    }
+  }
+
+  return (
+    <div className="grid">
+      <div className="card">
+        <h2>Staff Sign In</h2>
+        <form onSubmit={handleSubmit}>
+          <input name="username" className="form-input" placeholder="Username" autoComplete="username" required />
+          <input
+            name="password"
+            type="password"
+            className="form-input"
+            placeholder="Password"
+            autoComplete="current-password"
+            required
+          />
+          {error && (
+            <div className="small" style={{ color: "#FF6B6B", marginBottom: "12px" }}>
+              {error}
+            </div>
+          )}
+          <button className="btn" type="submit">
+            Sign In
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
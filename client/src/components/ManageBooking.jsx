@@ -0,0 +1,150 @@
+import React, { useState } from "react";
+import { apiUrl } from "../api";
+
+// Public page where customers find their booking with its code and the
+// phone number they booked with, then cancel it or move it to another time
+export default function ManageBooking() {
+  const [lookup, setLookup] = useState({ booking_code: "", contact: "" });
+  const [bookings, setBookings] = useState(null);
+  const [newTime, setNewTime] = useState({ datetime: "", duration: "01:00" });
+  const [suggestions, setSuggestions] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  async function post(path, body) {
+    const res = await fetch(apiUrl(`/api/bookings/${path}`), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...lookup, ...body }),
+    });
+    return { ok: res.ok, data: await res.json() };
+  }
+
+  async function find(e) {
+    if (e) e.preventDefault();
+    try {
+      const { ok, data } = await post("lookup");
+      setBookings(ok ? data.bookings : null);
+      setMessage(ok ? null : data.error);
+    } catch {
+      setMessage("Network error");
+    }
+  }
+
+  async function cancel() {
+    if (!window.confirm("Cancel this booking?")) return;
+    const reason = window.prompt("Reason (optional)") || "";
+    const { ok, data } = await post("cancel", { reason });
+    setMessage(ok ? data.message : data.error);
+    if (ok) find();
+  }
+
+  async function reschedule(e) {
+    e.preventDefault();
+    // The picker gives wall-clock "YYYY-MM-DDTHH:MM"; the server reads it in the booking's branch timezone
+    const [bookingDate, startTime] = newTime.datetime.split("T");
+    const [hours, minutes] = newTime.duration.split(":").map(Number);
+    const { ok, data } = await post("reschedule", {
+      booking_date: bookingDate,
+      start_time: startTime,
+      duration_hours: (hours + minutes / 60).toFixed(2),
+    });
+    setSuggestions(ok ? [] : data.suggestions || []);
+    setMessage(ok ? `${data.message} - new price ₹${data.booking.total_price}` : data.error);
+    if (ok) find();
+  }
+
+  // A suggested time fills the form, to be confirmed with Reschedule
+  function pickSuggestion(s) {
+    setNewTime({ ...newTime, datetime: `${s.booking_date}T${s.start_time}` });
+    setSuggestions([]);
+  }
+
+  // Only single bookings can be moved; a group member found by its own code can't
+  const booking = bookings && bookings.length === 1 && !bookings[0].group_code ? bookings[0] : null;
+  const canChange = bookings && bookings.every((b) => b.can_change);
+
+  return (
+    <div className="grid">
+      <div className="card">
+        <h2>My Booking</h2>
+        <form onSubmit={find}>
+          <input
+            className="form-input"
+            placeholder="Booking code"
+            value={lookup.booking_code}
+            onChange={(e) => setLookup({ ...lookup, booking_code: e.target.value })}
+            required
+          />
+          <input
+            className="form-input"
+            placeholder="Phone number you booked with"
+            value={lookup.contact}
+            onChange={(e) => setLookup({ ...lookup, contact: e.target.value })}
+            required
+          />
+          <button className="btn" type="submit">
+            Find Booking
+          </button>
+        </form>
+        {message && <div className="small" style={{ marginTop: "8px" }}>{message}</div>}
+      </div>
+
+      {bookings && (
+        <div className="card">
+          <h3>{bookings.length > 1 ? `Group ${bookings[0].group_code}` : bookings[0].booking_code}</h3>
+          {bookings.map((b) => (
+            <div key={b.booking_code} className="small" style={{ marginBottom: "8px" }}>
+              {b.branch_name && `${b.branch_name} · `}{b.station_name} · {b.booking_date} {b.start_time}-{b.end_time} · {b.duration_hours}hrs · ₹
+              {b.total_price} ({b.amount_paid ? `₹${b.amount_paid} paid` : "pay at the counter"}) ·{" "}
+              {b.status.replace("_", "-")}
+            </div>
+          ))}
+
+          {canChange ? (
+            <>
+              <button className="btn" onClick={cancel} style={{ marginBottom: "12px" }}>
+                Cancel Booking
+              </button>
+              {booking && (
+                <form onSubmit={reschedule}>
+                  <label className="small">New date & time</label>
+                  <input
+                    type="datetime-local"
+                    className="form-input"
+                    value={newTime.datetime}
+                    onChange={(e) => setNewTime({ ...newTime, datetime: e.target.value })}
+                    required
+                  />
+                  <label className="small">Duration (hours:minutes)</label>
+                  <input
+                    type="time"
+                    className="form-input"
+                    style={{ color: "#000" }}
+                    value={newTime.duration}
+                    onChange={(e) => setNewTime({ ...newTime, duration: e.target.value })}
+                    required
+                  />
+                  <button className="btn" type="submit">
+                    Reschedule
+                  </button>
+                </form>
+              )}
+              {suggestions.length > 0 && (
+                <div className="small" style={{ marginTop: "8px" }}>
+                  Free instead:{" "}
+                  {suggestions.map((s) => (
+                    <button key={s.starts_at} className="btn" onClick={() => pickSuggestion(s)} style={{ marginRight: "8px" }}>
+                      {s.booking_date} {s.start_time}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="small">This booking can no longer be changed online - please ask at the counter.</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from "react";
+import { apiFetch } from "../api";
+
+const KIND_LABELS = {
+  booking_confirmed: "Confirmation",
+  reminder: "Reminder",
+  time_warning: "Time warning",
+  booking_cancelled: "Cancellation",
+};
+
+// The delivery log of messages sent to customers, newest first. Failed
+// messages can be sent again once the provider is back.
+export default function NotificationLog() {
+  const [entries, setEntries] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [status, setStatus] = useState("");
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    loadLog(status);
+  }, [status]);
+
+  useEffect(() => {
+    apiFetch("/api/notifications/settings")
+      .then((res) => (res.ok ? res.json() : null))
+      .then(setSettings)
+      .catch(() => setSettings(null));
+  }, []);
+
+  async function loadLog(filter) {
+    try {
+      const res = await apiFetch(`/api/notifications${filter ? `?status=${filter}` : ""}`);
+      const data = await res.json();
+      setEntries(res.ok ? data : []);
+    } catch (err) {
+      console.error("Failed to load notifications:", err);
+      setEntries([]);
+    }
+  }
+
+  async function resend(entry) {
+    const res = await apiFetch(`/api/notifications/${entry.id}/resend`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{}",
+    });
+    const result = await res.json();
+    setMessage(result.message || `Error: ${result.error}`);
+    await loadLog(status);
+  }
+
+  const channels = settings ? Object.entries(settings.channels) : [];
+
+  return (
+    <div className="card">
+      <h2>Messages to Customers</h2>
+      {settings && (
+        <div className="small" style={{ marginBottom: "12px" }}>
+          {channels.length
+            ? `Sending by ${channels.map(([channel, provider]) => `${channel} (${provider})`).join(", ")}. ` +
+              `Reminders ${settings.reminder_minutes} minutes before the start, warnings ${settings.warning_minutes} minutes before the end.`
+            : "No channels are on - set NOTIFY_SMS, NOTIFY_WHATSAPP or NOTIFY_EMAIL on the server."}
+        </div>
+      )}
+      <select className="form-input" style={{ color: "#000" }} value={status} onChange={(e) => setStatus(e.target.value)}>
+        <option value="">All messages</option>
+        <option value="sent">Sent</option>
+        <option value="failed">Failed</option>
+      </select>
+      {message && (
+        <div className="small" style={{ marginBottom: "12px" }}>
+          {message}
+        </div>
+      )}
+      <table className="table">
+        <thead>
+          <tr>
+            <th>Sent</th>
+            <th>Message</th>
+            <th>To</th>
+            <th>Status</th>
+            <th>Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((e) => (
+            <tr key={e.id}>
+              <td className="small">{new Date(e.created_at).toLocaleString()}</td>
+              <td>
+                <strong>{KIND_LABELS[e.kind] || e.kind}</strong>
+                <div className="small">{e.message}</div>
+              </td>
+              <td className="small">
+                {e.recipient} ({e.channel})
+              </td>
+              <td style={{ color: e.status === "sent" ? "#00AA00" : "#CC0000", fontWeight: 600 }}>
+                {e.status === "sent" ? "Sent" : `Failed: ${e.error}`}
+              </td>
+              <td>
+                {e.status === "failed" && (
+                  <button className="btn" onClick={() => resend(e)}>
+                    Resend
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {entries.length === 0 && <div className="small">No messages yet.</div>}
+    </div>
+  );
+}
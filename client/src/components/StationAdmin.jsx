@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from "react";
+import { apiFetch, apiUrl, hasRole } from "../api";
+
+const STATUS_LABELS = {
+  available: "In service",
+  maintenance: "Maintenance",
+  out_of_order: "Out of order",
+  retired: "Retired",
+};
+
+const STATUS_COLORS = {
+  available: "#00AA00",
+  maintenance: "orange",
+  out_of_order: "#FF0000",
+  retired: "#666",
+};
+
+export default function StationAdmin() {
+  const [stations, setStations] = useState([]);
+  const [stationTypes, setStationTypes] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  // Staff can take stations in and out of service; adding, renaming and retiring is for the owner
+  const isOwner = hasRole("owner");
+
+  useEffect(() => {
+    loadStations();
+    loadStationTypes();
+  }, []);
+
+  async function loadStations() {
+    try {
+      const res = await apiFetch("/api/stations/all");
+      const data = await res.json();
+      setStations(data);
+    } catch (err) {
+      console.error("Failed to load stations:", err);
+      setStations([]);
+    }
+    setLoading(false);
+  }
+
+  // Station types come from the rate card, so every station can be priced
+  async function loadStationTypes() {
+    try {
+      const res = await fetch(apiUrl("/api/pricing/rate-card"));
+      const card = await res.json();
+      setStationTypes(Object.keys(card.types || {}));
+    } catch (err) {
+      console.error("Failed to load rate card:", err);
+    }
+  }
+
+  // Report the result of a change, listing bookings staff may need to move
+  function showResult(result) {
+    const affected = result.affected_bookings || [];
+    setMessage(
+      affected.length > 0
+        ? `${result.message}. Upcoming bookings on this station: ${affected
+            .map((b) => `${b.booking_code} (${b.user_name}, ${b.booking_date} ${b.start_time})`)
+            .join(", ")}`
+        : result.message
+    );
+  }
+
+  async function send(url, method, body) {
+    const res = await apiFetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const result = await res.json();
+    if (!res.ok) {
+      setMessage(`Error: ${result.error}`);
+      return false;
+    }
+    showResult(result);
+    await loadStations();
+    return true;
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    const form = e.target;
+    const added = await send("/api/stations", "POST", {
+      station_name: form.station_name.value,
+      specs: form.specs.value,
+    });
+    if (added) form.reset();
+  }
+
+  function setEdit(id, field, value) {
+    setEdits((current) => ({ ...current, [id]: { ...current[id], [field]: value } }));
+  }
+
+  async function saveStation(station) {
+    const changes = edits[station.id];
+    if (!changes) return;
+    const saved = await send(`/api/stations/${station.id}`, "PATCH", changes);
+    if (saved) {
+      setEdits((current) => {
+        const { [station.id]: _, ...rest } = current;
+        return rest;
+      });
+    }
+  }
+
+  async function retireStation(station) {
+    if (!window.confirm(`Retire ${station.station_name}? It will no longer take bookings.`)) return;
+    await send(`/api/stations/${station.id}`, "DELETE");
+  }
+
+  return (
+    <div className="grid">
+      {isOwner && (
+      <div className="card">
+        <h2>Add a Station</h2>
+        <form onSubmit={handleAdd}>
+          <input name="station_name" className="form-input" placeholder="Station name" required />
+          <label className="small">Type</label>
+          <select name="specs" className="form-input" required style={{ color: "#000" }}>
+            {stationTypes.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+          <button className="btn" type="submit">
+            Add Station
+          </button>
+        </form>
+      </div>
+      )}
+
+      <div className="card">
+        <h2>Stations</h2>
+        {message && (
+          <div className="small" style={{ marginBottom: "12px" }}>
+            {message}
+          </div>
+        )}
+        {loading ? (
+          <div className="small">Loading...</div>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Name</th>
+                <th>Type</th>
+                <th>Status</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stations.map((s) => {
+                const edit = edits[s.id] || {};
+                const retired = s.status === "retired";
+                return (
+                  <tr key={s.id}>
+                    <td>{s.id}</td>
+                    <td>
+                      <input
+                        className="form-input"
+                        style={{ marginBottom: 0 }}
+                        disabled={retired || !isOwner}
+                        value={edit.station_name ?? s.station_name}
+                        onChange={(e) => setEdit(s.id, "station_name", e.target.value)}
+                      />
+                    </td>
+                    <td>
+                      <select
+                        className="form-input"
+                        style={{ marginBottom: 0, color: "#000" }}
+                        disabled={retired || !isOwner}
+                        value={edit.specs ?? s.specs}
+                        onChange={(e) => setEdit(s.id, "specs", e.target.value)}
+                      >
+                        {!stationTypes.includes(s.specs) && <option value={s.specs}>{s.specs}</option>}
+                        {stationTypes.map((type) => (
+                          <option key={type} value={type}>
+                            {type}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      {retired ? (
+                        <span style={{ color: STATUS_COLORS.retired, fontWeight: 600 }}>
+                          {STATUS_LABELS.retired}
+                        </span>
+                      ) : (
+                        <select
+                          className="form-input"
+                          style={{
+                            marginBottom: 0,
+                            color: STATUS_COLORS[edit.status ?? s.status],
+                            fontWeight: 600,
+                          }}
+                          value={edit.status ?? s.status}
+                          onChange={(e) => setEdit(s.id, "status", e.target.value)}
+                        >
+                          {["available", "maintenance", "out_of_order"].map((status) => (
+                            <option key={status} value={status}>
+                              {STATUS_LABELS[status]}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </td>
+                    <td style={{ whiteSpace: "nowrap" }}>
+                      {!retired && (
+                        <>
+                          <button
+                            className="btn"
+                            disabled={!edits[s.id]}
+                            onClick={() => saveStation(s)}
+                            style={{ marginRight: "8px" }}
+                          >
+                            Save
+                          </button>
+                          {isOwner && (
+                            <button className="btn" onClick={() => retireStation(s)}>
+                              Retire
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
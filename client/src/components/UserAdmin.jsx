@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from "react";
+import { apiFetch, getUser } from "../api";
+
+const ROLE_LABELS = {
+  staff: "Staff",
+  owner: "Owner",
+};
+
+// An account's branch as a select value: "" for every branch
+const branchValue = (user) => (user.branch_id ? String(user.branch_id) : "");
+const readBranch = (value) => (value ? Number(value) : null);
+
+export default function UserAdmin() {
+  const [users, setUsers] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const me = getUser();
+  // Owners tied to a branch only manage that branch's accounts
+  const chooseBranch = me && !me.branch_id && branches.length > 1;
+
+  useEffect(() => {
+    loadUsers();
+    apiFetch("/api/branches")
+      .then((res) => (res.ok ? res.json() : []))
+      .then(setBranches)
+      .catch(() => setBranches([]));
+  }, []);
+
+  async function loadUsers() {
+    try {
+      const res = await apiFetch("/api/auth/users");
+      const data = await res.json();
+      setUsers(res.ok ? data : []);
+    } catch (err) {
+      console.error("Failed to load users:", err);
+      setUsers([]);
+    }
+    setLoading(false);
+  }
+
+  async function send(url, method, body) {
+    const res = await apiFetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const result = await res.json();
+    if (!res.ok) {
+      setMessage(`Error: ${result.error}`);
+      return false;
+    }
+    setMessage(result.message);
+    await loadUsers();
+    return true;
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    const form = e.target;
+    const added = await send("/api/auth/users", "POST", {
+      username: form.username.value,
+      password: form.password.value,
+      role: form.role.value,
+      ...(chooseBranch ? { branch_id: readBranch(form.branch_id.value) } : {}),
+    });
+    if (added) form.reset();
+  }
+
+  async function resetPassword(user) {
+    const password = window.prompt(`New password for ${user.username}`);
+    if (password) await send(`/api/auth/users/${user.id}`, "PATCH", { password });
+  }
+
+  return (
+    <div className="grid">
+      <div className="card">
+        <h2>Add a Staff Account</h2>
+        <form onSubmit={handleAdd}>
+          <input name="username" className="form-input" placeholder="Username" required />
+          <input
+            name="password"
+            type="password"
+            className="form-input"
+            placeholder="Password (8+ characters)"
+            autoComplete="new-password"
+            required
+          />
+          <label className="small">Role</label>
+          <select name="role" className="form-input" style={{ color: "#000" }}>
+            {Object.entries(ROLE_LABELS).map(([role, label]) => (
+              <option key={role} value={role}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {chooseBranch && (
+            <>
+              <label className="small">Branch</label>
+              <select name="branch_id" className="form-input" style={{ color: "#000" }}>
+                <option value="">All branches</option>
+                {branches.map((b) => (
+                  <option key={b.id} value={b.id}>
+                    {b.name}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+          <button className="btn" type="submit">
+            Add Account
+          </button>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Staff Accounts</h2>
+        {message && (
+          <div className="small" style={{ marginBottom: "12px" }}>
+            {message}
+          </div>
+        )}
+        {loading ? (
+          <div className="small">Loading...</div>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Username</th>
+                <th>Role</th>
+                {chooseBranch && <th>Branch</th>}
+                <th>Status</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((u) => {
+                const self = me && me.id === u.id;
+                return (
+                  <tr key={u.id}>
+                    <td>{u.username}</td>
+                    <td>
+                      <select
+                        className="form-input"
+                        style={{ marginBottom: 0, color: "#000" }}
+                        disabled={self}
+                        value={u.role}
+                        onChange={(e) => send(`/api/auth/users/${u.id}`, "PATCH", { role: e.target.value })}
+                      >
+                        {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                          <option key={role} value={role}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    {chooseBranch && (
+                      <td>
+                        <select
+                          className="form-input"
+                          style={{ marginBottom: 0, color: "#000" }}
+                          disabled={self}
+                          value={branchValue(u)}
+                          onChange={(e) =>
+                            send(`/api/auth/users/${u.id}`, "PATCH", { branch_id: readBranch(e.target.value) })
+                          }
+                        >
+                          <option value="">All branches</option>
+                          {branches.map((b) => (
+                            <option key={b.id} value={b.id}>
+                              {b.name}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                    )}
+                    <td style={{ color: u.active ? "#00AA00" : "#666", fontWeight: 600 }}>
+                      {u.active ? "Active" : "Deactivated"}
+                    </td>
+                    <td style={{ whiteSpace: "nowrap" }}>
+                      <button className="btn" onClick={() => resetPassword(u)} style={{ marginRight: "8px" }}>
+                        Reset Password
+                      </button>
+                      {!self && (
+                        <button
+                          className="btn"
+                          onClick={() => send(`/api/auth/users/${u.id}`, "PATCH", { active: !u.active })}
+                        >
+                          {u.active ? "Deactivate" : "Reactivate"}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from "react";
+import { apiFetch, hasRole } from "../api";
+
+function formatWait(minutes) {
+  if (minutes === null) return "no estimate";
+  if (minutes <= 0) return "next free station";
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `~${hours}h ${minutes % 60}m` : `~${minutes}m`;
+}
+
+// Walk-in queue per station type. Walk-ins are seated by the server as
+// stations free up; `seated` is the last entry it seated, shown as a notice.
+export default function WaitlistPanel({ stationTypes, refreshKey, seated }) {
+  const [entries, setEntries] = useState([]);
+  const [message, setMessage] = useState(null);
+  const isStaff = hasRole("staff");
+
+  useEffect(() => {
+    loadWaitlist();
+  }, [refreshKey]);
+
+  // Estimated waits shrink as sessions run down
+  useEffect(() => {
+    const timer = setInterval(loadWaitlist, 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (seated) {
+      setMessage(`Walk-in #${seated.id}${seated.user_name ? ` (${seated.user_name})` : ""} has been seated`);
+    }
+  }, [seated]);
+
+  async function loadWaitlist() {
+    try {
+      const res = await apiFetch("/api/waitlist");
+      const data = await res.json();
+      setEntries(res.ok ? data : []);
+    } catch (err) {
+      console.error("Failed to load waitlist:", err);
+      setEntries([]);
+    }
+  }
+
+  async function handleJoin(e) {
+    e.preventDefault();
+    const form = e.target;
+    const res = await apiFetch("/api/waitlist", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        user_name: form.user_name.value,
+        contact: form.contact.value,
+        station_type: form.station_type.value,
+        duration_hours: parseFloat(form.duration_hours.value),
+      }),
+    });
+    const result = await res.json();
+    if (!res.ok) {
+      setMessage(`Error: ${result.error}`);
+      return;
+    }
+    setMessage(`Added as walk-in #${result.entry.id}`);
+    form.reset();
+    loadWaitlist();
+  }
+
+  async function removeEntry(entry) {
+    if (!window.confirm(`Take ${entry.user_name} off the waitlist?`)) return;
+    const res = await apiFetch(`/api/waitlist/${entry.id}/leave`, { method: "POST" });
+    const result = await res.json();
+    setMessage(res.ok ? result.message : `Error: ${result.error}`);
+    loadWaitlist();
+  }
+
+  return (
+    <div>
+      {message && (
+        <div className="small" style={{ marginBottom: "12px" }}>
+          {message}
+        </div>
+      )}
+
+      {stationTypes.map((type) => {
+        const queue = entries.filter((entry) => entry.station_type === type);
+        return (
+          <div key={type} style={{ marginBottom: "12px" }}>
+            <strong>{type}</strong> <span className="small">({queue.length} waiting)</span>
+            {queue.map((entry) => (
+              <div
+                key={entry.id}
+                className="small"
+                style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "4px 0" }}
+              >
+                <span>
+                  {entry.position}. #{entry.id}
+                  {isStaff && ` ${entry.user_name}`} - {entry.duration_hours}h, {formatWait(entry.estimated_wait_minutes)}
+                </span>
+                {isStaff && (
+                  <button className="btn" onClick={() => removeEntry(entry)}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        );
+      })}
+
+      <form onSubmit={handleJoin}>
+        <input name="user_name" className="form-input" placeholder="Name" required />
+        <input name="contact" className="form-input" placeholder="Contact (optional)" />
+        <select name="station_type" className="form-input" style={{ color: "#000" }}>
+          {stationTypes.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+        <select name="duration_hours" className="form-input" defaultValue="1" style={{ color: "#000" }}>
+          <option value="0.5">30 minutes</option>
+          <option value="1">1 hour</option>
+          <option value="2">2 hours</option>
+          <option value="3">3 hours</option>
+        </select>
+        <button className="btn" type="submit">
+          Join Waitlist
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,2 @@
+// Runs before every client test (react-scripts picks this file up)
+import "@testing-library/jest-dom";
@@ -0,0 +1,28 @@
+// A station's live status from the bookings list: OCCUPIED with the booking
+// and a countdown while a confirmed booking is running at `now`, otherwise
+// AVAILABLE. Completed early, cancelled and no-show bookings don't count.
+export function computeStationStatus(station, bookings, now) {
+  const activeBooking = bookings.find((b) => {
+    if (b.station_id !== station.id) return false;
+    if (b.status !== "confirmed") return false;
+
+    // starts_at/ends_at are real instants, so sessions past midnight just work
+    return now >= new Date(b.starts_at) && now < new Date(b.ends_at);
+  });
+
+  if (!activeBooking) return { status: "AVAILABLE" };
+  return {
+    status: "OCCUPIED",
+    currentBooking: activeBooking,
+    timeRemaining: formatTimeRemaining(new Date(activeBooking.ends_at) - now),
+  };
+}
+
+// "1h 05m 09s", or "5m 09s" under an hour; never negative
+export function formatTimeRemaining(ms) {
+  const diffSecs = Math.max(0, Math.floor(ms / 1000));
+  const hrs = Math.floor(diffSecs / 3600);
+  const mins = Math.floor((diffSecs % 3600) / 60);
+  const secs = diffSecs % 60;
+  return `${hrs > 0 ? `${hrs}h ` : ""}${mins}m ${String(secs).padStart(2, "0")}s`;
+}
@@ -0,0 +1,47 @@
+import { computeStationStatus, formatTimeRemaining } from "./stationStatus";
+
+const station = { id: 1 };
+const booking = (fields) => ({
+  id: 1,
+  station_id: 1,
+  status: "confirmed",
+  starts_at: "2024-06-01T17:30:00Z",
+  ends_at: "2024-06-01T19:30:00Z",
+  ...fields,
+});
+
+describe("computeStationStatus", () => {
+  test("is occupied while a confirmed booking runs", () => {
+    const now = new Date("2024-06-01T18:00:00Z");
+    const computed = computeStationStatus(station, [booking()], now);
+    expect(computed.status).toBe("OCCUPIED");
+    expect(computed.currentBooking.id).toBe(1);
+    expect(computed.timeRemaining).toBe("1h 30m 00s");
+  });
+
+  test("counts down across midnight", () => {
+    // 23:00-01:00 in Kolkata
+    const overnight = booking({ starts_at: "2024-06-01T17:30:00Z", ends_at: "2024-06-01T19:30:00Z" });
+    const afterMidnight = new Date("2024-06-01T18:45:30Z");
+    expect(computeStationStatus(station, [overnight], afterMidnight).timeRemaining).toBe("44m 30s");
+  });
+
+  test("is available before the start, at the end and for other stations", () => {
+    expect(computeStationStatus(station, [booking()], new Date("2024-06-01T17:29:59Z")).status).toBe("AVAILABLE");
+    expect(computeStationStatus(station, [booking()], new Date("2024-06-01T19:30:00Z")).status).toBe("AVAILABLE");
+    expect(computeStationStatus({ id: 2 }, [booking()], new Date("2024-06-01T18:00:00Z")).status).toBe("AVAILABLE");
+  });
+
+  test("ignores bookings that are no longer confirmed", () => {
+    const now = new Date("2024-06-01T18:00:00Z");
+    for (const status of ["completed", "cancelled", "no_show"]) {
+      expect(computeStationStatus(station, [booking({ status })], now).status).toBe("AVAILABLE");
+    }
+  });
+});
+
+describe("formatTimeRemaining", () => {
+  test("never goes negative", () => {
+    expect(formatTimeRemaining(-5000)).toBe("0m 00s");
+  });
+});
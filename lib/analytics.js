@@ -0,0 +1,206 @@
+const { invalid } = require('./errors');
+const { roundMoney } = require('./pricing');
+const { hoursPlayed } = require('./customers');
+const { openPeriods } = require('./schedule');
+const { CAFE_TIMEZONE, DATE_PATTERN, toZonedDateTime, zonedTimeToUtc, weekdayOf, addDays, dayWindow } = require('./time');
+
+// Revenue and utilisation reports over a range of cafe-local dates. Only
+// completed bookings count: they are the sessions that were played and paid
+// for. Utilisation is the time played on a station against the time the
+// cafe was open (see lib/schedule.js) while the station existed.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const GROUP_BY = ['day', 'week', 'month'];
+
+// Longest range a report covers, so one request can't walk years of bookings
+const MAX_RANGE_DAYS = 366;
+
+// Reports cover the last 30 days unless asked otherwise
+const DEFAULT_RANGE_DAYS = 30;
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+const percent = (part, whole) => (whole > 0 ? round1((part / whole) * 100) : 0);
+
+// Read ?from=&to=&group_by= into { from, to, groupBy }, or throw a 400.
+// `to` defaults to today in the timezone.
+function readRange(query, now = new Date(), timeZone = CAFE_TIMEZONE) {
+  const to = query.to || toZonedDateTime(now, timeZone).date;
+  const from = query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+  const groupBy = query.group_by || 'day';
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    throw invalid(DATE_PATTERN.test(from) ? 'to' : 'from', 'from and to must be YYYY-MM-DD', 'invalid_format');
+  }
+  if (from > to) {
+    throw invalid('from', 'from must be on or before to', 'too_large');
+  }
+  if (addDays(from, MAX_RANGE_DAYS - 1) < to) {
+    throw invalid('to', `A report can cover at most ${MAX_RANGE_DAYS} days`, 'too_large');
+  }
+  if (!GROUP_BY.includes(groupBy)) {
+    throw invalid('group_by', `group_by must be one of ${GROUP_BY.join(', ')}`, 'invalid_choice');
+  }
+  return { from, to, groupBy };
+}
+
+// The period a date falls in: the date itself, the Monday its week starts
+// on, or 'YYYY-MM'
+function periodOf(date, groupBy) {
+  if (groupBy === 'month') return date.slice(0, 7);
+  if (groupBy === 'week') {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7));
+  }
+  return date;
+}
+
+// Hours of [start, end) that fall inside any of the periods
+function overlapHours(periods, start, end) {
+  let ms = 0;
+  for (const [open, close] of periods) {
+    const from = Math.max(open, start);
+    const to = Math.min(close, end);
+    if (to > from) ms += to - from;
+  }
+  return ms / HOUR_MS;
+}
+
+// When a completed booking was actually played
+const playedWindow = booking => ({
+  start: new Date(booking.starts_at),
+  end: new Date(booking.starts_at).getTime() + hoursPlayed(booking) * HOUR_MS
+});
+
+// Split a played window into local clock hours: calls add(weekday, hour, hours)
+function spreadOverHours(start, end, timeZone, add) {
+  let cursor = start.getTime();
+  while (cursor < end) {
+    const instant = new Date(cursor);
+    const { date, time } = toZonedDateTime(instant, timeZone);
+    const hour = Number(time.slice(0, 2));
+    const next = hour === 23
+      ? zonedTimeToUtc(addDays(date, 1), '00:00', timeZone)
+      : zonedTimeToUtc(date, `${String(hour + 1).padStart(2, '0')}:00`, timeZone);
+    const stop = Math.min(end, next.getTime());
+    add(weekdayOf(instant, timeZone), hour, (stop - cursor) / HOUR_MS);
+    cursor = stop;
+  }
+}
+
+function utilisationRow(played, open) {
+  return {
+    bookings: played.bookings,
+    hours_played: round2(played.hours),
+    open_hours: round2(open),
+    utilisation_percent: percent(played.hours, open),
+    revenue: roundMoney(played.revenue)
+  };
+}
+
+// The whole report for { from, to, groupBy }, on one branch's bookings,
+// stations and schedule, with dates and hours in its timezone
+function buildAnalytics({ bookings, stations, schedule }, { from, to, groupBy }, timeZone = CAFE_TIMEZONE) {
+  const start = dayWindow(from, timeZone).start;
+  const end = dayWindow(to, timeZone).end;
+  const open = openPeriods(schedule, start, end, timeZone)
+    .map(([openAt, closeAt]) => [Math.max(openAt, start), Math.min(closeAt, end)]);
+
+  const completed = bookings.filter(b => b.status === 'completed');
+  const inRange = completed.filter(b => b.booking_date >= from && b.booking_date <= to);
+
+  // Revenue per period, with empty periods filled in so charts have no gaps
+  const periods = new Map();
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const period = periodOf(date, groupBy);
+    if (!periods.has(period)) periods.set(period, { period, revenue: 0, bookings: 0, hours_played: 0 });
+  }
+  for (const booking of inRange) {
+    const row = periods.get(periodOf(booking.booking_date, groupBy));
+    row.revenue = roundMoney(row.revenue + (booking.total_price || 0));
+    row.bookings += 1;
+    row.hours_played = round2(row.hours_played + hoursPlayed(booking));
+  }
+
+  // Played time per station, and per weekday and hour for the heatmap
+  const played = new Map(stations.map(s => [s.id, { bookings: 0, hours: 0, revenue: 0 }]));
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  for (const booking of inRange) {
+    const station = played.get(booking.station_id);
+    const window = playedWindow(booking);
+    if (station) {
+      station.bookings += 1;
+      station.hours += hoursPlayed(booking);
+      station.revenue += booking.total_price || 0;
+    }
+    spreadOverHours(window.start, window.end, timeZone, (weekday, hour, hours) => {
+      heatmap[weekday][hour] += hours;
+    });
+  }
+
+  // A station added part way through the range only counts the time since
+  const stationRows = stations.map(station => {
+    const since = Math.max(start, new Date(station.created_at || start).getTime());
+    return {
+      station_id: station.id,
+      station_name: station.station_name,
+      station_type: station.specs,
+      ...utilisationRow(played.get(station.id), overlapHours(open, since, end))
+    };
+  });
+
+  const types = new Map();
+  for (const row of stationRows) {
+    const type = types.get(row.station_type) || { bookings: 0, hours: 0, revenue: 0, open: 0, stations: 0 };
+    type.bookings += row.bookings;
+    type.hours += row.hours_played;
+    type.revenue += row.revenue;
+    type.open += row.open_hours;
+    type.stations += 1;
+    types.set(row.station_type, type);
+  }
+  const typeRows = [...types].map(([stationType, type]) => ({
+    station_type: stationType,
+    stations: type.stations,
+    ...utilisationRow(type, type.open)
+  }));
+
+  // Customers seen in the range, and those who have come on more than one
+  // day (counting visits before the range)
+  const visits = new Map();
+  for (const booking of completed) {
+    if (!booking.customer_id || booking.booking_date > to) continue;
+    if (!visits.has(booking.customer_id)) visits.set(booking.customer_id, new Set());
+    visits.get(booking.customer_id).add(booking.booking_date);
+  }
+  const customers = [...new Set(inRange.filter(b => b.customer_id).map(b => b.customer_id))];
+  const repeat = customers.filter(id => visits.get(id).size > 1);
+
+  const hours = inRange.reduce((sum, b) => sum + hoursPlayed(b), 0);
+
+  return {
+    from,
+    to,
+    group_by: groupBy,
+    timezone: timeZone,
+    summary: {
+      revenue: roundMoney(inRange.reduce((sum, b) => sum + (b.total_price || 0), 0)),
+      bookings: inRange.length,
+      hours_played: round2(hours),
+      average_session_minutes: inRange.length ? Math.round((hours * 60) / inRange.length) : 0,
+      utilisation_percent: percent(hours, stationRows.reduce((sum, row) => sum + row.open_hours, 0)),
+      customers: customers.length,
+      repeat_customers: repeat.length,
+      repeat_customer_rate_percent: percent(repeat.length, customers.length)
+    },
+    revenue: [...periods.values()],
+    stations: stationRows,
+    station_types: typeRows,
+    // peak_hours[weekday][hour]: station-hours played in that cafe-local
+    // hour, weekday 0 = Sunday
+    peak_hours: heatmap.map(row => row.map(round2))
+  };
+}
+
+module.exports = { GROUP_BY, readRange, buildAnalytics };
@@ -0,0 +1,127 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { AppError, sendError } = require('./errors');
+const { authenticate } = require('./auth');
+const { selectBranch } = require('./branches');
+const authRoutes = require('./routes/auth');
+const stationRoutes = require('./routes/stations');
+const bookingRoutes = require('./routes/bookings');
+const pricingRoutes = require('./routes/pricing');
+const scheduleRoutes = require('./routes/schedule');
+const waitlistRoutes = require('./routes/waitlist');
+const customerRoutes = require('./routes/customers');
+const packageRoutes = require('./routes/packages');
+const reportRoutes = require('./routes/reports');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
+const eventRoutes = require('./routes/events');
+const healthRoutes = require('./routes/health');
+const branchRoutes = require('./routes/branches');
+const notificationRoutes = require('./routes/notifications');
+
+const CLIENT_BUILD = path.join(__dirname, '..', 'client', 'build');
+
+// The Express app, without listening or touching storage until a request
+// arrives. server.js builds it over the configured storage and starts it;
+// anything else (a script, a test) can build one over any storage, e.g.
+// createApp({ storage: createStorage({ STORAGE: 'memory' }) }) after
+// storage.init(). Some routes watch storage and run timers in the
+// background; app.close() stops them all and resolves once the work they
+// already queued is done. It leaves storage open.
+function createApp({ storage, env = process.env }) {
+  const app = express();
+
+  // Stop functions of the routes' background work, run by app.close()
+  const stops = [];
+  const onClose = stop => stops.push(stop);
+  app.close = () => Promise.all(stops.map(stop => stop()));
+
+  // The client is served from this server, so cross-origin calls are only
+  // allowed from origins listed in CORS_ORIGINS (comma separated)
+  const corsOrigins = (env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+  // Middleware
+  if (corsOrigins.length > 0) app.use(cors({ origin: corsOrigins }));
+  app.use(express.json());
+  app.use(express.static(CLIENT_BUILD));
+
+  // Sets req.user from the bearer token; requests without one are public
+  app.use('/api', authenticate(storage));
+
+  // Every API route works on req.branch: /api/b/<slug>/... for a branch,
+  // plain /api/... for the first one
+  const api = express.Router();
+
+  // Staff sign-in and account management
+  api.use('/auth', authRoutes({ storage }));
+
+  // Stations: live availability and management
+  api.use('/stations', stationRoutes({ storage }));
+
+  // Bookings: create, list and status changes
+  api.use('/bookings', bookingRoutes({ storage }));
+
+  // Rate card and quotes
+  api.use('/pricing', pricingRoutes({ storage }));
+
+  // Opening hours, closures, buffers and booking limits
+  api.use('/schedule', scheduleRoutes({ storage }));
+
+  // Walk-in queue, seated automatically as stations free up
+  api.use('/waitlist', waitlistRoutes({ storage, onClose }));
+
+  // Customer profiles, booking history and loyalty points
+  api.use('/customers', customerRoutes({ storage, onClose }));
+
+  // Prepaid packages sold into customers' wallets
+  api.use('/packages', packageRoutes({ storage }));
+
+  // Cash-up and analytics
+  api.use('/reports', reportRoutes({ storage }));
+
+  // Bookings and stations as CSV / Excel files, out and in
+  api.use('/export', exportRoutes({ storage }));
+  api.use('/import', importRoutes({ storage }));
+
+  // Booking confirmations, reminders and notices to customers, and their delivery log
+  api.use('/notifications', notificationRoutes({ storage, env, onClose }));
+
+  // Live station and booking changes (Server-Sent Events)
+  api.use('/events', eventRoutes({ storage, onClose }));
+
+  // The cafe's locations
+  api.use('/branches', branchRoutes({ storage }));
+
+  // Storage, Sheets cache and backup health
+  api.use('/health', healthRoutes({ storage }));
+
+  // Unknown API paths get the same { error, code } body as every other error
+  api.use((req, res) => {
+    sendError(res, new AppError(`No API route for ${req.method} ${req.path}`, 404));
+  });
+
+  app.use('/api/b/:branch', selectBranch(storage), api);
+  app.use('/api', selectBranch(storage), api);
+
+  // Serve React app
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(CLIENT_BUILD, 'index.html'));
+  });
+
+  // Errors that reach Express itself, mostly request bodies it could not read:
+  // malformed JSON or a body over the size limit
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return sendError(res, new AppError('The request body is not valid JSON', 400, 'invalid_json'));
+    }
+    if (err.expose && err.status) {
+      return sendError(res, new AppError(err.message, err.status));
+    }
+    sendError(res, err, 'Something went wrong');
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { AppError, sendError } = require('./errors');
+const { worksAt } = require('./branches');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Staff sign in with a username and password and get a signed token to send
+// as "Authorization: Bearer <token>". Anyone without one is the public role.
+const ROLES = ['staff', 'owner'];
+const ROLE_RANK = { public: 0, staff: 1, owner: 2 };
+
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Lock a username out for a while after this many wrong passwords in a row
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+let SECRET = process.env.AUTH_SECRET;
+if (!SECRET) {
+  SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  AUTH_SECRET is not set - using a random secret, staff will be signed out on every restart');
+}
+
+// scrypt$<salt>$<hash>, both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const base64url = value => Buffer.from(value).toString('base64url');
+const sign = payload => crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+
+function signToken(user) {
+  const payload = base64url(JSON.stringify({ sub: user.id, role: user.role, exp: Date.now() + TOKEN_TTL_MS }));
+  return `${payload}.${sign(payload)}`;
+}
+
+// The token's claims, or null if it is malformed, tampered with or expired
+function verifyToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return claims.exp > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// A user as the API shows it - never the password hash
+function publicUser(user) {
+  const { password_hash, ...rest } = user;
+  return rest;
+}
+
+// Middleware: set req.user from the bearer token (null for the public). The
+// user is re-read so deactivating an account or changing its role applies at once.
+// With queryToken, ?access_token= is accepted as well, for the event stream
+// only: EventSource can't send headers, and URLs end up in logs.
+function authenticate(storage, { queryToken = false } = {}) {
+  return async (req, res, next) => {
+    req.user = null;
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : (queryToken ? req.query.access_token : null);
+    const claims = token ? verifyToken(token) : null;
+    if (!claims) return next();
+
+    try {
+      const user = await storage.users.get(claims.sub);
+      if (user && user.active) req.user = publicUser(user);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Staff accounts tied to a branch are the public everywhere else
+const roleOf = req => (req.user && worksAt(req.user, req.branch) ? req.user.role : 'public');
+
+// True when the request's user has at least the given role
+function hasRole(req, role) {
+  return ROLE_RANK[roleOf(req)] >= ROLE_RANK[role];
+}
+
+// Middleware: 401 without a login, 403 when the role is too low or the
+// account belongs to another branch
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, new AppError('Please sign in', 401));
+    }
+    if (!worksAt(req.user, req.branch)) {
+      return sendError(res, new AppError('Your account belongs to another branch', 403, 'other_branch'));
+    }
+    if (!hasRole(req, role)) {
+      return sendError(res, new AppError('You do not have permission to do that', 403));
+    }
+    next();
+  };
+}
+
+// Failed login counter per username, kept in memory
+function createLoginThrottle() {
+  const failures = new Map();
+
+  return {
+    isLocked(username) {
+      const entry = failures.get(username);
+      if (!entry || entry.count < MAX_FAILED_LOGINS) return false;
+      if (Date.now() - entry.last > LOGIN_LOCKOUT_MS) {
+        failures.delete(username);
+        return false;
+      }
+      return true;
+    },
+
+    fail(username) {
+      const entry = failures.get(username) || { count: 0, last: 0 };
+      failures.set(username, { count: entry.count + 1, last: Date.now() });
+    },
+
+    succeed(username) {
+      failures.delete(username);
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  publicUser,
+  authenticate,
+  hasRole,
+  requireRole,
+  createLoginThrottle
+};
@@ -0,0 +1,167 @@
+const { overlaps, bookingTimes } = require('./bookings');
+const { isBookable } = require('./stations');
+const { CAFE_TIMEZONE, toZonedDateTime } = require('./time');
+const { DEFAULT_SCHEDULE, getSchedule, scheduleProblem, bufferMinutes, openPeriods } = require('./schedule');
+
+// Free/busy views of the stations and suggestions for when a requested slot
+// is taken. Everything works on confirmed bookings only.
+
+// How far either side of the requested start to look for a free slot
+const SUGGESTION_SEARCH_MS = 12 * 60 * 60 * 1000;
+// Other stations of the same type offered at the requested time
+const MAX_ALTERNATIVE_STATIONS = 3;
+
+const toInterval = (start, end, timeZone) => ({
+  starts_at: start.toISOString(),
+  ends_at: end.toISOString(),
+  start_time: toZonedDateTime(start, timeZone).time,
+  end_time: toZonedDateTime(end, timeZone).time
+});
+
+// Bookings clipped to [from, to), merged where they touch or overlap, as [start, end] pairs
+function busyRanges(bookings, from, to) {
+  const ranges = bookings
+    .map(b => [new Date(Math.max(new Date(b.starts_at), from)), new Date(Math.min(new Date(b.ends_at), to))])
+    .filter(([start, end]) => start < end)
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const [start, end] of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      if (end > last[1]) last[1] = end;
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+// The gaps between busy ranges within [from, to)
+function freeRanges(busy, from, to) {
+  const free = [];
+  let cursor = from;
+  for (const [start, end] of busy) {
+    if (start > cursor) free.push([cursor, start]);
+    if (end > cursor) cursor = end;
+  }
+  if (cursor < to) free.push([cursor, to]);
+  return free;
+}
+
+// The parts of the ranges that fall within the periods, both [start, end] pairs in order
+function clipRanges(ranges, periods) {
+  const clipped = [];
+  for (const [start, end] of ranges) {
+    for (const [open, close] of periods) {
+      const from = new Date(Math.max(start, open));
+      const to = new Date(Math.min(end, close));
+      if (from < to) clipped.push([from, to]);
+    }
+  }
+  return clipped;
+}
+
+// Free and busy intervals of one station between two instants, with times
+// on the branch's clock. Free time is what a new booking could use: not
+// before `now`, within the schedule's opening hours and clear of the
+// station's buffer around other bookings.
+function stationTimeline(station, bookings, from, to, now = new Date(), timeZone = CAFE_TIMEZONE, schedule = DEFAULT_SCHEDULE) {
+  const own = bookings.filter(b => b.station_id === station.id && b.status === 'confirmed');
+  const busy = busyRanges(own, from, to);
+  const bookableFrom = new Date(Math.min(Math.max(from, now), to));
+
+  const gap = bufferMinutes(schedule, station.specs) * 60 * 1000;
+  const blocked = own.map(b => ({
+    starts_at: new Date(new Date(b.starts_at).getTime() - gap),
+    ends_at: new Date(new Date(b.ends_at).getTime() + gap)
+  }));
+  const free = clipRanges(
+    freeRanges(busyRanges(blocked, bookableFrom, to), bookableFrom, to),
+    openPeriods(schedule, bookableFrom, to, timeZone)
+  );
+
+  return {
+    id: station.id,
+    station_name: station.station_name,
+    specs: station.specs,
+    busy: busy.map(([start, end]) => toInterval(start, end, timeZone)),
+    free: free.map(([start, end]) => toInterval(start, end, timeZone))
+  };
+}
+
+// The free start nearest to `start` for a session of the same length on one
+// station, or null. Candidates are the requested start and the edges of the
+// bookings in the way: right after one ends, or ending just as one starts,
+// leaving `buffer` minutes either side. `allowed(start, end)` can rule out
+// candidates, e.g. outside opening hours.
+function nearestFreeStart(bookings, start, end, now = new Date(), buffer = 0, allowed = () => true) {
+  const duration = end - start;
+  const gap = buffer * 60 * 1000;
+  const isFree = candidate => {
+    const window = { starts_at: candidate, ends_at: new Date(candidate.getTime() + duration) };
+    return !bookings.some(b => overlaps(window, b, buffer)) && allowed(window.starts_at, window.ends_at);
+  };
+
+  const candidates = [start];
+  for (const b of bookings) {
+    candidates.push(new Date(new Date(b.ends_at).getTime() + gap), new Date(new Date(b.starts_at).getTime() - duration - gap));
+  }
+
+  return candidates
+    .filter(candidate => candidate >= now && Math.abs(candidate - start) <= SUGGESTION_SEARCH_MS)
+    .sort((a, b) => Math.abs(a - start) - Math.abs(b - start) || a - b)
+    .find(isFree) || null;
+}
+
+// The first start at or after `from` when a session of `duration` ms fits
+// between the given bookings, leaving `buffer` minutes either side
+function earliestFreeStart(bookings, from, duration, buffer = 0) {
+  const gap = buffer * 60 * 1000;
+  const isFree = candidate => !bookings.some(b => overlaps(
+    { starts_at: candidate, ends_at: new Date(candidate.getTime() + duration) },
+    b,
+    buffer
+  ));
+
+  return [from, ...bookings.map(b => new Date(new Date(b.ends_at).getTime() + gap))]
+    .filter(candidate => candidate >= from)
+    .sort((a, b) => a - b)
+    .find(isFree);
+}
+
+// Alternatives for a taken slot: the nearest free time on the same station,
+// then other stations of the same type at the branch that are free at the
+// requested time. Buffers and the branch's schedule apply as they do to new bookings.
+async function suggestSlots(storage, branch, stationId, start, end, now = new Date()) {
+  const stations = (await storage.stations.list({ branch_id: branch.id })).filter(isBookable);
+  const bookings = await storage.bookings.list({ branch_id: branch.id, status: 'confirmed' });
+  const schedule = await getSchedule(storage, branch.id);
+  const requested = stations.find(s => s.id === Number(stationId));
+  if (!requested) return [];
+
+  const buffer = bufferMinutes(schedule, requested.specs);
+  const allowed = (from, to) => !scheduleProblem(schedule, from, to, now, branch.timezone);
+
+  const bookingsOn = id => bookings.filter(b => b.station_id === id);
+  const suggestion = (station, from) => ({
+    station_id: station.id,
+    station_name: station.station_name,
+    ...bookingTimes(from, new Date(from.getTime() + (end - start)), branch.timezone)
+  });
+
+  const suggestions = [];
+  const nearest = nearestFreeStart(bookingsOn(requested.id), start, end, now, buffer, allowed);
+  if (nearest) suggestions.push(suggestion(requested, nearest));
+
+  const window = { starts_at: start, ends_at: end };
+  const alternatives = (allowed(start, end) ? stations : [])
+    .filter(s => s.id !== requested.id && s.specs === requested.specs)
+    .filter(s => !bookingsOn(s.id).some(b => overlaps(window, b, buffer)))
+    .slice(0, MAX_ALTERNATIVE_STATIONS);
+  for (const station of alternatives) suggestions.push(suggestion(station, start));
+
+  return suggestions;
+}
+
+module.exports = { stationTimeline, nearestFreeStart, earliestFreeStart, suggestSlots };
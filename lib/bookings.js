@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { AppError, invalid } = require('./errors');
+const field = require('./validation');
+const { CAFE_TIMEZONE, DATE_PATTERN, TIME_PATTERN, zonedTimeToUtc, toZonedDateTime, parseInstant } = require('./time');
+
+// Booking rules shared by the routes and the storage layer. A booking's
+// authoritative window is [starts_at, ends_at); booking_date, start_time and
+// end_time are derived from it in its branch's timezone for display.
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Booking lifecycle: which status each status may move to. Finished
+// bookings (completed, cancelled, no-show) never change status again.
+const BOOKING_TRANSITIONS = {
+  confirmed: ['completed', 'cancelled', 'no_show'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+// Refunds can be recorded against bookings that were not played
+const REFUNDABLE_STATUSES = ['cancelled', 'no_show'];
+
+// A customer is only a no-show once this long has passed after their start time
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES || '15', 10);
+
+// The longest window any booking, quote or extension may cover. It also
+// bounds the work pricing a request costs, since quotes are public.
+const MAX_BOOKING_HOURS = Number(process.env.MAX_BOOKING_HOURS) || 24;
+
+const statusLabel = status => status.replace(/_/g, '-');
+
+// Booking and group codes are what customers manage their booking with, so
+// they are random rather than derived from the id. No 0/O or 1/I to misread.
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 8;
+
+function randomCode(prefix) {
+  // 256 is a multiple of the alphabet's 32 letters, so every letter is equally likely
+  return prefix + Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+const newBookingCode = () => randomCode('BK');
+const newGroupCode = () => randomCode('GRP');
+
+// A code as typed by a customer: any case, spaces or dashes
+const normaliseCode = code => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+
+// True when two bookings share any time. Touching end to start
+// (10:00-11:00 then 11:00-12:00) is not an overlap. With a buffer, b also
+// blocks that many minutes either side of it for cleanup.
+function overlaps(a, b, bufferMinutes = 0) {
+  const buffer = bufferMinutes * MINUTE_MS;
+  return new Date(a.starts_at) < new Date(new Date(b.ends_at).getTime() + buffer) &&
+    new Date(new Date(b.starts_at).getTime() - buffer) < new Date(a.ends_at);
+}
+
+// True when the booking is running at the given instant
+function isActiveAt(booking, instant) {
+  return new Date(booking.starts_at) <= instant && instant < new Date(booking.ends_at);
+}
+
+// The time fields of a request that takes a booking window, for its schema
+const BOOKING_WINDOW_FIELDS = {
+  starts_at: field.instant(),
+  ends_at: field.instant(),
+  booking_date: field.date(),
+  start_time: field.time(),
+  end_time: field.time(),
+  duration_hours: field.number({ above: 0, max: MAX_BOOKING_HOURS })
+};
+
+// Throw a 400 on `path` when start to end is longer than MAX_BOOKING_HOURS
+function assertMaxDuration(start, end, path) {
+  if (end - start > MAX_BOOKING_HOURS * HOUR_MS) {
+    throw invalid(path, `A booking can be at most ${MAX_BOOKING_HOURS} hours long`, 'too_large');
+  }
+}
+
+// Resolve the booking window from a request body. Either
+//   starts_at (ISO instant or wall-clock 'YYYY-MM-DDTHH:MM'), or booking_date + start_time
+// and then one of
+//   ends_at, duration_hours, or end_time (an end_time at or before start_time means the next day)
+// Wall-clock values are read in the given timezone (the branch's).
+function resolveBookingWindow(body, timeZone = CAFE_TIMEZONE) {
+  let start = null;
+  if (body.starts_at) {
+    start = parseInstant(body.starts_at, timeZone);
+  } else if (DATE_PATTERN.test(body.booking_date || '') && TIME_PATTERN.test(body.start_time || '')) {
+    start = zonedTimeToUtc(body.booking_date, body.start_time, timeZone);
+  }
+  if (!start) {
+    const startField = body.booking_date ? 'start_time' : (body.start_time ? 'booking_date' : 'starts_at');
+    throw invalid(startField, 'Invalid or missing start time', 'required');
+  }
+
+  let end = null;
+  if (body.ends_at) {
+    end = parseInstant(body.ends_at, timeZone);
+  } else if (body.duration_hours !== undefined && body.duration_hours !== '') {
+    const hours = parseFloat(body.duration_hours);
+    end = Number.isFinite(hours) ? new Date(start.getTime() + hours * HOUR_MS) : null;
+  } else if (TIME_PATTERN.test(body.end_time || '')) {
+    const { date } = toZonedDateTime(start, timeZone);
+    end = zonedTimeToUtc(date, body.end_time, timeZone);
+    if (end <= start) {
+      // Cross-midnight session, e.g. 23:00-01:00
+      end = new Date(end.getTime() + 24 * HOUR_MS);
+    }
+  }
+  if (!end) {
+    throw invalid('duration_hours', 'Invalid or missing end time', 'required');
+  }
+  const endField = ['ends_at', 'duration_hours', 'end_time'].find(key => body[key] !== undefined && body[key] !== '');
+  if (end <= start) {
+    throw invalid(endField, 'End time must be after start time', 'too_small');
+  }
+  assertMaxDuration(start, end, endField);
+
+  return bookingTimes(start, end, timeZone);
+}
+
+// Stored time fields for a window: the instants plus their local display values
+function bookingTimes(start, end, timeZone = CAFE_TIMEZONE) {
+  const startLocal = toZonedDateTime(start, timeZone);
+  const endLocal = toZonedDateTime(end, timeZone);
+  return {
+    starts_at: start.toISOString(),
+    ends_at: end.toISOString(),
+    booking_date: startLocal.date,
+    start_time: startLocal.time,
+    end_time: endLocal.time,
+    duration_hours: Math.round(((end - start) / HOUR_MS) * 100) / 100
+  };
+}
+
+// What the public may see of a booking: when and where, never who
+function anonymiseBooking(booking) {
+  const { id, station_id, station_name, booking_date, start_time, end_time, starts_at, ends_at, status } = booking;
+  return { id, station_id, station_name, booking_date, start_time, end_time, starts_at, ends_at, status };
+}
+
+// Throw unless the booking may move to the given status at `now`: a 400 for
+// a status it can't move to, a 409 for one it can't move to yet
+function assertTransition(booking, status, now = new Date()) {
+  if (!(BOOKING_TRANSITIONS[booking.status] || []).includes(status)) {
+    throw new AppError(`Cannot mark a ${statusLabel(booking.status)} booking as ${statusLabel(status)}`, 400, 'invalid_transition');
+  }
+  if (status === 'completed' && now < new Date(booking.starts_at)) {
+    throw new AppError('A booking can only be completed once it has started - cancel it instead', 409, 'invalid_transition');
+  }
+  if (status === 'no_show') {
+    const graceEnds = new Date(new Date(booking.starts_at).getTime() + NO_SHOW_GRACE_MINUTES * MINUTE_MS);
+    if (now < graceEnds) {
+      throw new AppError(`A booking can only be marked as no-show ${NO_SHOW_GRACE_MINUTES} minutes after it starts`, 409, 'invalid_transition');
+    }
+  }
+}
+
+// Customers can cancel their own booking until it starts; after that it's up to staff
+function assertCustomerCanCancel(booking, now = new Date()) {
+  if (now >= new Date(booking.starts_at)) {
+    throw new AppError('This booking has already started - please ask staff to cancel it', 400, 'already_started');
+  }
+}
+
+// Same for moving a booking to another time
+function assertCustomerCanReschedule(booking, now = new Date()) {
+  if (now >= new Date(booking.starts_at)) {
+    throw new AppError('This booking has already started - please ask staff to change it', 400, 'already_started');
+  }
+}
+
+// Throw a 400 unless a refund of `amount` can be recorded on the booking
+function assertRefundable(booking, amount) {
+  if (!REFUNDABLE_STATUSES.includes(booking.status)) {
+    throw new AppError(`Only cancelled or no-show bookings can be refunded, this one is ${statusLabel(booking.status)}`, 400, 'not_refundable');
+  }
+  if (booking.refunded_at) {
+    throw new AppError('A refund has already been recorded for this booking', 400, 'not_refundable');
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+    throw invalid('refund_amount', 'Refund amount must be a number of 0 or more', 'invalid_type');
+  }
+  if (amount > (booking.amount_paid || 0)) {
+    throw invalid('refund_amount', `Refund amount cannot exceed what was paid for the booking (${booking.amount_paid || 0})`, 'too_large');
+  }
+}
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  REFUNDABLE_STATUSES,
+  NO_SHOW_GRACE_MINUTES,
+  MAX_BOOKING_HOURS,
+  BOOKING_WINDOW_FIELDS,
+  assertMaxDuration,
+  newBookingCode,
+  newGroupCode,
+  normaliseCode,
+  overlaps,
+  isActiveAt,
+  resolveBookingWindow,
+  bookingTimes,
+  anonymiseBooking,
+  assertTransition,
+  assertCustomerCanCancel,
+  assertCustomerCanReschedule,
+  assertRefundable
+};
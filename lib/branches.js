@@ -0,0 +1,64 @@
+const { AppError, sendError } = require('./errors');
+const { CAFE_TIMEZONE } = require('./time');
+
+// Branches are the cafe's locations. Stations, bookings, the waitlist and
+// wallet sales belong to one, and each has its own timezone, rate card and
+// schedule (settings stored per branch, see storage.settings.forBranch).
+// Customers, their wallets and packages are shared by every branch.
+// Every API path is also served under /api/b/<slug>/; plain /api/ means the
+// first branch, so a single-branch cafe never needs to know about them.
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// The branch a new store starts with; existing data is moved into it
+const FIRST_BRANCH = { slug: 'main', name: 'Main', timezone: CAFE_TIMEZONE };
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// True when the staff account may work at the branch: accounts without a
+// branch work at all of them
+const worksAt = (user, branch) => !user.branch_id || !branch || user.branch_id === branch.id;
+
+// Middleware: req.branch from the :branch slug in the path, or the first
+// branch when there is none. An unknown slug is a 404.
+function selectBranch(storage) {
+  return async (req, res, next) => {
+    try {
+      const branches = await storage.branches.list();
+      req.branch = req.params.branch
+        ? branches.find(b => b.slug === req.params.branch)
+        : branches.sort((a, b) => a.id - b.id)[0];
+      if (!req.branch) {
+        throw new AppError(`No branch called ${req.params.branch}`, 404, 'unknown_branch');
+      }
+      next();
+    } catch (err) {
+      sendError(res, err, 'Failed to find branch');
+    }
+  };
+}
+
+// Router param handler: 404 unless the record the path names belongs to
+// req.branch, e.g. router.param('id', inBranch(id => storage.bookings.get(id), 'Booking not found'))
+function inBranch(load, notFound) {
+  return async (req, res, next, id) => {
+    try {
+      const record = await load(id);
+      if (!record || record.branch_id !== req.branch.id) {
+        throw new AppError(notFound, 404);
+      }
+      next();
+    } catch (err) {
+      sendError(res, err, 'Failed to load the record');
+    }
+  };
+}
+
+module.exports = { SLUG_PATTERN, FIRST_BRANCH, isTimeZone, worksAt, selectBranch, inBranch };
@@ -0,0 +1,73 @@
+// CSV for spreadsheet exports and imports (RFC 4180: quote fields
+// containing commas, quotes or line breaks, double any quotes inside)
+
+// Spreadsheets run text starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Text a customer typed (a name, say) as a cell that opens as text: a
+// leading ' stops Excel and the like reading it as a formula. Numbers are
+// left alone, so -60 stays a number.
+const escapeFormula = value => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+// And back, so our own exports import as they were
+const unescapeFormula = text => (text[0] === "'" && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(escapeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, label }]; rows: plain objects. Lines end with CRLF.
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => csvField(column.label || column.key)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column.key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// CSV text -> rows of field strings. Accepts CRLF or LF line ends and a
+// leading byte order mark (Excel adds one); skips blank lines.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+module.exports = { escapeFormula, unescapeFormula, csvField, toCsv, parseCsv };
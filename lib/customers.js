@@ -0,0 +1,100 @@
+const { getRateCard } = require('./pricing');
+const { createSerialQueue } = require('./storage/queue');
+
+// Customers and loyalty points. A customer is a phone number: bookings with
+// the same number belong to the same customer. Points are earned for every
+// hour played on a paid booking once it is completed, and can be spent as a
+// discount on a new booking (see applyPoints in lib/pricing.js).
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Numbers shorter than this are typos or extensions, not customers
+const MIN_PHONE_DIGITS = 7;
+
+// The same clean-up the booking form does: digits and a leading country code "+"
+const normalisePhone = value => String(value || '').replace(/[^0-9+]/g, '');
+
+// Good enough to catch typos; the mail provider has the last word
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// True when two numbers are the same phone, with or without the country
+// code: the last ten digits match
+function samePhone(a, b) {
+  const digits = [a, b].map(value => String(value || '').replace(/\D/g, ''));
+  return digits[0].length >= MIN_PHONE_DIGITS && digits[0].slice(-10) === digits[1].slice(-10);
+}
+
+// The customer a booking's contact number belongs to, created on first
+// sight, or null when there is no usable number. An email given with the
+// booking is kept when there is none on file; only staff (replaceEmail) can
+// change one, or anyone with the number could redirect the customer's
+// confirmations and booking codes to themselves.
+async function customerFor(storage, name, contact, email, { replaceEmail = false } = {}) {
+  const phone = normalisePhone(contact);
+  if (phone.replace(/\D/g, '').length < MIN_PHONE_DIGITS) return null;
+  const customer = await storage.customers.findOrCreate({ phone, name });
+  if (email && customer.email !== email && (!customer.email || replaceEmail)) {
+    return storage.customers.update(customer.id, { email });
+  }
+  return customer;
+}
+
+// Hours a booking was actually played: to check-out, or to its end
+function hoursPlayed(booking) {
+  const end = booking.checked_out_at && booking.checked_out_at < booking.ends_at ? booking.checked_out_at : booking.ends_at;
+  return Math.max(0, (new Date(end) - new Date(booking.starts_at)) / HOUR_MS);
+}
+
+// Points a completed booking earns on the rate card. Free sessions earn none.
+function pointsEarned(card, booking) {
+  const perHour = card.loyalty ? card.loyalty.points_per_hour : 0;
+  if (!perHour || !(booking.total_price > 0)) return 0;
+  return Math.floor(hoursPlayed(booking) * perHour);
+}
+
+// A customer with their bookings, newest first, and totals
+function customerHistory(customer, bookings, stations) {
+  const own = bookings
+    .filter(b => b.customer_id === customer.id)
+    .sort((a, b) => new Date(b.starts_at) - new Date(a.starts_at))
+    .map(b => {
+      const station = stations.find(s => s.id === b.station_id);
+      return { ...b, station_name: station ? station.station_name : null };
+    });
+  const completed = own.filter(b => b.status === 'completed');
+
+  return {
+    ...customer,
+    visits: completed.length,
+    hours_played: Math.round(completed.reduce((sum, b) => sum + hoursPlayed(b), 0) * 100) / 100,
+    bookings: own
+  };
+}
+
+// Credit points when a customer's booking is completed and give redeemed
+// points back when it is cancelled. Runs one change at a time; both writes
+// only happen once per booking. Returns a function that stops watching and
+// resolves once the changes already queued are done.
+function watchLoyalty(storage) {
+  const queue = createSerialQueue();
+
+  const onChange = ({ type, record }) => {
+    if (type !== 'booking' || !record.customer_id) return;
+
+    queue.run(async () => {
+      if (record.status === 'completed' && record.points_earned === null) {
+        await storage.customers.awardPoints(record.id, pointsEarned(await getRateCard(storage, record.branch_id), record));
+      } else if (record.status === 'cancelled' && record.points_redeemed && !record.points_returned_at) {
+        await storage.customers.returnPoints(record.id);
+      }
+    }).catch(err => console.error('Failed to update loyalty points:', err.message));
+  };
+  storage.events.on('change', onChange);
+
+  return () => {
+    storage.events.off('change', onChange);
+    return queue.run(() => {});
+  };
+}
+
+module.exports = { EMAIL_PATTERN, normalisePhone, samePhone, customerFor, hoursPlayed, pointsEarned, customerHistory, watchLoyalty };
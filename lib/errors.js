@@ -0,0 +1,83 @@
+// Machine-readable codes for each status, for errors that don't name their own
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'too_large',
+  429: 'too_many_requests',
+  500: 'internal_error'
+};
+
+// Errors that know which HTTP status they should be reported with. Routes
+// send them as { error, code } (see sendError) with `err.status`, and fall
+// back to a generic 500 for anything else.
+class AppError extends Error {
+  constructor(message, status = 500, code = STATUS_CODES[status] || 'error') {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// A slot someone else already holds: 409, so a client can tell a lost race
+// from a request it got wrong
+class BookingConflictError extends AppError {
+  constructor(message = 'Station already booked during this time period') {
+    super(message, 409, 'booking_conflict');
+  }
+}
+
+// A request that doesn't pass its schema (see lib/validation.js) or a later
+// check on one of its fields. problems: [{ path, code, message }], where
+// path names the field, e.g. "start_time" or "station_ids[1]".
+class ValidationError extends AppError {
+  constructor(problems) {
+    super(problems.map(p => p.message).join('; '), 400, 'validation_failed');
+    this.problems = problems;
+  }
+}
+
+// One problem with one field, e.g. invalid('station_id', 'Station not found', 'not_found')
+const invalid = (path, message, code = 'invalid') => new ValidationError([{ path, code, message }]);
+
+// Raised by storage adapters when a unique index or exclusion constraint
+// rejects a write
+class WriteConflictError extends Error {
+  constructor(table, cause) {
+    super(`Conflicting write rejected on ${table}`);
+    this.name = 'WriteConflictError';
+    this.table = table;
+    this.cause = cause;
+  }
+}
+
+// The JSON body every error response has: { error, code } plus, for
+// validation failures, errors: [{ path, code, message }]
+function errorBody(err) {
+  const body = { error: err.message, code: err.code };
+  if (err.problems) body.errors = err.problems;
+  return body;
+}
+
+// Route catch blocks: report an AppError as-is, log anything else and send
+// the route's generic 500 message
+function sendError(res, err, fallbackMessage) {
+  if (err instanceof AppError) {
+    return res.status(err.status).json(errorBody(err));
+  }
+  console.error(err);
+  return res.status(500).json({ error: fallbackMessage, code: STATUS_CODES[500] });
+}
+
+module.exports = {
+  AppError,
+  BookingConflictError,
+  ValidationError,
+  WriteConflictError,
+  invalid,
+  errorBody,
+  sendError
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+// Where customer messages go out. Each channel is sent through the provider
+// named in its variable, and a channel without one is off:
+//
+//   NOTIFY_SMS=twilio        text messages (Twilio)
+//   NOTIFY_WHATSAPP=twilio   WhatsApp messages (Twilio)
+//   NOTIFY_EMAIL=sendgrid    email (SendGrid)
+//
+// console and file stand in for any channel during local development: they
+// print each message, or append it as a JSON line to NOTIFY_FILE.
+
+const CHANNELS = ['sms', 'whatsapp', 'email'];
+const CHANNEL_VARIABLES = { sms: 'NOTIFY_SMS', whatsapp: 'NOTIFY_WHATSAPP', email: 'NOTIFY_EMAIL' };
+
+// Give up on a provider's API after this long
+const PROVIDER_TIMEOUT_MS = 10 * 1000;
+
+const DEFAULT_NOTIFY_FILE = path.join('data', 'notifications.log');
+
+// Throw unless the variables a provider needs are set
+function requireEnv(env, provider, names) {
+  const missing = names.filter(name => !env[name]);
+  if (missing.length) throw new Error(`The ${provider} provider needs ${missing.join(', ')}`);
+}
+
+// Read an API's error message out of its JSON response
+async function failure(provider, res) {
+  const body = await res.json().catch(() => ({}));
+  const detail = body.message || (body.errors && body.errors[0] && body.errors[0].message) || res.statusText;
+  return new Error(`${provider} answered ${res.status}: ${detail}`);
+}
+
+// Each provider: channels it can carry, and create(env) returning
+// { name, send({ channel, to, subject, text }) } that resolves to { ref },
+// the provider's id for the message (or null)
+const PROVIDERS = {
+  console: {
+    channels: CHANNELS,
+    create: () => ({
+      name: 'console',
+      async send({ channel, to, subject, text }) {
+        console.log(`📨 ${channel} to ${to}${subject ? ` (${subject})` : ''}: ${text}`);
+        return { ref: null };
+      }
+    })
+  },
+
+  file: {
+    channels: CHANNELS,
+    create: env => {
+      const file = env.NOTIFY_FILE || DEFAULT_NOTIFY_FILE;
+      return {
+        name: 'file',
+        async send({ channel, to, subject, text }) {
+          await fs.promises.mkdir(path.dirname(file), { recursive: true });
+          await fs.promises.appendFile(file, `${JSON.stringify({ at: new Date().toISOString(), channel, to, subject, text })}\n`);
+          return { ref: null };
+        }
+      };
+    }
+  },
+
+  // Twilio's Messages API. WhatsApp numbers are the same with a whatsapp: prefix.
+  twilio: {
+    channels: ['sms', 'whatsapp'],
+    create: (env, channel) => {
+      const from = channel === 'whatsapp' ? 'TWILIO_WHATSAPP_FROM' : 'TWILIO_SMS_FROM';
+      requireEnv(env, 'twilio', ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', from]);
+      const prefix = channel === 'whatsapp' ? 'whatsapp:' : '';
+      const url = `https://api.twilio.com/2010-04-01/Accounts/${env.TWILIO_ACCOUNT_SID}/Messages.json`;
+      const auth = Buffer.from(`${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+      return {
+        name: 'twilio',
+        async send({ to, text }) {
+          const res = await fetch(url, {
+            method: 'POST',
+            headers: { Authorization: `Basic ${auth}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ To: `${prefix}${to}`, From: `${prefix}${env[from]}`, Body: text }),
+            signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS)
+          });
+          if (!res.ok) throw await failure('Twilio', res);
+          const message = await res.json();
+          return { ref: message.sid || null };
+        }
+      };
+    }
+  },
+
+  // SendGrid's v3 mail API, plain text
+  sendgrid: {
+    channels: ['email'],
+    create: env => {
+      requireEnv(env, 'sendgrid', ['SENDGRID_API_KEY', 'NOTIFY_EMAIL_FROM']);
+
+      return {
+        name: 'sendgrid',
+        async send({ to, subject, text }) {
+          const res = await fetch('https://api.sendgrid.com/v3/mail/send', {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${env.SENDGRID_API_KEY}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              personalizations: [{ to: [{ email: to }] }],
+              from: { email: env.NOTIFY_EMAIL_FROM },
+              subject,
+              content: [{ type: 'text/plain', value: text }]
+            }),
+            signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS)
+          });
+          if (!res.ok) throw await failure('SendGrid', res);
+          return { ref: res.headers.get('x-message-id') };
+        }
+      };
+    }
+  }
+};
+
+// The provider for each channel that has one: { sms: provider, ... }. A
+// provider that doesn't exist, can't carry the channel or is missing its
+// settings stops startup rather than losing messages quietly.
+function createChannels(env = process.env) {
+  const channels = {};
+  for (const channel of CHANNELS) {
+    const name = (env[CHANNEL_VARIABLES[channel]] || '').trim().toLowerCase();
+    if (!name) continue;
+
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw new Error(`Unknown ${CHANNEL_VARIABLES[channel]} provider "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!provider.channels.includes(channel)) {
+      throw new Error(`The ${name} provider can't send ${channel} messages`);
+    }
+    channels[channel] = provider.create(env, channel);
+  }
+  return channels;
+}
+
+module.exports = { CHANNELS, PROVIDERS, createChannels };
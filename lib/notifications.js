@@ -0,0 +1,265 @@
+const { AppError, invalid } = require('./errors');
+const { minutesRemaining } = require('./time');
+const { isActiveAt } = require('./bookings');
+const { normalisePhone } = require('./customers');
+const { createChannels } = require('./notification-providers');
+const { createSerialQueue } = require('./storage/queue');
+
+// Messages to customers about their bookings: a confirmation with the
+// booking code, a reminder before the start, a warning when time is nearly
+// up and a notice when a booking is cancelled. Each goes to every channel
+// that is on (see lib/notification-providers.js) and that the customer can
+// be reached on: their contact number for text and WhatsApp, the email on
+// their customer record for email. Every attempt is written to the
+// notifications table. A group booking gets one message for all its stations.
+
+const NOTICE_KINDS = ['booking_confirmed', 'reminder', 'time_warning', 'booking_cancelled'];
+
+// The booking time each kind is about. A notice is sent once per booking
+// and time, so a booking moved to a new start is reminded again.
+const DUE_FIELD = {
+  booking_confirmed: null,
+  reminder: 'starts_at',
+  time_warning: 'ends_at',
+  booking_cancelled: 'status_changed_at'
+};
+
+// Templates fill in {placeholders} from the booking. subject is only used for email.
+const PLACEHOLDERS = [
+  'user_name', 'booking_code', 'branch_name', 'station_name', 'booking_date',
+  'start_time', 'end_time', 'duration_hours', 'total_price', 'minutes'
+];
+
+const DEFAULT_TEMPLATES = {
+  booking_confirmed: {
+    subject: 'Booking {booking_code} confirmed',
+    text: 'Hi {user_name}, your booking at {branch_name} is confirmed: {station_name} on {booking_date}, {start_time}-{end_time}. Your booking code is {booking_code}.'
+  },
+  reminder: {
+    subject: 'Your session starts at {start_time}',
+    text: 'Hi {user_name}, your session on {station_name} at {branch_name} starts in {minutes} minutes, at {start_time}. Booking code {booking_code}.'
+  },
+  time_warning: {
+    subject: '{minutes} minutes left',
+    text: '{minutes} minutes left on {station_name} - your session ends at {end_time}. Ask at the counter if you want to extend.'
+  },
+  booking_cancelled: {
+    subject: 'Booking {booking_code} cancelled',
+    text: 'Hi {user_name}, your booking {booking_code} for {booking_date} {start_time}-{end_time} at {branch_name} has been cancelled.'
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// How often reminders and warnings are looked for
+const NOTIFY_CHECK_MS = MINUTE_MS;
+
+// Reminders and warnings that fail are tried again each minute, this many
+// times in all. Failed confirmations and cancellations are sent again by hand
+// from the log.
+const MAX_ATTEMPTS = 3;
+
+// Throw a 400 describing the first problem with a set of templates. Kinds
+// left out keep the default text.
+function validateTemplates(templates) {
+  const fail = (path, message) => {
+    throw invalid(path, `Invalid templates: ${path} ${message}`);
+  };
+
+  if (!templates || typeof templates !== 'object') fail('body', 'must be an object');
+  for (const [kind, template] of Object.entries(templates)) {
+    if (!NOTICE_KINDS.includes(kind)) fail(kind, `is not a notice (expected ${NOTICE_KINDS.join(', ')})`);
+    if (!template || typeof template !== 'object') fail(kind, 'must be an object with text and subject');
+    for (const key of ['text', 'subject']) {
+      const value = template[key];
+      if (key === 'subject' && (value === undefined || value === null)) continue;
+      if (typeof value !== 'string' || !value.trim()) fail(`${kind}.${key}`, 'must be some text');
+      if (value.length > 1000) fail(`${kind}.${key}`, 'must be at most 1000 characters');
+      for (const [, name] of value.matchAll(/\{(\w+)\}/g)) {
+        if (!PLACEHOLDERS.includes(name)) fail(`${kind}.${key}`, `uses {${name}}, which is not one of ${PLACEHOLDERS.join(', ')}`);
+      }
+    }
+  }
+  return templates;
+}
+
+// The branch's templates, each kind falling back to the default
+async function getTemplates(storage, branchId) {
+  const saved = (await storage.settings.forBranch('notification_templates', branchId)) || {};
+  return Object.fromEntries(NOTICE_KINDS.map(kind => [kind, { ...DEFAULT_TEMPLATES[kind], ...saved[kind] }]));
+}
+
+const render = (template, values) => template.replace(/\{(\w+)\}/g, (match, name) => (
+  values[name] === undefined || values[name] === null ? '' : String(values[name])
+));
+
+// A contact number in international form for the providers: +<country><number>.
+// Numbers without a country code get countryCode. Null when there is no usable number.
+function toInternational(contact, countryCode) {
+  const phone = normalisePhone(contact);
+  const digits = phone.replace(/\D/g, '');
+  if (digits.length < 7) return null;
+  if (phone.startsWith('+')) return `+${digits}`;
+  return `+${countryCode}${digits.replace(/^0+/, '')}`;
+}
+
+// Sends notices through the channels env turns on and logs them. Reminders
+// go reminderMinutes before the start (NOTIFY_REMINDER_MINUTES, default 60);
+// warnings go when warningMinutes are left (NOTIFY_WARNING_MINUTES, default 10).
+function createNotifier(storage, env = process.env) {
+  const channels = createChannels(env);
+  const countryCode = String(env.NOTIFY_COUNTRY_CODE || '91').replace(/\D/g, '');
+  const reminderMinutes = Number(env.NOTIFY_REMINDER_MINUTES) || 60;
+  const warningMinutes = Number(env.NOTIFY_WARNING_MINUTES) || 10;
+
+  // Send one message on one channel and log the attempt
+  async function deliver(channel, message) {
+    const provider = channels[channel];
+    const entry = { ...message, channel, provider: provider.name };
+    try {
+      const { ref } = await provider.send({ channel, to: message.recipient, subject: message.subject, text: message.message });
+      return await storage.notifications.log({ ...entry, status: 'sent', provider_ref: ref || null });
+    } catch (err) {
+      console.error(`Failed to send ${message.kind} by ${channel}:`, err.message);
+      return storage.notifications.log({ ...entry, status: 'failed', error: err.message });
+    }
+  }
+
+  // The bookings one notice covers: a group's bookings in the same state and
+  // at the same time, or just this one
+  async function coveredBy(kind, booking) {
+    if (!booking.group_code) return [booking];
+    const field = DUE_FIELD[kind];
+    const members = await storage.bookings.list({ group_code: booking.group_code });
+    return members.filter(b => b.status === booking.status && (!field || b[field] === booking[field]));
+  }
+
+  // Send a notice about a booking (and its group) on every channel it
+  // hasn't gone out on yet. Resolves to the log entries written.
+  async function notify(kind, booking, now = new Date()) {
+    const field = DUE_FIELD[kind];
+    const dueAt = field ? booking[field] : null;
+    const bookings = await coveredBy(kind, booking);
+    const ids = bookings.map(b => b.id);
+
+    const customer = booking.customer_id ? await storage.customers.get(booking.customer_id) : null;
+    const phone = toInternational(booking.contact, countryCode);
+    const recipients = { sms: phone, whatsapp: phone, email: customer ? customer.email : null };
+    const pending = Object.keys(channels).filter(channel => recipients[channel]);
+    if (pending.length === 0) return [];
+
+    // Earlier attempts at this notice, on any of the group's bookings
+    const earlier = [];
+    for (const id of ids) {
+      earlier.push(...(await storage.notifications.list({ booking_id: id, kind }))
+        .filter(entry => entry.due_at === dueAt));
+    }
+    const toSend = pending.filter(channel => {
+      const tries = earlier.filter(entry => entry.channel === channel);
+      return !tries.some(entry => entry.status === 'sent') && tries.length < MAX_ATTEMPTS;
+    });
+    if (toSend.length === 0) return [];
+
+    const branch = booking.branch_id ? await storage.branches.get(booking.branch_id) : null;
+    const stations = await storage.stations.list();
+    const stationNames = bookings.map(b => (stations.find(s => s.id === b.station_id) || {}).station_name).filter(Boolean);
+    const values = {
+      ...booking,
+      booking_code: booking.group_code || booking.booking_code,
+      branch_name: branch ? branch.name : '',
+      station_name: stationNames.join(', '),
+      total_price: bookings.reduce((sum, b) => sum + (b.total_price || 0), 0),
+      minutes: minutesRemaining(now, kind === 'reminder' ? booking.starts_at : booking.ends_at)
+    };
+    const template = (await getTemplates(storage, booking.branch_id))[kind];
+
+    const sent = [];
+    for (const channel of toSend) {
+      sent.push(await deliver(channel, {
+        booking_id: booking.id,
+        branch_id: booking.branch_id,
+        kind,
+        recipient: recipients[channel],
+        subject: channel === 'email' ? render(template.subject, values) : null,
+        message: render(template.text, values),
+        due_at: dueAt
+      }));
+    }
+    return sent;
+  }
+
+  // Send a logged message again, to the same recipient with the same text
+  async function resend(entry) {
+    if (!channels[entry.channel]) {
+      throw new AppError(`${entry.channel} messages are turned off`, 400, 'channel_off');
+    }
+    const { booking_id, branch_id, kind, recipient, subject, message, due_at } = entry;
+    return deliver(entry.channel, { booking_id, branch_id, kind, recipient, subject, message, due_at });
+  }
+
+  // Reminders and warnings that are due now. Bookings made inside the
+  // reminder window already had their confirmation, so they get no reminder.
+  async function sendDue(now = new Date()) {
+    const sent = [];
+    for (const booking of await storage.bookings.list({ status: 'confirmed' })) {
+      const start = new Date(booking.starts_at);
+      const remindFrom = start.getTime() - reminderMinutes * MINUTE_MS;
+      if (now < start && now.getTime() >= remindFrom && new Date(booking.created_at).getTime() < remindFrom) {
+        sent.push(...await notify('reminder', booking, now));
+      }
+      if (isActiveAt(booking, now) && minutesRemaining(now, booking.ends_at) <= warningMinutes) {
+        sent.push(...await notify('time_warning', booking, now));
+      }
+    }
+    return sent;
+  }
+
+  return {
+    channels: Object.fromEntries(Object.entries(channels).map(([channel, provider]) => [channel, provider.name])),
+    reminderMinutes,
+    warningMinutes,
+    notify,
+    resend,
+    sendDue
+  };
+}
+
+// Confirm new bookings and announce cancellations as they are saved, and
+// look for due reminders and warnings every minute. Imported bookings are
+// not confirmed. Runs one notice at a time, so a group's bookings share one.
+// Returns a function that stops watching and resolves once the notices
+// already queued are sent.
+function watchNotifications(storage, notifier) {
+  if (Object.keys(notifier.channels).length === 0) return async () => {};
+  const queue = createSerialQueue();
+  const run = task => queue.run(task).catch(err => console.error('Failed to send notifications:', err.message));
+
+  const onChange = ({ type, action, record }) => {
+    if (type !== 'booking') return;
+    if (['create', 'createGroup'].includes(action) && record.status === 'confirmed') {
+      run(() => notifier.notify('booking_confirmed', record));
+    } else if (['transition', 'transitionGroup'].includes(action) && record.status === 'cancelled') {
+      run(() => notifier.notify('booking_cancelled', record));
+    }
+  };
+  storage.events.on('change', onChange);
+
+  const timer = setInterval(() => run(() => notifier.sendDue()), NOTIFY_CHECK_MS);
+  timer.unref();
+
+  return () => {
+    clearInterval(timer);
+    storage.events.off('change', onChange);
+    return queue.run(() => {});
+  };
+}
+
+module.exports = {
+  NOTICE_KINDS,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  validateTemplates,
+  getTemplates,
+  createNotifier,
+  watchNotifications
+};
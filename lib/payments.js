@@ -0,0 +1,134 @@
+const { AppError, invalid } = require('./errors');
+const { roundMoney } = require('./pricing');
+const { CAFE_TIMEZONE, dayWindow } = require('./time');
+
+// Payments taken against bookings. Staff record each payment with how it was
+// paid and any discount given; the booking keeps running totals
+// (amount_paid, discount_amount) so its payment status is always at hand.
+// Wallet bookings are paid by the wallet when they complete (lib/wallet.js).
+
+// Methods staff record at the counter
+const PAYMENT_METHODS = ['cash', 'upi', 'card'];
+
+// Every method a payment can have, including the wallet's own
+const ALL_PAYMENT_METHODS = [...PAYMENT_METHODS, 'wallet'];
+
+// Only bookings that are (or will be) played are paid for
+const PAYABLE_STATUSES = ['confirmed', 'completed'];
+
+const isMoney = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Throw a 400 describing the first problem with a payment, or return its fields
+function validatePayment(body) {
+  const fail = (path, message) => {
+    throw invalid(path, `Invalid payment: ${message}`);
+  };
+
+  const amount = body.amount === undefined || body.amount === null ? 0 : body.amount;
+  const discount = body.discount === undefined || body.discount === null ? 0 : body.discount;
+  if (!PAYMENT_METHODS.includes(body.method)) fail('method', `method must be one of ${PAYMENT_METHODS.join(', ')}`);
+  if (!isMoney(amount)) fail('amount', 'amount must be a number of 0 or more');
+  if (!isMoney(discount)) fail('discount', 'discount must be a number of 0 or more');
+  if (amount + discount <= 0) fail('amount', 'give an amount, a discount or both');
+
+  return {
+    method: body.method,
+    amount: roundMoney(amount),
+    discount: roundMoney(discount),
+    note: String(body.note || '').trim()
+  };
+}
+
+// What is still owed on a booking after its payments and discounts
+const amountDue = booking =>
+  roundMoney(Math.max(0, (booking.total_price || 0) - (booking.amount_paid || 0) - (booking.discount_amount || 0)));
+
+// 'paid', 'partial' or 'unpaid'. Free bookings count as paid.
+function paymentStatus(booking) {
+  if (amountDue(booking) === 0) return 'paid';
+  return (booking.amount_paid || 0) + (booking.discount_amount || 0) > 0 ? 'partial' : 'unpaid';
+}
+
+// Throw a 400 unless the payment can be recorded against the booking
+function assertPayable(booking, payment) {
+  if (!PAYABLE_STATUSES.includes(booking.status)) {
+    throw new AppError(`Payments can only be recorded for confirmed or completed bookings, this one is ${booking.status.replace(/_/g, '-')}`, 400, 'not_payable');
+  }
+  if (booking.payment_method === 'wallet') {
+    throw new AppError('This booking is paid from the customer\'s wallet when it completes', 400, 'not_payable');
+  }
+  const due = amountDue(booking);
+  if (roundMoney(payment.amount + payment.discount) > due) {
+    throw invalid('amount', `Payment of ₹${roundMoney(payment.amount + payment.discount)} is more than the ₹${due} still due`, 'too_large');
+  }
+}
+
+// The booking's totals after a payment
+const paymentTotals = (booking, payment) => ({
+  amount_paid: roundMoney((booking.amount_paid || 0) + payment.amount),
+  discount_amount: roundMoney((booking.discount_amount || 0) + payment.discount)
+});
+
+// End-of-day cash-up for a local date at one branch, given that branch's
+// bookings, payments and wallet ledger entries. Revenue expected from the
+// bookings completed that day is compared with what was paid for those same
+// bookings, per method and in discounts, whenever it was paid, so a booking
+// paid for the day before doesn't show as short. Refunds paid out that day
+// and money taken for wallets (top-ups, package sales) are listed
+// separately: neither is revenue from that day's sessions.
+function cashUp(date, { bookings, payments, ledger }, timeZone = CAFE_TIMEZONE) {
+  const { start, end } = dayWindow(date, timeZone);
+  const onDay = value => value && new Date(value) >= start && new Date(value) < end;
+
+  const completed = bookings.filter(b => b.status === 'completed' && b.booking_date === date);
+  const expected = roundMoney(completed.reduce((sum, b) => sum + (b.total_price || 0), 0));
+  const ids = new Set(completed.map(b => b.id));
+
+  const byMethod = {};
+  for (const method of ALL_PAYMENT_METHODS) byMethod[method] = { count: 0, amount: 0 };
+  let discounts = 0;
+  for (const payment of payments.filter(p => ids.has(p.booking_id))) {
+    byMethod[payment.method].count += 1;
+    byMethod[payment.method].amount = roundMoney(byMethod[payment.method].amount + payment.amount);
+    discounts = roundMoney(discounts + payment.discount);
+  }
+  const collected = roundMoney(Object.values(byMethod).reduce((sum, m) => sum + m.amount, 0));
+
+  const refunded = bookings.filter(b => onDay(b.refunded_at) && b.refund_amount > 0);
+  const refunds = roundMoney(refunded.reduce((sum, b) => sum + b.refund_amount, 0));
+
+  const walletSales = ledger.filter(entry => entry.entry_type !== 'charge' && onDay(entry.created_at));
+
+  return {
+    date,
+    expected,
+    collected,
+    by_method: byMethod,
+    discounts,
+    refunds,
+    difference: roundMoney(collected + discounts - expected),
+    wallet_sales: roundMoney(walletSales.reduce((sum, entry) => sum + (entry.price_paid || 0), 0)),
+    completed_bookings: completed.length,
+    outstanding: completed
+      .filter(b => paymentStatus(b) !== 'paid')
+      .map(b => ({
+        id: b.id,
+        booking_code: b.booking_code,
+        user_name: b.user_name,
+        total_price: b.total_price,
+        amount_paid: b.amount_paid || 0,
+        discount_amount: b.discount_amount || 0,
+        due: amountDue(b)
+      }))
+  };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  validatePayment,
+  amountDue,
+  paymentStatus,
+  assertPayable,
+  paymentTotals,
+  cashUp
+};
@@ -0,0 +1,271 @@
+const { AppError, invalid } = require('./errors');
+const { CAFE_TIMEZONE, TIME_PATTERN, zonedTimeToUtc, toZonedDateTime, weekdayOf, isDayList, addDays } = require('./time');
+
+// Server-side pricing. A rate card looks like:
+//
+// {
+//   currency: 'INR',
+//   types: { PC: { hourly: 60, peak_hourly: 80, weekend_hourly: 70 }, PS5: { hourly: 100 } },
+//   peak_hours: [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '23:00' }],  // days: 0 = Sunday
+//   weekend_days: [0, 6],
+//   minimum_minutes: 30,              // shorter sessions are billed as this long
+//   billing_increment_minutes: 15,    // billable time is rounded up to a multiple of this
+//   price_rounding: 10,               // final price is rounded to the nearest multiple of this
+//   bundles: [{ hours: 3, pay_hours: 2.5 }],  // every full 3 hours costs 2.5 hours
+//   group_discounts: [{ min_stations: 4, percent: 10 }],  // group bookings of 4+ stations get 10% off
+//   loyalty: { points_per_hour: 10, point_value: 1 }      // points earned per hour played, and what one is worth
+// }
+//
+// Each minute is charged at the highest rate that applies to it (peak,
+// weekend or the plain hourly rate), in the cafe timezone. Rates only change
+// at local midnight and at the edges of peak windows, so a session is priced
+// in the stretches between those.
+
+const DEFAULT_RATE_CARD = {
+  currency: 'INR',
+  types: {
+    PC: { hourly: 60 },
+    PS5: { hourly: 100 }
+  },
+  peak_hours: [],
+  weekend_days: [0, 6],
+  minimum_minutes: 0,
+  billing_increment_minutes: 1,
+  price_rounding: 1,
+  bundles: [],
+  group_discounts: [],
+  loyalty: { points_per_hour: 10, point_value: 1 }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Throw a 400 describing the first problem with a rate card, naming the field
+function validateRateCard(card) {
+  const fail = (path, message) => {
+    throw invalid(path, `Invalid rate card: ${path} ${message}`);
+  };
+
+  // The entries of an optional list of objects
+  const entries = key => {
+    if (card[key] === undefined || card[key] === null) return [];
+    if (!Array.isArray(card[key])) fail(key, 'must be a list');
+    card[key].forEach((entry, i) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) fail(`${key}[${i}]`, 'must be an object');
+    });
+    return card[key].entries();
+  };
+
+  if (!card || typeof card !== 'object') fail('body', 'must be an object');
+  if (!card.types || typeof card.types !== 'object' || Object.keys(card.types).length === 0) {
+    fail('types', 'must list at least one station type');
+  }
+  for (const [type, rates] of Object.entries(card.types)) {
+    if (!rates || !isPositiveNumber(rates.hourly)) fail(`types.${type}.hourly`, 'must be a positive number');
+    for (const key of ['peak_hourly', 'weekend_hourly']) {
+      if (rates[key] !== undefined && rates[key] !== null && !isPositiveNumber(rates[key])) {
+        fail(`types.${type}.${key}`, 'must be a positive number');
+      }
+    }
+  }
+  for (const [i, window] of entries('peak_hours')) {
+    if (!isDayList(window.days)) fail(`peak_hours[${i}].days`, 'must be weekday numbers 0-6');
+    if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+      fail(`peak_hours[${i}]`, 'needs start and end as HH:MM');
+    }
+  }
+  if (card.weekend_days !== undefined && !isDayList(card.weekend_days)) {
+    fail('weekend_days', 'must be weekday numbers 0-6');
+  }
+  if (card.minimum_minutes !== undefined && !(Number.isInteger(card.minimum_minutes) && card.minimum_minutes >= 0)) {
+    fail('minimum_minutes', 'must be a whole number of minutes');
+  }
+  for (const key of ['billing_increment_minutes', 'price_rounding']) {
+    if (card[key] !== undefined && !isPositiveNumber(card[key])) fail(key, 'must be a positive number');
+  }
+  for (const [i, bundle] of entries('bundles')) {
+    if (!isPositiveNumber(bundle.hours) || !isPositiveNumber(bundle.pay_hours) || bundle.pay_hours > bundle.hours) {
+      fail(`bundles[${i}]`, 'needs hours and pay_hours, with pay_hours no more than hours');
+    }
+  }
+  for (const [i, rule] of entries('group_discounts')) {
+    if (!Number.isInteger(rule.min_stations) || rule.min_stations < 2) {
+      fail(`group_discounts[${i}].min_stations`, 'must be a whole number of 2 or more');
+    }
+    if (!isPositiveNumber(rule.percent) || rule.percent > 100) {
+      fail(`group_discounts[${i}].percent`, 'must be above 0 and at most 100');
+    }
+  }
+  if (card.loyalty !== undefined && card.loyalty !== null) {
+    const { points_per_hour: perHour, point_value: value } = card.loyalty;
+    if (!(typeof perHour === 'number' && perHour >= 0)) fail('loyalty.points_per_hour', 'must be a number of 0 or more');
+    if (!(typeof value === 'number' && value >= 0)) fail('loyalty.point_value', 'must be a number of 0 or more');
+  }
+  return card;
+}
+
+// Which rate applies to one minute, as { kind, hourly }
+function rateAt(card, rates, instant, timeZone) {
+  const weekday = weekdayOf(instant, timeZone);
+  const minuteOfDay = toMinutes(toZonedDateTime(instant, timeZone).time);
+  const candidates = [{ kind: 'standard', hourly: rates.hourly }];
+
+  if (rates.weekend_hourly && (card.weekend_days || []).includes(weekday)) {
+    candidates.push({ kind: 'weekend', hourly: rates.weekend_hourly });
+  }
+
+  if (rates.peak_hourly) {
+    const inPeak = (card.peak_hours || []).some(window => {
+      const start = toMinutes(window.start);
+      const end = toMinutes(window.end);
+      if (start < end) {
+        return window.days.includes(weekday) && minuteOfDay >= start && minuteOfDay < end;
+      }
+      // Window past midnight, e.g. 22:00-02:00: the early part belongs to the previous day
+      return (window.days.includes(weekday) && minuteOfDay >= start) ||
+        (window.days.includes((weekday + 6) % 7) && minuteOfDay < end);
+    });
+    if (inPeak) candidates.push({ kind: 'peak', hourly: rates.peak_hourly });
+  }
+
+  return candidates.reduce((best, rate) => (rate.hourly > best.hourly ? rate : best));
+}
+
+// The next instant after `instant` where the rate may change: the next peak
+// window edge that day, or else the next local midnight
+function nextRateChange(card, instant, timeZone) {
+  const { date, time } = toZonedDateTime(instant, timeZone);
+  const edges = (card.peak_hours || [])
+    .flatMap(window => [window.start, window.end])
+    .filter(edge => toMinutes(edge) > toMinutes(time))
+    .sort((a, b) => toMinutes(a) - toMinutes(b));
+  return edges.length ? zonedTimeToUtc(date, edges[0], timeZone) : zonedTimeToUtc(addDays(date, 1), '00:00', timeZone);
+}
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+// Price a session on one station type. Returns the breakdown the booking form
+// shows and the total the server stores.
+function quotePrice(card, stationType, start, end, timeZone = CAFE_TIMEZONE) {
+  const rates = card.types[stationType];
+  if (!rates) {
+    throw new AppError(`No rate configured for station type ${stationType}`, 400);
+  }
+
+  const actualMinutes = Math.ceil((end - start) / MINUTE_MS);
+  const increment = card.billing_increment_minutes || 1;
+  const billableMinutes = Math.ceil(Math.max(actualMinutes, card.minimum_minutes || 0) / increment) * increment;
+
+  // Walk the billable time from one rate change to the next, grouping
+  // consecutive stretches by rate. Minute m is charged at the rate in force
+  // at start + m minutes.
+  const lines = [];
+  for (let minute = 0; minute < billableMinutes;) {
+    const instant = new Date(start.getTime() + minute * MINUTE_MS);
+    const rate = rateAt(card, rates, instant, timeZone);
+    const upTo = Math.ceil((nextRateChange(card, instant, timeZone) - start) / MINUTE_MS);
+    const until = Math.min(billableMinutes, Math.max(upTo, minute + 1));
+
+    const last = lines[lines.length - 1];
+    if (last && last.kind === rate.kind && last.hourly_rate === rate.hourly) {
+      last.minutes += until - minute;
+    } else {
+      lines.push({ kind: rate.kind, hourly_rate: rate.hourly, minutes: until - minute });
+    }
+    minute = until;
+  }
+  for (const line of lines) {
+    line.amount = roundMoney((line.minutes / 60) * line.hourly_rate);
+  }
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  // Pick the bundle that saves the most
+  let bundle = null;
+  for (const candidate of card.bundles || []) {
+    const blocks = Math.floor(billableMinutes / (candidate.hours * 60));
+    if (blocks === 0) continue;
+    const bundledShare = (blocks * candidate.hours * 60) / billableMinutes;
+    const discount = roundMoney(subtotal * bundledShare * (1 - candidate.pay_hours / candidate.hours));
+    if (!bundle || discount > bundle.discount) {
+      bundle = { hours: candidate.hours, pay_hours: candidate.pay_hours, blocks, discount };
+    }
+  }
+
+  const discount = bundle ? bundle.discount : 0;
+  const rounding = card.price_rounding || 1;
+  const total = roundMoney(Math.round((subtotal - discount) / rounding) * rounding);
+
+  return {
+    station_type: stationType,
+    currency: card.currency || 'INR',
+    starts_at: start.toISOString(),
+    ends_at: end.toISOString(),
+    billable_minutes: billableMinutes,
+    lines,
+    subtotal,
+    bundle,
+    discount,
+    total
+  };
+}
+
+// Price several stations for the same window as one reservation: each
+// station's own quote, less the best group discount for the group's size.
+// The discount is spread over the stations so their group_total values add
+// up to the total.
+function quoteGroup(card, stationTypes, start, end, timeZone = CAFE_TIMEZONE) {
+  const quotes = stationTypes.map(type => quotePrice(card, type, start, end, timeZone));
+  const subtotal = roundMoney(quotes.reduce((sum, quote) => sum + quote.total, 0));
+
+  const rule = (card.group_discounts || [])
+    .filter(candidate => stationTypes.length >= candidate.min_stations)
+    .reduce((best, candidate) => (!best || candidate.percent > best.percent ? candidate : best), null);
+  const discount = rule ? roundMoney((subtotal * rule.percent) / 100) : 0;
+
+  let remaining = discount;
+  const stations = quotes.map((quote, i) => {
+    const share = i === quotes.length - 1 ? remaining : roundMoney((quote.total * (rule ? rule.percent : 0)) / 100);
+    remaining = roundMoney(remaining - share);
+    return { ...quote, group_discount: share, group_total: roundMoney(quote.total - share) };
+  });
+
+  return {
+    currency: card.currency || 'INR',
+    starts_at: start.toISOString(),
+    ends_at: end.toISOString(),
+    stations,
+    subtotal,
+    group_discount: rule ? { min_stations: rule.min_stations, percent: rule.percent, amount: discount } : null,
+    total: roundMoney(subtotal - discount)
+  };
+}
+
+// Take loyalty points off a quote's total. No more points are used than the
+// total is worth; the balance itself is checked when the booking is saved.
+function applyPoints(card, quote, points) {
+  if (!points) return quote;
+  if (!Number.isInteger(points) || points < 0) {
+    throw invalid('redeem_points', 'redeem_points must be a whole number');
+  }
+  const value = card.loyalty ? card.loyalty.point_value : 0;
+  if (!value) {
+    throw invalid('redeem_points', 'Loyalty points cannot be redeemed');
+  }
+
+  const used = Math.min(points, Math.floor(quote.total / value));
+  const discount = roundMoney(used * value);
+  return { ...quote, points_redeemed: used, points_discount: discount, total: roundMoney(quote.total - discount) };
+}
+
+// The rate card in force at a branch: its own, or the defaults
+async function getRateCard(storage, branchId) {
+  return (await storage.settings.forBranch('rate_card', branchId)) || DEFAULT_RATE_CARD;
+}
+
+module.exports = { DEFAULT_RATE_CARD, validateRateCard, quotePrice, quoteGroup, applyPoints, getRateCard, roundMoney };
@@ -0,0 +1,133 @@
+const express = require('express');
+const { AppError, invalid, sendError } = require('../errors');
+const {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  publicUser,
+  requireRole,
+  createLoginThrottle
+} = require('../auth');
+const field = require('../validation');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const LOGIN_BODY = {
+  username: field.string({ required: true, max: 100 }),
+  password: field.string({ required: true, trim: false, max: 200 })
+};
+
+// Changes to a staff account; a new one needs all but active and branch_id.
+// branch_id ties the account to one branch, null lets it work at all of them.
+const USER_FIELDS = {
+  username: field.string({ max: 100 }),
+  password: field.string({ trim: false, min: MIN_PASSWORD_LENGTH, max: 200 }),
+  role: field.string({ oneOf: ROLES }),
+  active: field.boolean(),
+  branch_id: field.id({ nullable: true })
+};
+const NEW_USER = {
+  ...USER_FIELDS,
+  username: field.string({ required: true, max: 100 }),
+  password: field.string({ required: true, trim: false, min: MIN_PASSWORD_LENGTH, max: 200 }),
+  role: field.string({ required: true, oneOf: ROLES })
+};
+
+function authRoutes({ storage }) {
+  const router = express.Router();
+  const throttle = createLoginThrottle();
+
+  // POST sign in - returns a token for the Authorization header
+  router.post('/login', field.validate({ body: LOGIN_BODY }), async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      if (throttle.isLocked(username)) {
+        throw new AppError('Too many failed attempts, try again later', 429);
+      }
+
+      const user = await storage.users.findByUsername(username);
+      if (!user || !user.active || !(await verifyPassword(password, user.password_hash))) {
+        throttle.fail(username);
+        throw new AppError('Invalid username or password', 401);
+      }
+
+      throttle.succeed(username);
+      res.json({ token: signToken(user), user: publicUser(user) });
+    } catch (err) {
+      sendError(res, err, 'Failed to sign in');
+    }
+  });
+
+  // GET the signed-in user, at any branch so the client can find theirs
+  router.get('/me', (req, res) => {
+    if (!req.user) return sendError(res, new AppError('Please sign in', 401));
+    res.json(req.user);
+  });
+
+  // The fields to save from a validated user payload: the password is
+  // stored as a hash. An owner tied to a branch only manages that branch's
+  // accounts, and their new accounts go there.
+  async function readUserFields(req, { password, ...fields }) {
+    const own = req.user.branch_id;
+    if (own && fields.branch_id === undefined && req.method === 'POST') fields.branch_id = own;
+    if (fields.branch_id !== undefined) {
+      if (own && fields.branch_id !== own) {
+        throw invalid('branch_id', 'You can only add staff to your own branch', 'other_branch');
+      }
+      if (fields.branch_id !== null && !(await storage.branches.get(fields.branch_id))) {
+        throw invalid('branch_id', 'Branch not found', 'not_found');
+      }
+    }
+    if (password !== undefined) fields.password_hash = await hashPassword(password);
+    return fields;
+  }
+
+  // Staff accounts are managed by the owner
+  router.get('/users', requireRole('owner'), async (req, res) => {
+    try {
+      const users = await storage.users.list();
+      const own = req.user.branch_id;
+      res.json(users.filter(u => !own || u.branch_id === own).map(publicUser));
+    } catch (err) {
+      sendError(res, err, 'Failed to load users');
+    }
+  });
+
+  router.post('/users', requireRole('owner'), field.validate({ body: NEW_USER }), async (req, res) => {
+    try {
+      const user = await storage.users.create(await readUserFields(req, req.body));
+      res.status(201).json({ message: 'User added', user: publicUser(user) });
+    } catch (err) {
+      sendError(res, err, 'Failed to add user');
+    }
+  });
+
+  // PATCH change role, reset password or deactivate
+  router.patch('/users/:id', requireRole('owner'), field.validate({ body: USER_FIELDS }), async (req, res) => {
+    try {
+      const existing = await storage.users.get(req.params.id);
+      if (!existing || (req.user.branch_id && existing.branch_id !== req.user.branch_id)) {
+        throw new AppError('User not found', 404);
+      }
+
+      const changes = await readUserFields(req, req.body);
+      if (changes.username !== undefined && changes.username !== existing.username) {
+        throw invalid('username', 'Usernames cannot be changed');
+      }
+      // Don't let the owner lock themselves out
+      if (existing.id === req.user.id && (changes.active === false || (changes.role && changes.role !== 'owner'))) {
+        throw new AppError('You cannot deactivate or demote your own account', 400);
+      }
+
+      const user = await storage.users.update(existing.id, changes);
+      res.json({ message: 'User updated', user: publicUser(user) });
+    } catch (err) {
+      sendError(res, err, 'Failed to update user');
+    }
+  });
+
+  return router;
+}
+
+module.exports = authRoutes;
@@ -0,0 +1,604 @@
+const express = require('express');
+const { AppError, BookingConflictError, invalid, errorBody, sendError } = require('../errors');
+const {
+  MAX_BOOKING_HOURS,
+  BOOKING_WINDOW_FIELDS,
+  assertMaxDuration,
+  resolveBookingWindow,
+  bookingTimes,
+  anonymiseBooking,
+  normaliseCode,
+  assertCustomerCanCancel,
+  assertCustomerCanReschedule
+} = require('../bookings');
+const { quotePrice, quoteGroup, applyPoints, getRateCard, roundMoney } = require('../pricing');
+const { parseInstant } = require('../time');
+const { assertBookable } = require('../stations');
+const { suggestSlots } = require('../availability');
+const { getSchedule, assertWithinSchedule, bufferMinutes } = require('../schedule');
+const { EMAIL_PATTERN, customerFor, samePhone } = require('../customers');
+const { PAYMENT_METHODS, validatePayment } = require('../payments');
+const { hasRole, requireRole } = require('../auth');
+const { inBranch } = require('../branches');
+const field = require('../validation');
+
+const MINUTE_MS = 60 * 1000;
+
+// Request bodies. Prices are never among them: the server quotes every booking.
+const NAME = field.string({ required: true, max: 100 });
+const CONTACT = field.string({ max: 30, pattern: /^\+?[\d\s()-]+$/, patternMessage: 'must be a phone number' });
+// Kept on the customer for emailed confirmations and reminders
+const EMAIL = field.string({ max: 200, pattern: EMAIL_PATTERN, patternMessage: 'must be an email address' });
+const REASON = field.string({ max: 500 });
+const REFUND = { refund_amount: field.number({ min: 0 }), refund_reason: REASON };
+const OWN_BOOKING = { booking_code: field.string({ required: true, max: 40 }), contact: field.string({ required: true, max: 30 }) };
+
+const BOOKING_BODY = {
+  user_name: NAME,
+  contact: CONTACT,
+  email: EMAIL,
+  station_id: field.id({ required: true }),
+  redeem_points: field.number({ integer: true, min: 0 }),
+  pay_from_wallet: field.boolean(),
+  ...BOOKING_WINDOW_FIELDS
+};
+
+const GROUP_BODY = {
+  user_name: NAME,
+  contact: CONTACT,
+  email: EMAIL,
+  station_ids: field.list(field.id(), { required: true, min: 1, max: 20 }),
+  redeem_points: field.number({ integer: true, min: 0 }),
+  pay_from_wallet: field.boolean(),
+  ...BOOKING_WINDOW_FIELDS
+};
+
+const CANCEL_BODY = { ...OWN_BOOKING, reason: REASON };
+const RESCHEDULE_BODY = { ...OWN_BOOKING, ...BOOKING_WINDOW_FIELDS };
+
+// Extend by minutes or to ends_at
+const EXTEND_BODY = { minutes: field.number({ integer: true, above: 0, max: MAX_BOOKING_HOURS * 60 }), ends_at: field.instant() };
+
+const REFUND_BODY = { ...REFUND, refund_amount: field.number({ required: true, min: 0 }) };
+
+const PAYMENT_BODY = {
+  method: field.string({ required: true, oneOf: PAYMENT_METHODS }),
+  amount: field.number({ min: 0 }),
+  discount: field.number({ min: 0 }),
+  note: field.string({ max: 500 })
+};
+
+// Optional refund in a request body: { refund_amount, refund_reason }
+function readRefund(body) {
+  if (body.refund_amount === undefined) return null;
+  return { amount: body.refund_amount, reason: body.refund_reason };
+}
+
+// What the API says about a booking after a status change
+const bookingStatus = booking => ({
+  id: booking.id,
+  booking_code: booking.booking_code,
+  group_code: booking.group_code,
+  user_name: booking.user_name,
+  status: booking.status,
+  total_price: booking.total_price,
+  checked_out_at: booking.checked_out_at,
+  cancellation_reason: booking.cancellation_reason,
+  refund_amount: booking.refund_amount,
+  refund_reason: booking.refund_reason,
+  amount_paid: booking.amount_paid,
+  discount_amount: booking.discount_amount
+});
+
+const statusResponse = (message, booking) => ({ message, booking: bookingStatus(booking) });
+
+const groupResponse = (message, groupCode, bookings) => ({
+  message,
+  group_code: groupCode,
+  bookings: bookings.map(bookingStatus)
+});
+
+// What a customer sees of their own booking
+const customerView = (booking, station, branch, now = new Date()) => ({
+  booking_code: booking.booking_code,
+  group_code: booking.group_code,
+  user_name: booking.user_name,
+  branch_name: branch ? branch.name : null,
+  station_name: station ? station.station_name : null,
+  booking_date: booking.booking_date,
+  start_time: booking.start_time,
+  end_time: booking.end_time,
+  starts_at: booking.starts_at,
+  ends_at: booking.ends_at,
+  duration_hours: booking.duration_hours,
+  status: booking.status,
+  total_price: booking.total_price,
+  amount_paid: booking.amount_paid,
+  can_change: booking.status === 'confirmed' && now < new Date(booking.starts_at)
+});
+
+function bookingRoutes({ storage }) {
+  const router = express.Router();
+
+  // Staff work on their branch's bookings; the others are not found here
+  router.param('id', inBranch(id => storage.bookings.get(id), 'Booking not found'));
+  router.param('code', inBranch(
+    async code => (await storage.bookings.list({ group_code: code }))[0],
+    'Group not found'
+  ));
+
+  // A station of req.branch, or a 404 for path (the body field naming it)
+  async function branchStation(req, id, path, message = 'Station not found') {
+    const station = await storage.stations.get(id);
+    if (!station || station.branch_id !== req.branch.id) {
+      throw invalid(path, message, 'not_found');
+    }
+    return station;
+  }
+
+  // The booking (or a group's bookings) a customer's code and phone number
+  // point to. Both must match, so a code alone is not enough; bookings made
+  // without a number can only be managed by staff.
+  async function findOwnBooking(bookingCode, contact) {
+    const code = normaliseCode(bookingCode);
+    const booking = await storage.bookings.findByCode(code);
+    const bookings = booking ? [booking] : await storage.bookings.list({ group_code: code });
+    if (bookings.length === 0 || !samePhone(contact, bookings[0].contact)) {
+      throw new AppError('No booking found with that code and contact number', 404);
+    }
+    return { code, group: !booking, bookings };
+  }
+
+  // GET the branch's bookings. Staff get every booking; the public only get
+  // confirmed bookings that haven't ended, without customer names or numbers.
+  router.get('/', async (req, res) => {
+    try {
+      const staff = hasRole(req, 'staff');
+      const now = new Date();
+      const branch_id = req.branch.id;
+      const bookings = staff
+        ? await storage.bookings.list({ branch_id })
+        : (await storage.bookings.list({ branch_id, status: 'confirmed' })).filter(b => new Date(b.ends_at) > now);
+      const stations = await storage.stations.list({ branch_id });
+
+      const rows = bookings.map(b => {
+        const station = stations.find(s => s.id === b.station_id);
+        const row = {
+          ...b,
+          station_name: station ? station.station_name : null
+        };
+        return staff ? row : anonymiseBooking(row);
+      });
+
+      res.json(rows);
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch bookings');
+    }
+  });
+
+  // POST create booking - open to the public
+  router.post('/', field.validate({ body: BOOKING_BODY }), async (req, res) => {
+    try {
+      const { user_name, contact, station_id } = req.body;
+      const { id: branchId, timezone } = req.branch;
+
+      // Start/end instants plus their branch-local date and times
+      const times = resolveBookingWindow(req.body, timezone);
+
+      const station = await branchStation(req, station_id, 'station_id');
+      assertBookable(station);
+
+      // Opening hours, closures, advance window and session length
+      const schedule = await getSchedule(storage, branchId);
+      assertWithinSchedule(schedule, new Date(times.starts_at), new Date(times.ends_at), new Date(), timezone);
+
+      // Points are spent by staff at the counter, where the customer is known;
+      // anyone can type in someone else's number
+      if (req.body.redeem_points > 0 && !hasRole(req, 'staff')) {
+        throw new AppError('Only staff can redeem loyalty points', 403);
+      }
+
+      // Staff can charge the booking to the customer's wallet when it completes
+      const payFromWallet = Boolean(req.body.pay_from_wallet);
+      if (payFromWallet && !hasRole(req, 'staff')) {
+        throw new AppError('Only staff can charge a booking to a wallet', 403);
+      }
+
+      // Price is always computed here from the rate card, never taken from the
+      // client, less any loyalty points the customer spends
+      const card = await getRateCard(storage, branchId);
+      const quote = applyPoints(
+        card,
+        quotePrice(card, station.specs, new Date(times.starts_at), new Date(times.ends_at), timezone),
+        req.body.redeem_points || 0
+      );
+      const customer = await customerFor(storage, user_name, contact, req.body.email, { replaceEmail: hasRole(req, 'staff') });
+
+      // Create booking - storage checks for overlaps, spends the points and
+      // checks the wallet covers it atomically, and assigns the id and booking_code
+      const newBooking = await storage.bookings.create({
+        user_name,
+        contact: contact || '',
+        branch_id: branchId,
+        station_id: station.id,
+        ...times,
+        total_price: quote.total,
+        status: 'confirmed',
+        customer_id: customer ? customer.id : null,
+        points_redeemed: quote.points_redeemed || null,
+        points_discount: quote.points_discount || null,
+        payment_method: payFromWallet ? 'wallet' : null,
+        buffer_minutes: bufferMinutes(schedule, station.specs)
+      });
+
+      res.status(201).json({ message: 'Booking confirmed', booking: newBooking, quote });
+    } catch (err) {
+      // A taken slot comes back with the nearest alternatives
+      if (err instanceof BookingConflictError) {
+        const { starts_at, ends_at } = resolveBookingWindow(req.body, req.branch.timezone);
+        const suggestions = await suggestSlots(storage, req.branch, req.body.station_id, new Date(starts_at), new Date(ends_at))
+          .catch(() => []);
+        return res.status(err.status).json({ ...errorBody(err), suggestions });
+      }
+      sendError(res, err, 'Failed to create booking');
+    }
+  });
+
+  // POST book several stations for the same window as one reservation - all
+  // of them or none. Open to the public, like single bookings.
+  router.post('/group', field.validate({ body: GROUP_BODY }), async (req, res) => {
+    try {
+      const { user_name, contact, station_ids } = req.body;
+
+      if (new Set(station_ids).size !== station_ids.length) {
+        throw invalid('station_ids', 'Each station can only be in a group once', 'duplicate');
+      }
+      if (req.body.redeem_points > 0) {
+        throw invalid('redeem_points', 'Loyalty points can only be redeemed on single-station bookings');
+      }
+      if (req.body.pay_from_wallet) {
+        throw invalid('pay_from_wallet', 'Only single-station bookings can be paid from a wallet');
+      }
+
+      const { id: branchId, timezone } = req.branch;
+      const times = resolveBookingWindow(req.body, timezone);
+
+      const stations = [];
+      for (const [i, id] of station_ids.entries()) {
+        const station = await branchStation(req, id, `station_ids[${i}]`, `Station ${id} not found`);
+        assertBookable(station);
+        stations.push(station);
+      }
+
+      const schedule = await getSchedule(storage, branchId);
+      assertWithinSchedule(schedule, new Date(times.starts_at), new Date(times.ends_at), new Date(), timezone);
+
+      // Priced together, so group discounts from the rate card apply
+      const quote = quoteGroup(
+        await getRateCard(storage, branchId),
+        stations.map(s => s.specs),
+        new Date(times.starts_at),
+        new Date(times.ends_at),
+        timezone
+      );
+
+      const customer = await customerFor(storage, user_name, contact, req.body.email, { replaceEmail: hasRole(req, 'staff') });
+      const bookings = await storage.bookings.createGroup(stations.map((station, i) => ({
+        user_name,
+        contact: contact || '',
+        customer_id: customer ? customer.id : null,
+        branch_id: branchId,
+        station_id: station.id,
+        station_name: station.station_name,
+        ...times,
+        total_price: quote.stations[i].group_total,
+        status: 'confirmed',
+        buffer_minutes: bufferMinutes(schedule, station.specs)
+      })));
+
+      res.status(201).json({ message: 'Group booking confirmed', group_code: bookings[0].group_code, bookings, quote });
+    } catch (err) {
+      sendError(res, err, 'Failed to create group booking');
+    }
+  });
+
+  // POST look up a booking by its booking_code or group code and the contact
+  // number it was made with - open to the public, at any branch
+  router.post('/lookup', field.validate({ body: OWN_BOOKING }), async (req, res) => {
+    try {
+      const { bookings } = await findOwnBooking(req.body.booking_code, req.body.contact);
+      const stations = await storage.stations.list();
+      const branches = await storage.branches.list();
+      res.json({
+        bookings: bookings.map(b => customerView(
+          b,
+          stations.find(s => s.id === b.station_id),
+          branches.find(br => br.id === b.branch_id)
+        ))
+      });
+    } catch (err) {
+      sendError(res, err, 'Failed to find booking');
+    }
+  });
+
+  // POST cancel by the customer, with their booking_code or group code and
+  // contact number. Only before the booking starts.
+  router.post('/cancel', field.validate({ body: CANCEL_BODY }), async (req, res) => {
+    try {
+      const { booking_code, contact, reason } = req.body;
+      const { code, group, bookings } = await findOwnBooking(booking_code, contact);
+      assertCustomerCanCancel(bookings[0]);
+
+      const changes = { by: 'customer', cancellation_reason: reason || '' };
+      if (group) {
+        const cancelled = await storage.bookings.transitionGroup(code, 'cancelled', changes);
+        return res.json(groupResponse('Group booking cancelled', code, cancelled));
+      }
+
+      const cancelled = await storage.bookings.transition(bookings[0].id, 'cancelled', changes);
+      res.json(statusResponse('Booking cancelled', cancelled));
+    } catch (err) {
+      sendError(res, err, 'Failed to cancel booking');
+    }
+  });
+
+  // POST move a booking to another time on the same station, by the
+  // customer with their booking_code and contact number plus the same time
+  // fields as POST /. Only before it starts, and only if the new slot is
+  // free. The price is quoted again; loyalty points already spent still count.
+  // Times are read in the booking's own branch, whichever path it came in on.
+  router.post('/reschedule', field.validate({ body: RESCHEDULE_BODY }), async (req, res) => {
+    let booking = null;
+    let branch = null;
+    try {
+      const { bookings } = await findOwnBooking(req.body.booking_code, req.body.contact);
+      [booking] = bookings;
+      // Moving one member by its own code would split the group
+      if (booking.group_code) {
+        throw new AppError('Group bookings can only be rescheduled by staff', 400);
+      }
+      assertCustomerCanReschedule(booking);
+      branch = await storage.branches.get(booking.branch_id);
+
+      const times = resolveBookingWindow(req.body, branch.timezone);
+      if (new Date(times.starts_at) <= new Date()) {
+        throw new AppError('The new time must be in the future', 400);
+      }
+
+      const station = await storage.stations.get(booking.station_id);
+      assertBookable(station);
+      const schedule = await getSchedule(storage, branch.id);
+      assertWithinSchedule(schedule, new Date(times.starts_at), new Date(times.ends_at), new Date(), branch.timezone);
+
+      const card = await getRateCard(storage, branch.id);
+      const quote = quotePrice(card, station.specs, new Date(times.starts_at), new Date(times.ends_at), branch.timezone);
+      const total = roundMoney(Math.max(0, quote.total - (booking.points_discount || 0)));
+
+      // Storage re-checks the booking and the slot under the station lock
+      const moved = await storage.bookings.changeWindow(booking.id, {
+        ...times,
+        total_price: total,
+        buffer_minutes: bufferMinutes(schedule, station.specs)
+      }, booking.ends_at);
+      if (!moved) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      res.json({ message: 'Booking rescheduled', booking: customerView(moved, station, branch), quote });
+    } catch (err) {
+      // A taken slot comes back with the nearest free time on the same station
+      if (err instanceof BookingConflictError) {
+        const { starts_at, ends_at } = resolveBookingWindow(req.body, branch.timezone);
+        const suggestions = await suggestSlots(storage, branch, booking.station_id, new Date(starts_at), new Date(ends_at))
+          .catch(() => []);
+        return res.status(err.status).json({
+          ...errorBody(err),
+          suggestions: suggestions.filter(s => s.station_id === booking.station_id)
+        });
+      }
+      sendError(res, err, 'Failed to reschedule booking');
+    }
+  });
+
+  // Staff status changes. Each is checked by the booking state machine.
+  const staffTransition = (status, message, readChanges = () => ({})) => async (req, res) => {
+    try {
+      const booking = await storage.bookings.transition(req.params.id, status, {
+        by: req.user.username,
+        ...readChanges(req.body)
+      });
+
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      res.json(statusResponse(message, booking));
+    } catch (err) {
+      sendError(res, err, 'Failed to update booking');
+    }
+  };
+
+  // Status changes for every still-confirmed booking in a group
+  const staffGroupTransition = (status, message, readChanges = () => ({})) => async (req, res) => {
+    try {
+      const bookings = await storage.bookings.transitionGroup(req.params.code, status, {
+        by: req.user.username,
+        ...readChanges(req.body)
+      });
+
+      if (!bookings) {
+        throw new AppError('Group not found', 404);
+      }
+
+      res.json(groupResponse(message, req.params.code, bookings));
+    } catch (err) {
+      sendError(res, err, 'Failed to update group booking');
+    }
+  };
+
+  // POST complete or cancel a whole group
+  const noBody = field.validate({ body: {} });
+  router.post('/group/:code/complete', requireRole('staff'), noBody, staffGroupTransition('completed', 'Group booking completed'));
+  router.post('/group/:code/cancel', requireRole('staff'), field.validate({ body: { reason: REASON } }),
+    staffGroupTransition('cancelled', 'Group booking cancelled', body => ({
+      cancellation_reason: body.reason || ''
+    })));
+
+  // POST mark booking complete
+  router.post('/:id/complete', requireRole('staff'), noBody, staffTransition('completed', 'Booking completed'));
+
+  // POST cancel on the customer's behalf, optionally recording a refund
+  router.post('/:id/cancel', requireRole('staff'), field.validate({ body: { reason: REASON, ...REFUND } }),
+    staffTransition('cancelled', 'Booking cancelled', body => ({
+      cancellation_reason: body.reason || '',
+      refund: readRefund(body)
+    })));
+
+  // POST the customer never turned up (only after the grace period)
+  router.post('/:id/no-show', requireRole('staff'), field.validate({ body: REFUND }),
+    staffTransition('no_show', 'Booking marked as no-show', body => ({
+      refund: readRefund(body)
+    })));
+
+  // POST extend a booking by `minutes` (or to `ends_at`). The station must be
+  // free for the extra time plus its buffer, and the longer session must fit
+  // the branch's schedule as a new one would. The customer pays what the longer session costs
+  // on today's rate card over what the original one does, so bundles apply.
+  router.post('/:id/extend', requireRole('staff'), field.validate({ body: EXTEND_BODY }), async (req, res) => {
+    try {
+      const booking = await storage.bookings.get(req.params.id);
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      const start = new Date(booking.starts_at);
+      const currentEnd = new Date(booking.ends_at);
+      let end = null;
+      if (req.body.ends_at) {
+        end = parseInstant(req.body.ends_at, req.branch.timezone);
+      } else if (req.body.minutes) {
+        end = new Date(currentEnd.getTime() + req.body.minutes * MINUTE_MS);
+      } else {
+        throw invalid('minutes', 'Give minutes (a whole number above 0) or ends_at', 'required');
+      }
+      if (end <= currentEnd) {
+        throw invalid('ends_at', 'The new end time must be after the current one', 'too_small');
+      }
+      assertMaxDuration(start, end, req.body.ends_at ? 'ends_at' : 'minutes');
+      if (new Date() >= currentEnd) {
+        throw new AppError('This session has already ended', 400);
+      }
+
+      const station = await storage.stations.get(booking.station_id);
+      assertBookable(station);
+
+      const { id: branchId, timezone } = req.branch;
+      const schedule = await getSchedule(storage, branchId);
+      assertWithinSchedule(schedule, start, end, new Date(), timezone);
+
+      const card = await getRateCard(storage, branchId);
+      const quote = quotePrice(card, station.specs, start, end, timezone);
+      const additionalPrice = roundMoney(quote.total - quotePrice(card, station.specs, start, currentEnd, timezone).total);
+
+      // Storage re-checks the booking and the slot under the station lock
+      const extended = await storage.bookings.changeWindow(booking.id, {
+        ...bookingTimes(start, end, timezone),
+        total_price: roundMoney(booking.total_price + additionalPrice),
+        buffer_minutes: bufferMinutes(schedule, station.specs)
+      }, booking.ends_at);
+      if (!extended) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      res.json({ message: 'Booking extended', booking: extended, additional_price: additionalPrice, quote });
+    } catch (err) {
+      sendError(res, err, 'Failed to extend booking');
+    }
+  });
+
+  // POST check out now: record when the player left and complete the booking.
+  // With prorate: true the price drops to what the time actually played costs.
+  router.post('/:id/checkout', requireRole('staff'), field.validate({ body: { prorate: field.boolean() } }), async (req, res) => {
+    try {
+      const booking = await storage.bookings.get(req.params.id);
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      const start = new Date(booking.starts_at);
+      const now = new Date();
+      if (now < start) {
+        throw new AppError('This session has not started yet - cancel it instead', 409, 'invalid_transition');
+      }
+      const checkedOut = new Date(Math.min(now.getTime(), new Date(booking.ends_at).getTime()));
+      const changes = { by: req.user.username, checked_out_at: checkedOut.toISOString() };
+
+      if (req.body.prorate && checkedOut < new Date(booking.ends_at)) {
+        const station = await storage.stations.get(booking.station_id);
+        const card = await getRateCard(storage, req.branch.id);
+        const quote = quotePrice(card, station.specs, start, checkedOut, req.branch.timezone);
+        changes.total_price = Math.min(quote.total, booking.total_price);
+      }
+
+      const completed = await storage.bookings.transition(booking.id, 'completed', changes);
+      if (!completed) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      res.json(statusResponse('Checked out', completed));
+    } catch (err) {
+      sendError(res, err, 'Failed to check out');
+    }
+  });
+
+  // POST record a refund on a cancelled or no-show booking
+  router.post('/:id/refund', requireRole('staff'), field.validate({ body: REFUND_BODY }), async (req, res) => {
+    try {
+      const refund = readRefund(req.body);
+
+      const booking = await storage.bookings.refund(req.params.id, refund);
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      res.json(statusResponse('Refund recorded', booking));
+    } catch (err) {
+      sendError(res, err, 'Failed to record refund');
+    }
+  });
+
+  // GET the payments recorded against a booking, oldest first
+  router.get('/:id/payments', requireRole('staff'), async (req, res) => {
+    try {
+      const booking = await storage.bookings.get(req.params.id);
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      const payments = await storage.payments.list({ booking_id: booking.id });
+      res.json(payments.sort((a, b) => a.id - b.id));
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch payments');
+    }
+  });
+
+  // POST record a payment: { method: cash | upi | card, amount, discount, note }.
+  // Together with earlier payments it can't come to more than the price.
+  router.post('/:id/payments', requireRole('staff'), field.validate({ body: PAYMENT_BODY }), async (req, res) => {
+    try {
+      const payment = validatePayment(req.body);
+      const booking = await storage.bookings.recordPayment(req.params.id, payment, { by: req.user.username });
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      res.status(201).json(statusResponse('Payment recorded', booking));
+    } catch (err) {
+      sendError(res, err, 'Failed to record payment');
+    }
+  });
+
+  return router;
+}
+
+module.exports = bookingRoutes;
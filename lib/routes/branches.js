@@ -0,0 +1,85 @@
+const express = require('express');
+const { AppError, invalid, sendError } = require('../errors');
+const { SLUG_PATTERN, isTimeZone } = require('../branches');
+const { requireRole } = require('../auth');
+const field = require('../validation');
+
+// A branch's name and timezone can change; its slug is in bookmarked URLs,
+// so it can't
+const BRANCH_FIELDS = {
+  name: field.string({ min: 1, max: 100 }),
+  timezone: field.string({ max: 100 })
+};
+const NEW_BRANCH = {
+  ...BRANCH_FIELDS,
+  slug: field.string({
+    required: true,
+    max: 50,
+    pattern: SLUG_PATTERN,
+    patternMessage: 'must be lowercase letters, digits and single dashes, e.g. city-centre'
+  }),
+  name: field.string({ required: true, min: 1, max: 100 }),
+  timezone: field.string({ required: true, max: 100 })
+};
+
+// Throw unless timezone (when given) is an IANA zone such as Asia/Kolkata
+function assertTimeZone(timezone) {
+  if (timezone !== undefined && !isTimeZone(timezone)) {
+    throw invalid('timezone', `${timezone} is not a timezone, use a name such as Asia/Kolkata`);
+  }
+}
+
+// Owners tied to one branch can't add or change branches
+function assertChainOwner(req) {
+  if (req.user.branch_id) {
+    throw new AppError('Only an owner of every branch can change branches', 403, 'other_branch');
+  }
+}
+
+function branchRoutes({ storage }) {
+  const router = express.Router();
+
+  // GET every branch, for the branch picker
+  router.get('/', async (req, res) => {
+    try {
+      const branches = await storage.branches.list();
+      res.json(branches.sort((a, b) => a.id - b.id));
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch branches');
+    }
+  });
+
+  // POST open a branch (owner only). It starts with no stations and with the
+  // default rate card and schedule until it's given its own.
+  router.post('/', requireRole('owner'), field.validate({ body: NEW_BRANCH }), async (req, res) => {
+    try {
+      assertChainOwner(req);
+      assertTimeZone(req.body.timezone);
+      const branch = await storage.branches.create(req.body);
+      res.status(201).json({ message: 'Branch added', branch });
+    } catch (err) {
+      sendError(res, err, 'Failed to add branch');
+    }
+  });
+
+  // PATCH rename a branch or change its timezone (owner only)
+  router.patch('/:id', requireRole('owner'), field.validate({ body: BRANCH_FIELDS }), async (req, res) => {
+    try {
+      assertChainOwner(req);
+      const existing = await storage.branches.get(req.params.id);
+      if (!existing) {
+        throw new AppError('Branch not found', 404);
+      }
+
+      assertTimeZone(req.body.timezone);
+      const branch = await storage.branches.update(existing.id, req.body);
+      res.json({ message: 'Branch updated', branch });
+    } catch (err) {
+      sendError(res, err, 'Failed to update branch');
+    }
+  });
+
+  return router;
+}
+
+module.exports = branchRoutes;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { AppError, invalid, sendError } = require('../errors');
+const { EMAIL_PATTERN, normalisePhone, customerHistory, watchLoyalty } = require('../customers');
+const { activeMemberships } = require('../wallet');
+const { requireRole } = require('../auth');
+const field = require('../validation');
+
+// How many matches the booking form's autocomplete gets
+const SEARCH_LIMIT = 10;
+
+// Changes to a customer; email: null stops emails to them
+const CUSTOMER_BODY = {
+  name: field.string({ min: 1, max: 100 }),
+  email: field.string({ max: 200, pattern: EMAIL_PATTERN, patternMessage: 'must be an email address', nullable: true })
+};
+const TOP_UP_BODY = { amount: field.number({ required: true, above: 0 }), note: field.string({ max: 500 }) };
+const PURCHASE_BODY = { package_id: field.id({ required: true }) };
+
+function customerRoutes({ storage, onClose = () => {} }) {
+  const router = express.Router();
+
+  // Credits and returns loyalty points as bookings finish
+  onClose(watchLoyalty(storage));
+
+  // GET customers matching ?search= by phone number or name (staff)
+  router.get('/', requireRole('staff'), field.validate({ query: { search: field.string({ max: 100 }) } }), async (req, res) => {
+    try {
+      const search = (req.query.search || '').toLowerCase();
+      const digits = normalisePhone(search);
+      const customers = (await storage.customers.list())
+        .filter(c => !search || c.name.toLowerCase().includes(search) || (digits && c.phone.includes(digits)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      res.json(search ? customers.slice(0, SEARCH_LIMIT) : customers);
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch customers');
+    }
+  });
+
+  // GET one customer with their booking history, visits and hours played (staff)
+  router.get('/:id', requireRole('staff'), async (req, res) => {
+    try {
+      const customer = await storage.customers.get(req.params.id);
+      if (!customer) {
+        throw new AppError('Customer not found', 404);
+      }
+      const [bookings, stations] = await Promise.all([storage.bookings.list({ customer_id: customer.id }), storage.stations.list()]);
+      res.json(customerHistory(customer, bookings, stations));
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch customer');
+    }
+  });
+
+  // PATCH correct a customer's name or email (staff)
+  router.patch('/:id', requireRole('staff'), field.validate({ body: CUSTOMER_BODY }), async (req, res) => {
+    try {
+      const customer = await storage.customers.get(req.params.id);
+      if (!customer) {
+        throw new AppError('Customer not found', 404);
+      }
+      res.json({ message: 'Customer updated', customer: await storage.customers.update(customer.id, req.body) });
+    } catch (err) {
+      sendError(res, err, 'Failed to update customer');
+    }
+  });
+
+  // GET a customer's wallet: rupee balance, memberships that can still pay
+  // and the ledger, newest first (staff)
+  router.get('/:id/wallet', requireRole('staff'), async (req, res) => {
+    try {
+      const customer = await storage.customers.get(req.params.id);
+      if (!customer) {
+        throw new AppError('Customer not found', 404);
+      }
+      const [memberships, ledger] = await Promise.all([
+        storage.wallet.memberships(customer.id),
+        storage.wallet.ledger(customer.id)
+      ]);
+      res.json({
+        customer_id: customer.id,
+        wallet_balance: customer.wallet_balance,
+        memberships: activeMemberships(memberships),
+        ledger: ledger.sort((a, b) => b.id - a.id)
+      });
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch wallet');
+    }
+  });
+
+  // POST add rupees paid at the counter to the wallet (staff)
+  router.post('/:id/wallet/top-up', requireRole('staff'), field.validate({ body: TOP_UP_BODY }), async (req, res) => {
+    try {
+      const entry = await storage.wallet.topUp(req.params.id, req.body.amount, {
+        by: req.user.username,
+        note: req.body.note,
+        branchId: req.branch.id
+      });
+      if (!entry) {
+        throw new AppError('Customer not found', 404);
+      }
+      res.status(201).json({ message: 'Wallet topped up', entry });
+    } catch (err) {
+      sendError(res, err, 'Failed to top up wallet');
+    }
+  });
+
+  // POST sell a package to the customer, paid at the counter (staff)
+  router.post('/:id/wallet/purchase', requireRole('staff'), field.validate({ body: PURCHASE_BODY }), async (req, res) => {
+    try {
+      const pkg = await storage.packages.get(req.body.package_id);
+      if (!pkg || !pkg.active) throw invalid('package_id', 'Package not found or no longer on sale', 'not_found');
+
+      const entry = await storage.wallet.purchase(req.params.id, pkg, { by: req.user.username, branchId: req.branch.id });
+      if (!entry) {
+        throw new AppError('Customer not found', 404);
+      }
+      res.status(201).json({ message: `${pkg.name} added to the wallet`, entry });
+    } catch (err) {
+      sendError(res, err, 'Failed to sell package');
+    }
+  });
+
+  return router;
+}
+
+module.exports = customerRoutes;
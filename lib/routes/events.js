@@ -0,0 +1,83 @@
+const express = require('express');
+const { anonymiseBooking } = require('../bookings');
+const { anonymiseWaitlistEntry } = require('../waitlist');
+const { authenticate, hasRole } = require('../auth');
+const { createSerialQueue } = require('../storage/queue');
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// Server-Sent Events stream of one branch's station, booking and waitlist
+// changes for the live board. Staff get whole bookings and queue entries; the
+// public get them anonymised. Changes are only seen by clients connected to
+// this server process.
+function eventRoutes({ storage, onClose = () => {} }) {
+  const router = express.Router();
+  const clients = new Set();
+  // Events go out in the order the writes happened, even though adding the
+  // station name is async
+  const queue = createSerialQueue();
+
+  const onChange = ({ type, record }) => {
+    if (![...clients].some(client => client.branchId === record.branch_id)) return;
+
+    queue.run(async () => {
+      let full = record;
+      let anonymised = record;
+      if (type === 'booking') {
+        const station = await storage.stations.get(record.station_id);
+        full = { ...record, station_name: station ? station.station_name : null };
+        anonymised = anonymiseBooking(full);
+      } else if (type === 'waitlist') {
+        anonymised = anonymiseWaitlistEntry(record);
+      }
+
+      for (const client of clients) {
+        if (client.branchId === record.branch_id) client.send(type, client.staff ? full : anonymised);
+      }
+    }).catch(err => console.error('Failed to send live update:', err.message));
+  };
+  storage.events.on('change', onChange);
+
+  // Stop listening and end the open streams
+  onClose(() => {
+    storage.events.off('change', onChange);
+    for (const client of clients) client.end();
+    return queue.run(() => {});
+  });
+
+  // GET the stream. Sends `station`, `booking` and `waitlist` events with the
+  // changed record. Staff may sign in with ?access_token= here.
+  router.get('/', authenticate(storage, { queryToken: true }), (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const client = {
+      branchId: req.branch.id,
+      staff: hasRole(req, 'staff'),
+      send: (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+      end: () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+        res.end();
+      }
+    };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  });
+
+  return router;
+}
+
+module.exports = eventRoutes;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { sendError } = require('../errors');
+const { FORMATS, writeTable } = require('../spreadsheets');
+const { BOOKING_STATUSES, BOOKING_COLUMNS, STATION_COLUMNS } = require('../transfer');
+const { requireRole } = require('../auth');
+const field = require('../validation');
+
+const FORMAT = field.string({ oneOf: Object.keys(FORMATS) });
+
+const BOOKINGS_QUERY = {
+  format: FORMAT,
+  from: field.date(),
+  to: field.date(),
+  status: field.list(field.string({ oneOf: BOOKING_STATUSES }), { split: true, min: 1 })
+};
+
+// Send a table as a file download named after what's in it
+async function sendTable(res, name, columns, rows, format) {
+  const { body, type, extension } = await writeTable(columns, rows, format || 'csv', name);
+  res.attachment(`${name}.${extension}`);
+  res.type(type).send(body);
+}
+
+function exportRoutes({ storage }) {
+  const router = express.Router();
+
+  // GET the branch's bookings as ?format=csv (default) or xlsx (staff). Filter
+  // with ?from=&to= (branch-local booking dates, inclusive) and ?status= (comma
+  // separated). Rows come oldest first.
+  router.get('/bookings', requireRole('staff'), field.validate({ query: BOOKINGS_QUERY }), async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const statuses = req.query.status || BOOKING_STATUSES;
+
+      const stations = await storage.stations.list({ branch_id: req.branch.id });
+      const rows = (await storage.bookings.list({ branch_id: req.branch.id }))
+        .filter(b => statuses.includes(b.status) && (!from || b.booking_date >= from) && (!to || b.booking_date <= to))
+        .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at))
+        .map(b => {
+          const station = stations.find(s => s.id === b.station_id);
+          return { ...b, station_name: station ? station.station_name : null };
+        });
+
+      const range = from || to ? `-${from || 'start'}-to-${to || 'now'}` : '';
+      await sendTable(res, `bookings${range}`, BOOKING_COLUMNS, rows, req.query.format);
+    } catch (err) {
+      sendError(res, err, 'Failed to export bookings');
+    }
+  });
+
+  // GET every station at the branch, whatever its status, as ?format=csv or xlsx (staff)
+  router.get('/stations', requireRole('staff'), field.validate({ query: { format: FORMAT } }), async (req, res) => {
+    try {
+      const stations = (await storage.stations.list({ branch_id: req.branch.id })).sort((a, b) => a.id - b.id);
+      await sendTable(res, 'stations', STATION_COLUMNS, stations, req.query.format);
+    } catch (err) {
+      sendError(res, err, 'Failed to export stations');
+    }
+  });
+
+  return router;
+}
+
+module.exports = exportRoutes;
@@ -0,0 +1,47 @@
+const express = require('express');
+const { hasRole } = require('../auth');
+
+// A Sheets read or backup failure this recent marks the service degraded
+const RECENT_ERROR_MS = 5 * 60 * 1000;
+
+const isRecent = error => Boolean(error) && Date.now() - Date.parse(error.at) < RECENT_ERROR_MS;
+
+function healthRoutes({ storage }) {
+  const router = express.Router();
+  const startedAt = Date.now();
+
+  // GET health, for uptime checks and the staff. 200 with status "ok", or
+  // "degraded" while Google Sheets is failing (bookings still work, from the
+  // cache or without the backup); 503 when storage can't be read at all.
+  // Staff also see the Sheets cache and backup queue in detail.
+  router.get('/', async (req, res) => {
+    const health = {
+      status: 'ok',
+      storage: storage.name,
+      uptime_seconds: Math.round((Date.now() - startedAt) / 1000)
+    };
+    const { cache, backup } = storage.status();
+
+    let storageError = null;
+    try {
+      await storage.stations.list();
+    } catch (err) {
+      health.status = 'down';
+      storageError = err.message;
+    }
+    if (health.status === 'ok' && (isRecent(cache && cache.last_error) || (backup && backup.failures > 0))) {
+      health.status = 'degraded';
+    }
+
+    if (hasRole(req, 'staff')) {
+      if (storageError) health.error = storageError;
+      health.sheets_cache = cache;
+      health.sheets_backup = backup;
+    }
+    res.status(health.status === 'down' ? 503 : 200).json(health);
+  });
+
+  return router;
+}
+
+module.exports = healthRoutes;
@@ -0,0 +1,94 @@
+const express = require('express');
+const { sendError } = require('../errors');
+const { FORMATS, readTable } = require('../spreadsheets');
+const { assertImportSize, validateBookingRows, validateStationRows } = require('../transfer');
+const { getRateCard } = require('../pricing');
+const { customerFor } = require('../customers');
+const { requireRole } = require('../auth');
+const field = require('../validation');
+
+// Uploads are the raw file: a CSV or .xlsx body, whatever its Content-Type
+const readUpload = express.raw({ type: () => true, limit: '10mb' });
+
+const IMPORT_QUERY = { format: field.string({ oneOf: Object.keys(FORMATS) }), dry_run: field.boolean() };
+
+// An upload as spreadsheet rows (?format=csv|xlsx, otherwise told from the file)
+async function uploadedRows(req) {
+  const rows = await readTable(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), req.query.format);
+  assertImportSize(rows);
+  return rows;
+}
+
+// Reply with the per-row problems, or the dry-run verdict. Returns true when
+// the caller should go on and write the records.
+function answerChecks(req, res, { records, errors }) {
+  if (errors.length) {
+    res.status(400).json({
+      error: `${errors.length} of ${records.length + errors.length} rows have problems, nothing was imported`,
+      code: 'invalid_rows',
+      errors
+    });
+    return false;
+  }
+  if (req.query.dry_run) {
+    res.json({ message: `All ${records.length} rows are valid`, dry_run: true, rows: records.length });
+    return false;
+  }
+  return true;
+}
+
+// Bulk imports of bookings and stations into the branch (owner only). Every
+// row is checked first and nothing is written if any row has a problem; send
+// ?dry_run=true to only check.
+function importRoutes({ storage }) {
+  const router = express.Router();
+
+  // POST bookings: user_name, contact, station_id or station_name, the time
+  // fields of POST /api/bookings, and optionally total_price, status and
+  // amount_paid (see lib/transfer.js)
+  router.post('/bookings', requireRole('owner'), field.validate({ query: IMPORT_QUERY }), readUpload, async (req, res) => {
+    try {
+      const { id: branch_id, timezone } = req.branch;
+      const rows = await uploadedRows(req);
+      const checked = validateBookingRows(rows, {
+        stations: await storage.stations.list({ branch_id }),
+        bookings: await storage.bookings.list({ branch_id }),
+        card: await getRateCard(storage, branch_id),
+        timeZone: timezone
+      });
+      if (!answerChecks(req, res, checked)) return;
+
+      for (const record of checked.records) {
+        const customer = await customerFor(storage, record.user_name, record.contact);
+        record.customer_id = customer ? customer.id : null;
+        record.branch_id = branch_id;
+      }
+      const imported = await storage.bookings.importMany(checked.records, { by: req.user.username });
+      res.status(201).json({ message: `Imported ${imported.length} bookings`, imported: imported.length });
+    } catch (err) {
+      sendError(res, err, 'Failed to import bookings');
+    }
+  });
+
+  // POST stations: station_name, specs and optionally status
+  router.post('/stations', requireRole('owner'), field.validate({ query: IMPORT_QUERY }), readUpload, async (req, res) => {
+    try {
+      const rows = await uploadedRows(req);
+      const checked = validateStationRows(rows, {
+        stations: await storage.stations.list({ branch_id: req.branch.id }),
+        card: await getRateCard(storage, req.branch.id)
+      });
+      if (!answerChecks(req, res, checked)) return;
+
+      const records = checked.records.map(record => ({ ...record, branch_id: req.branch.id }));
+      const imported = await storage.stations.importMany(records);
+      res.status(201).json({ message: `Imported ${imported.length} stations`, imported: imported.length });
+    } catch (err) {
+      sendError(res, err, 'Failed to import stations');
+    }
+  });
+
+  return router;
+}
+
+module.exports = importRoutes;
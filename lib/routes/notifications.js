@@ -0,0 +1,97 @@
+const express = require('express');
+const { AppError, sendError } = require('../errors');
+const {
+  NOTICE_KINDS,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  validateTemplates,
+  getTemplates,
+  createNotifier,
+  watchNotifications
+} = require('../notifications');
+const { requireRole } = require('../auth');
+const { inBranch } = require('../branches');
+const field = require('../validation');
+
+const LOG_QUERY = {
+  booking_id: field.id(),
+  kind: field.string({ oneOf: NOTICE_KINDS }),
+  status: field.string({ oneOf: ['sent', 'failed'] }),
+  limit: field.number({ integer: true, min: 1, max: 500, default: 100 })
+};
+
+// The templates' own fields are checked by validateTemplates
+const TEMPLATES_BODY = field.object({}, { unknown: 'allow', required: true });
+
+function notificationRoutes({ storage, env, onClose = () => {} }) {
+  const router = express.Router();
+
+  // Sends confirmations, reminders, warnings and cancellation notices
+  const notifier = createNotifier(storage, env);
+  onClose(watchNotifications(storage, notifier));
+
+  // Entries of other branches' log are not found here
+  router.param('id', inBranch(id => storage.notifications.get(id), 'Notification not found'));
+
+  // GET the branch's delivery log, newest first, filtered by ?booking_id=,
+  // ?kind= and ?status=, at most ?limit= entries (staff)
+  router.get('/', requireRole('staff'), field.validate({ query: LOG_QUERY }), async (req, res) => {
+    try {
+      const { booking_id, kind, status, limit } = req.query;
+      const where = { branch_id: req.branch.id, booking_id, kind, status };
+      const entries = await storage.notifications.list(where);
+      res.json(entries.sort((a, b) => b.id - a.id).slice(0, limit));
+    } catch (err) {
+      sendError(res, err, 'Failed to load notifications');
+    }
+  });
+
+  // GET which channels are on, when reminders and warnings go, and the
+  // branch's templates (staff)
+  router.get('/settings', requireRole('staff'), async (req, res) => {
+    try {
+      res.json({
+        channels: notifier.channels,
+        reminder_minutes: notifier.reminderMinutes,
+        warning_minutes: notifier.warningMinutes,
+        templates: await getTemplates(storage, req.branch.id),
+        default_templates: DEFAULT_TEMPLATES,
+        placeholders: PLACEHOLDERS
+      });
+    } catch (err) {
+      sendError(res, err, 'Failed to load notification settings');
+    }
+  });
+
+  // PUT replace the branch's templates (owner only). Kinds left out use the default.
+  router.put('/templates', requireRole('owner'), field.validate({ body: TEMPLATES_BODY }), async (req, res) => {
+    try {
+      await storage.settings.setForBranch('notification_templates', req.branch.id, validateTemplates(req.body));
+      res.json({ message: 'Templates updated', templates: await getTemplates(storage, req.branch.id) });
+    } catch (err) {
+      sendError(res, err, 'Failed to update templates');
+    }
+  });
+
+  // POST send a logged message again, e.g. after a provider outage (staff)
+  router.post('/:id/resend', requireRole('staff'), field.validate({ body: {} }), async (req, res) => {
+    try {
+      const entry = await storage.notifications.get(req.params.id);
+      if (!entry) {
+        throw new AppError('Notification not found', 404);
+      }
+
+      const resent = await notifier.resend(entry);
+      res.status(resent.status === 'sent' ? 201 : 502).json({
+        message: resent.status === 'sent' ? 'Message sent' : `Sending failed: ${resent.error}`,
+        notification: resent
+      });
+    } catch (err) {
+      sendError(res, err, 'Failed to resend notification');
+    }
+  });
+
+  return router;
+}
+
+module.exports = notificationRoutes;
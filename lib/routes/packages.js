@@ -0,0 +1,78 @@
+const express = require('express');
+const { AppError, sendError } = require('../errors');
+const { PACKAGE_KINDS, validatePackage } = require('../wallet');
+const { requireRole } = require('../auth');
+const field = require('../validation');
+
+// What a package can be made of; validatePackage checks they fit its kind
+const PACKAGE_FIELDS = {
+  name: field.string({ max: 100 }),
+  kind: field.string({ oneOf: PACKAGE_KINDS }),
+  station_type: field.string({ max: 50, nullable: true }),
+  hours: field.number({ above: 0, nullable: true }),
+  credit: field.number({ above: 0, nullable: true }),
+  price: field.number({ above: 0 }),
+  valid_days: field.number({ integer: true, min: 1, nullable: true }),
+  active: field.boolean()
+};
+
+function packageRoutes({ storage }) {
+  const router = express.Router();
+
+  // GET packages on sale
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await storage.packages.list({ active: true }));
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch packages');
+    }
+  });
+
+  // GET every package, including ones taken off sale (staff)
+  router.get('/all', requireRole('staff'), async (req, res) => {
+    try {
+      res.json(await storage.packages.list());
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch packages');
+    }
+  });
+
+  // POST add a package (owner only), on sale unless active: false
+  router.post('/', requireRole('owner'), field.validate({ body: PACKAGE_FIELDS }), async (req, res) => {
+    try {
+      const { active, ...fields } = req.body;
+      const pkg = await storage.packages.create({
+        ...validatePackage(fields),
+        ...(active === undefined ? {} : { active: Boolean(active) })
+      });
+      res.status(201).json({ message: 'Package added', package: pkg });
+    } catch (err) {
+      sendError(res, err, 'Failed to add package');
+    }
+  });
+
+  // PATCH change a package or take it off sale with active: false (owner
+  // only). Memberships already sold keep what they were sold with.
+  router.patch('/:id', requireRole('owner'), field.validate({ body: PACKAGE_FIELDS }), async (req, res) => {
+    try {
+      const pkg = await storage.packages.get(req.params.id);
+      if (!pkg) {
+        throw new AppError('Package not found', 404);
+      }
+
+      const { active, ...changes } = req.body;
+      const fields = validatePackage({ ...pkg, ...changes });
+      const updated = await storage.packages.update(pkg.id, {
+        ...fields,
+        ...(active === undefined ? {} : { active: Boolean(active) })
+      });
+      res.json({ message: 'Package updated', package: updated });
+    } catch (err) {
+      sendError(res, err, 'Failed to update package');
+    }
+  });
+
+  return router;
+}
+
+module.exports = packageRoutes;
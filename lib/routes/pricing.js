@@ -0,0 +1,89 @@
+const express = require('express');
+const { invalid, sendError } = require('../errors');
+const { BOOKING_WINDOW_FIELDS, resolveBookingWindow } = require('../bookings');
+const { validateRateCard, quotePrice, quoteGroup, applyPoints, getRateCard } = require('../pricing');
+const { requireRole } = require('../auth');
+const field = require('../validation');
+
+const QUOTE_QUERY = {
+  station_id: field.id(),
+  station_type: field.string({ max: 50 }),
+  station_ids: field.list(field.id(), { split: true, min: 1, max: 20 }),
+  redeem_points: field.number({ integer: true, min: 0 }),
+  ...BOOKING_WINDOW_FIELDS
+};
+
+// The rate card's own fields are checked by validateRateCard
+const RATE_CARD_BODY = field.object({}, { unknown: 'allow', required: true });
+
+function pricingRoutes({ storage }) {
+  const router = express.Router();
+
+  // GET the branch's rate card
+  router.get('/rate-card', async (req, res) => {
+    try {
+      res.json(await getRateCard(storage, req.branch.id));
+    } catch (err) {
+      sendError(res, err, 'Failed to load rate card');
+    }
+  });
+
+  // PUT replace the branch's rate card (owner only)
+  router.put('/rate-card', requireRole('owner'), field.validate({ body: RATE_CARD_BODY }), async (req, res) => {
+    try {
+      const card = await storage.settings.setForBranch('rate_card', req.branch.id, validateRateCard(req.body));
+      res.json({ message: 'Rate card updated', rate_card: card });
+    } catch (err) {
+      sendError(res, err, 'Failed to update rate card');
+    }
+  });
+
+  // GET quote - the authoritative price for a session, before booking.
+  // Takes station_id (or station_type) and the same time fields as POST /api/bookings,
+  // or station_ids=1,2,3 for a group booking priced together. redeem_points
+  // takes loyalty points off a single station's total (the balance is checked
+  // on booking); groups can't redeem points.
+  router.get('/quote', field.validate({ query: QUOTE_QUERY }), async (req, res) => {
+    try {
+      const { id: branchId, timezone } = req.branch;
+      const points = req.query.redeem_points || 0;
+      const card = await getRateCard(storage, branchId);
+      const times = resolveBookingWindow(req.query, timezone);
+      const start = new Date(times.starts_at);
+      const end = new Date(times.ends_at);
+      const inBranch = station => station && station.branch_id === branchId;
+
+      if (req.query.station_ids) {
+        // Refused as POST /api/bookings/group refuses them
+        if (points > 0) {
+          throw invalid('redeem_points', 'Loyalty points can only be redeemed on single-station bookings');
+        }
+        const types = [];
+        for (const [i, id] of req.query.station_ids.entries()) {
+          const station = await storage.stations.get(id);
+          if (!inBranch(station)) throw invalid(`station_ids[${i}]`, `Station ${id} not found`, 'not_found');
+          types.push(station.specs);
+        }
+        return res.json(quoteGroup(card, types, start, end, timezone));
+      }
+
+      let stationType = req.query.station_type;
+      if (req.query.station_id) {
+        const station = await storage.stations.get(req.query.station_id);
+        if (!inBranch(station)) throw invalid('station_id', 'Station not found', 'not_found');
+        stationType = station.specs;
+      }
+      if (!stationType) {
+        throw invalid('station_id', 'station_id or station_type is required', 'required');
+      }
+
+      res.json(applyPoints(card, quotePrice(card, stationType, start, end, timezone), points));
+    } catch (err) {
+      sendError(res, err, 'Failed to calculate quote');
+    }
+  });
+
+  return router;
+}
+
+module.exports = pricingRoutes;
@@ -0,0 +1,111 @@
+const express = require('express');
+const { sendError } = require('../errors');
+const { toZonedDateTime } = require('../time');
+const { cashUp } = require('../payments');
+const { GROUP_BY, readRange, buildAnalytics } = require('../analytics');
+const { getSchedule } = require('../schedule');
+const { toCsv } = require('../csv');
+const { requireRole } = require('../auth');
+const field = require('../validation');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const HOURS = Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`);
+
+const UTILISATION_COLUMNS = [
+  { key: 'bookings', label: 'Bookings' },
+  { key: 'hours_played', label: 'Hours played' },
+  { key: 'open_hours', label: 'Open hours' },
+  { key: 'utilisation_percent', label: 'Utilisation %' },
+  { key: 'revenue', label: 'Revenue' }
+];
+
+// Each part of the analytics report as a CSV table: columns and rows
+const CSV_SECTIONS = {
+  revenue: report => ({
+    columns: [
+      { key: 'period', label: 'Period' },
+      { key: 'revenue', label: 'Revenue' },
+      { key: 'bookings', label: 'Bookings' },
+      { key: 'hours_played', label: 'Hours played' }
+    ],
+    rows: report.revenue
+  }),
+  stations: report => ({
+    columns: [{ key: 'station_name', label: 'Station' }, { key: 'station_type', label: 'Type' }, ...UTILISATION_COLUMNS],
+    rows: report.stations
+  }),
+  station_types: report => ({
+    columns: [{ key: 'station_type', label: 'Type' }, { key: 'stations', label: 'Stations' }, ...UTILISATION_COLUMNS],
+    rows: report.station_types
+  }),
+  peak_hours: report => ({
+    columns: [{ key: 'weekday', label: 'Day' }, ...HOURS.map((label, hour) => ({ key: hour, label }))],
+    rows: report.peak_hours.map((hours, weekday) => ({ weekday: WEEKDAYS[weekday], ...hours }))
+  })
+};
+
+const ANALYTICS_QUERY = {
+  from: field.date(),
+  to: field.date(),
+  group_by: field.string({ oneOf: GROUP_BY }),
+  format: field.string({ oneOf: ['json', 'csv'] }),
+  section: field.string({ oneOf: Object.keys(CSV_SECTIONS) })
+};
+
+function reportRoutes({ storage }) {
+  const router = express.Router();
+
+  // GET the branch's end-of-day cash-up for a branch-local day
+  // (?date=YYYY-MM-DD, default today): expected revenue against what was
+  // paid for the same bookings, per method
+  router.get('/cash-up', requireRole('staff'), field.validate({ query: { date: field.date() } }), async (req, res) => {
+    try {
+      const { id: branchId, timezone } = req.branch;
+      const date = req.query.date || toZonedDateTime(new Date(), timezone).date;
+
+      const [bookings, payments, ledger] = await Promise.all([
+        storage.bookings.list({ branch_id: branchId }),
+        storage.payments.list(),
+        storage.wallet.ledger()
+      ]);
+      const ids = new Set(bookings.map(b => b.id));
+      res.json(cashUp(date, {
+        bookings,
+        payments: payments.filter(p => ids.has(p.booking_id)),
+        ledger: ledger.filter(e => e.branch_id === branchId)
+      }, timezone));
+    } catch (err) {
+      sendError(res, err, 'Failed to build the cash-up');
+    }
+  });
+
+  // GET the branch's revenue, utilisation, peak hours and repeat customers for
+  // a range of branch-local dates (?from=&to=, default the last 30 days) with revenue per
+  // ?group_by=day|week|month (owner). With ?format=csv one ?section of it
+  // (revenue, stations, station_types or peak_hours) comes as a CSV download.
+  router.get('/analytics', requireRole('owner'), field.validate({ query: ANALYTICS_QUERY }), async (req, res) => {
+    try {
+      const { id: branch_id, timezone } = req.branch;
+      const range = readRange(req.query, new Date(), timezone);
+      const [bookings, stations, schedule] = await Promise.all([
+        storage.bookings.list({ branch_id, status: 'completed' }),
+        storage.stations.list({ branch_id }),
+        getSchedule(storage, branch_id)
+      ]);
+      const report = buildAnalytics({ bookings, stations, schedule }, range, timezone);
+
+      if (req.query.format !== 'csv') return res.json(report);
+
+      const section = req.query.section || 'revenue';
+      const { columns, rows } = CSV_SECTIONS[section](report);
+      res.attachment(`${section}-${range.from}-to-${range.to}.csv`);
+      res.type('text/csv').send(toCsv(columns, rows));
+    } catch (err) {
+      sendError(res, err, 'Failed to build analytics');
+    }
+  });
+
+  return router;
+}
+
+module.exports = reportRoutes;
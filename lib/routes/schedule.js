@@ -0,0 +1,35 @@
+const express = require('express');
+const { sendError } = require('../errors');
+const { validateSchedule, getSchedule } = require('../schedule');
+const { requireRole } = require('../auth');
+const field = require('../validation');
+
+// The schedule's own fields are checked by validateSchedule
+const SCHEDULE_BODY = field.object({}, { unknown: 'allow', required: true });
+
+function scheduleRoutes({ storage }) {
+  const router = express.Router();
+
+  // GET the branch's schedule: opening hours, closures, buffers and booking limits
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await getSchedule(storage, req.branch.id));
+    } catch (err) {
+      sendError(res, err, 'Failed to load schedule');
+    }
+  });
+
+  // PUT replace the branch's schedule (owner only)
+  router.put('/', requireRole('owner'), field.validate({ body: SCHEDULE_BODY }), async (req, res) => {
+    try {
+      const schedule = await storage.settings.setForBranch('schedule', req.branch.id, validateSchedule(req.body));
+      res.json({ message: 'Schedule updated', schedule });
+    } catch (err) {
+      sendError(res, err, 'Failed to update schedule');
+    }
+  });
+
+  return router;
+}
+
+module.exports = scheduleRoutes;
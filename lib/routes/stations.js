@@ -0,0 +1,214 @@
+const express = require('express');
+const { AppError, invalid, sendError } = require('../errors');
+const { BOOKING_WINDOW_FIELDS, isActiveAt, resolveBookingWindow } = require('../bookings');
+const { parseInstant, getTimeRemaining, toZonedDateTime, dayWindow } = require('../time');
+const { stationTimeline, suggestSlots } = require('../availability');
+const { getRateCard } = require('../pricing');
+const { getSchedule } = require('../schedule');
+const { EDITABLE_STATUSES, isBookable } = require('../stations');
+const { hasRole, requireRole } = require('../auth');
+const { inBranch } = require('../branches');
+const field = require('../validation');
+
+// Changes to a station; a new one needs a name and specs
+const STATION_FIELDS = {
+  station_name: field.string({ max: 100 }),
+  specs: field.string({ max: 50 }),
+  status: field.string({ oneOf: EDITABLE_STATUSES })
+};
+const NEW_STATION = {
+  ...STATION_FIELDS,
+  station_name: field.string({ required: true, max: 100 }),
+  specs: field.string({ required: true, max: 50 })
+};
+
+const SUGGESTIONS_QUERY = { station_id: field.id({ required: true }), ...BOOKING_WINDOW_FIELDS };
+
+function stationRoutes({ storage }) {
+  const router = express.Router();
+
+  // Stations of other branches are not found here
+  router.param('id', inBranch(id => storage.stations.get(id), 'Station not found'));
+
+  // GET stations in service, with live (or ?datetime=) availability. Only
+  // staff see who is playing; the public just sees occupied/available.
+  router.get('/', field.validate({ query: { datetime: field.instant() } }), async (req, res) => {
+    try {
+      const { datetime } = req.query;
+      const showCustomers = hasRole(req, 'staff');
+      // Stations under maintenance, out of order or retired don't take bookings
+      const branchId = req.branch.id;
+      const stations = (await storage.stations.list({ branch_id: branchId })).filter(isBookable);
+      const bookings = await storage.bookings.list({ branch_id: branchId, status: 'confirmed' });
+
+      if (!datetime) {
+        const now = new Date();
+
+        // Bookings running right now, including ones that started before midnight
+        const currentBookings = bookings.filter(b => isActiveAt(b, now));
+
+        const response = stations.map(s => {
+          const currentBooking = currentBookings.find(b => b.station_id === s.id);
+          const timeRemaining = currentBooking ? getTimeRemaining(now, currentBooking.ends_at) : null;
+
+          return {
+            id: s.id,
+            station_name: `${s.station_name} #${s.specs}`,
+            specs: s.specs,
+            status: currentBooking ? 'occupied' : 'available',
+            timeRemaining: timeRemaining,
+            currentBooking: currentBooking ? {
+              userName: showCustomers ? currentBooking.user_name : undefined,
+              endTime: currentBooking.end_time,
+              endsAt: currentBooking.ends_at
+            } : null,
+            value: s.id
+          };
+        });
+
+        return res.json(response);
+      }
+
+      // For specific datetime query (ISO instant, or wall-clock time in the branch's timezone)
+      const queryInstant = parseInstant(datetime, req.branch.timezone);
+
+      // Check bookings for the specific time
+      const booked = new Set(
+        bookings
+          .filter(b => isActiveAt(b, queryInstant))
+          .map(b => b.station_id)
+      );
+
+      const out = stations.map(s => ({
+        id: s.id,
+        station_name: s.station_name,
+        specs: s.specs,
+        status: booked.has(s.id) ? 'Occupied' : 'Available'
+      }));
+
+      res.json(out);
+    } catch (err) {
+      sendError(res, err, 'Failed to load stations');
+    }
+  });
+
+  // GET each station's free and busy intervals for a branch-local day
+  // (?date=YYYY-MM-DD, default today). No customer details, so it's public.
+  router.get('/timeline', field.validate({ query: { date: field.date() } }), async (req, res) => {
+    try {
+      const { id: branchId, timezone } = req.branch;
+      const now = new Date();
+      const date = req.query.date || toZonedDateTime(now, timezone).date;
+
+      const { start, end } = dayWindow(date, timezone);
+      const stations = (await storage.stations.list({ branch_id: branchId })).filter(isBookable);
+      const bookings = await storage.bookings.list({ branch_id: branchId, status: 'confirmed' });
+      const schedule = await getSchedule(storage, branchId);
+
+      res.json({
+        date,
+        timezone,
+        day_starts_at: start.toISOString(),
+        day_ends_at: end.toISOString(),
+        stations: stations.map(s => stationTimeline(s, bookings, start, end, now, timezone, schedule))
+      });
+    } catch (err) {
+      sendError(res, err, 'Failed to load timeline');
+    }
+  });
+
+  // GET alternatives for a slot: station_id plus the same time fields as POST /api/bookings
+  router.get('/suggestions', field.validate({ query: SUGGESTIONS_QUERY }), async (req, res) => {
+    try {
+      const times = resolveBookingWindow(req.query, req.branch.timezone);
+      res.json(await suggestSlots(storage, req.branch, req.query.station_id, new Date(times.starts_at), new Date(times.ends_at)));
+    } catch (err) {
+      sendError(res, err, 'Failed to find free slots');
+    }
+  });
+
+  // GET every station, whatever its status, for the admin screen
+  router.get('/all', requireRole('staff'), async (req, res) => {
+    try {
+      res.json(await storage.stations.list({ branch_id: req.branch.id }));
+    } catch (err) {
+      sendError(res, err, 'Failed to load stations');
+    }
+  });
+
+  // The fields of a validated name/specs/status payload, once specs is
+  // checked against the branch's rate card
+  async function readStationFields(req, body) {
+    if (body.specs !== undefined) {
+      const card = await getRateCard(storage, req.branch.id);
+      if (!card.types[body.specs]) {
+        const types = Object.keys(card.types).join(', ');
+        throw invalid('specs', `specs must be a station type on the rate card (${types})`, 'invalid_choice');
+      }
+    }
+    return body;
+  }
+
+  // Confirmed bookings on a station that haven't finished yet
+  async function upcomingBookings(stationId) {
+    const now = new Date();
+    const bookings = await storage.bookings.list({ station_id: stationId, status: 'confirmed' });
+    return bookings.filter(b => new Date(b.ends_at) > now);
+  }
+
+  // POST add a station (owner only)
+  router.post('/', requireRole('owner'), field.validate({ body: NEW_STATION }), async (req, res) => {
+    try {
+      const fields = await readStationFields(req, req.body);
+      const station = await storage.stations.create({ ...fields, branch_id: req.branch.id });
+      res.status(201).json({ message: 'Station added', station });
+    } catch (err) {
+      sendError(res, err, 'Failed to add station');
+    }
+  });
+
+  // PATCH rename, change specs or set maintenance / out of order / back in service.
+  // Staff can change the status; renaming and changing specs is for the owner.
+  router.patch('/:id', requireRole('staff'), field.validate({ body: STATION_FIELDS }), async (req, res) => {
+    try {
+      if ((req.body.station_name !== undefined || req.body.specs !== undefined) && !hasRole(req, 'owner')) {
+        throw new AppError('Only the owner can rename stations or change their type', 403);
+      }
+
+      const existing = await storage.stations.get(req.params.id);
+      if (!existing) {
+        throw new AppError('Station not found', 404);
+      }
+      if (existing.status === 'retired') {
+        throw new AppError('Retired stations cannot be changed', 400);
+      }
+
+      const station = await storage.stations.update(existing.id, await readStationFields(req, req.body));
+
+      // Taking a station out of service doesn't cancel its bookings; list them so staff can move them
+      const affected = isBookable(station) ? [] : await upcomingBookings(station.id);
+      res.json({ message: 'Station updated', station, affected_bookings: affected });
+    } catch (err) {
+      sendError(res, err, 'Failed to update station');
+    }
+  });
+
+  // DELETE retire a station (owner only). It stays in storage so past bookings keep their station.
+  router.delete('/:id', requireRole('owner'), async (req, res) => {
+    try {
+      const existing = await storage.stations.get(req.params.id);
+      if (!existing) {
+        throw new AppError('Station not found', 404);
+      }
+
+      const station = await storage.stations.update(existing.id, { status: 'retired' });
+      res.json({ message: 'Station retired', station, affected_bookings: await upcomingBookings(station.id) });
+    } catch (err) {
+      sendError(res, err, 'Failed to retire station');
+    }
+  });
+
+  return router;
+}
+
+module.exports = stationRoutes;
@@ -0,0 +1,124 @@
+const express = require('express');
+const { AppError, invalid, sendError } = require('../errors');
+const { isBookable } = require('../stations');
+const { getSchedule } = require('../schedule');
+const { anonymiseWaitlistEntry, estimateQueue, watchWaitlist } = require('../waitlist');
+const { hasRole, requireRole } = require('../auth');
+const { inBranch } = require('../branches');
+const field = require('../validation');
+
+const MAX_WAITLIST_HOURS = 12;
+
+const JOIN_BODY = {
+  user_name: field.string({ required: true, max: 100 }),
+  contact: field.string({ max: 30, pattern: /^\+?[\d\s()-]+$/, patternMessage: 'must be a phone number' }),
+  station_type: field.string({ required: true, max: 50 }),
+  duration_hours: field.number({ above: 0, max: MAX_WAITLIST_HOURS, default: 1 })
+};
+
+function waitlistRoutes({ storage, onClose = () => {} }) {
+  const router = express.Router();
+
+  // Seats walk-ins as stations free up
+  onClose(watchWaitlist(storage));
+
+  // Each branch has its own queue
+  router.param('id', inBranch(id => storage.waitlist.get(id), 'Waitlist entry not found'));
+
+  // The branch's waiting entries with their place in the queue and estimated start
+  async function queue(branch) {
+    const branch_id = branch.id;
+    const [entries, stations, bookings, schedule] = await Promise.all([
+      storage.waitlist.list({ branch_id, status: 'waiting' }),
+      storage.stations.list({ branch_id }),
+      storage.bookings.list({ branch_id, status: 'confirmed' }),
+      getSchedule(storage, branch_id)
+    ]);
+    return estimateQueue(entries, stations, bookings, schedule);
+  }
+
+  // GET the queue. Staff see names and numbers; the public only see the
+  // places and estimated waits.
+  router.get('/', async (req, res) => {
+    try {
+      const entries = await queue(req.branch);
+      res.json(hasRole(req, 'staff') ? entries : entries.map(anonymiseWaitlistEntry));
+    } catch (err) {
+      sendError(res, err, 'Failed to load waitlist');
+    }
+  });
+
+  // GET one entry: its place and estimate while waiting, or the station it
+  // was seated at
+  router.get('/:id', async (req, res) => {
+    try {
+      const entry = await storage.waitlist.get(req.params.id);
+      if (!entry) {
+        throw new AppError('Waitlist entry not found', 404);
+      }
+
+      if (entry.status === 'waiting') {
+        const waiting = (await queue(req.branch)).find(e => e.id === entry.id);
+        if (!waiting) {
+          // Seated or taken off the queue since it was read
+          throw new AppError('Waitlist entry not found', 404);
+        }
+        return res.json(hasRole(req, 'staff') ? waiting : anonymiseWaitlistEntry(waiting));
+      }
+
+      const booking = entry.booking_id ? await storage.bookings.get(entry.booking_id) : null;
+      const station = booking ? await storage.stations.get(booking.station_id) : null;
+      res.json({
+        ...(hasRole(req, 'staff') ? entry : anonymiseWaitlistEntry(entry)),
+        station_name: station ? station.station_name : null,
+        ends_at: booking ? booking.ends_at : null
+      });
+    } catch (err) {
+      sendError(res, err, 'Failed to load waitlist entry');
+    }
+  });
+
+  // POST join the queue for a station type - open to walk-ins
+  router.post('/', field.validate({ body: JOIN_BODY }), async (req, res) => {
+    try {
+      const { user_name, contact, station_type, duration_hours: hours } = req.body;
+
+      const stations = await storage.stations.list({ branch_id: req.branch.id });
+      if (!stations.some(s => isBookable(s) && s.specs === station_type)) {
+        throw invalid('station_type', `No ${station_type} stations are in service`, 'station_unavailable');
+      }
+
+      const created = await storage.waitlist.create({
+        user_name,
+        contact: contact || '',
+        branch_id: req.branch.id,
+        station_type,
+        duration_hours: hours
+      });
+
+      // The walk-in may already have been seated if a station was free
+      const current = await storage.waitlist.get(created.id);
+      const entry = current.status === 'waiting' ? (await queue(req.branch)).find(e => e.id === current.id) || current : current;
+      res.status(201).json({ message: 'Added to the waitlist', entry });
+    } catch (err) {
+      sendError(res, err, 'Failed to join waitlist');
+    }
+  });
+
+  // POST take a walk-in off the queue (staff)
+  router.post('/:id/leave', requireRole('staff'), field.validate({ body: {} }), async (req, res) => {
+    try {
+      const entry = await storage.waitlist.leaveQueue(req.params.id, 'left', { by: req.user.username });
+      if (!entry) {
+        throw new AppError('Waitlist entry not found', 404);
+      }
+      res.json({ message: 'Removed from the waitlist', entry });
+    } catch (err) {
+      sendError(res, err, 'Failed to remove from waitlist');
+    }
+  });
+
+  return router;
+}
+
+module.exports = waitlistRoutes;
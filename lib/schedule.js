@@ -0,0 +1,191 @@
+const { AppError, invalid } = require('./errors');
+const {
+  CAFE_TIMEZONE, DATE_PATTERN, TIME_PATTERN, zonedTimeToUtc, toZonedDateTime, weekdayOf, isDayList, addDays
+} = require('./time');
+
+// When the cafe takes bookings. A schedule looks like:
+//
+// {
+//   opening_hours: [{ days: [1, 2, 3, 4, 5], open: '10:00', close: '23:00' },  // days: 0 = Sunday
+//                   { days: [5, 6], open: '10:00', close: '02:00' }],          // close before open: past midnight
+//   closures: [{ date: '2024-12-25', reason: 'Christmas' }],                   // whole days off
+//   buffer_minutes: { PC: 10, PS5: 15 },   // gap kept free between sessions on a station of that type
+//   max_advance_days: 30,                  // how far ahead a booking can start
+//   min_duration_minutes: 30,
+//   max_duration_minutes: 480
+// }
+//
+// No opening_hours means open around the clock. A session has to fit inside
+// one opening period; periods that run into each other (Fri 10:00-02:00,
+// Sat 02:00-...) count as one.
+
+const DEFAULT_SCHEDULE = {
+  opening_hours: [],
+  closures: [],
+  buffer_minutes: {},
+  max_advance_days: null,
+  min_duration_minutes: null,
+  max_duration_minutes: null
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ALL_DAY = { days: [0, 1, 2, 3, 4, 5, 6], open: '00:00', close: '00:00' };
+
+const isWholeNumber = value => Number.isInteger(value) && value >= 0;
+const isUnset = value => value === undefined || value === null;
+
+// "90 minutes", "2 hours"
+function formatMinutes(minutes) {
+  if (minutes % 60 !== 0) return `${minutes} minutes`;
+  const hours = minutes / 60;
+  return hours === 1 ? '1 hour' : `${hours} hours`;
+}
+
+// Throw a 400 describing the first problem with a schedule, naming the field
+function validateSchedule(schedule) {
+  const fail = (path, message) => {
+    throw invalid(path, `Invalid schedule: ${path} ${message}`);
+  };
+
+  // [index, entry] pairs of an optional list, whose entries must be objects
+  const entries = key => {
+    if (isUnset(schedule[key])) return [];
+    if (!Array.isArray(schedule[key])) fail(key, 'must be a list');
+    schedule[key].forEach((entry, i) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) fail(`${key}[${i}]`, 'must be an object');
+    });
+    return schedule[key].entries();
+  };
+
+  if (!schedule || typeof schedule !== 'object') fail('body', 'must be an object');
+  for (const [i, period] of entries('opening_hours')) {
+    if (!isDayList(period.days)) fail(`opening_hours[${i}].days`, 'must be weekday numbers 0-6');
+    if (!TIME_PATTERN.test(period.open || '') || !TIME_PATTERN.test(period.close || '')) {
+      fail(`opening_hours[${i}]`, 'needs open and close as HH:MM');
+    }
+  }
+  for (const [i, closure] of entries('closures')) {
+    if (!DATE_PATTERN.test(closure.date || '')) fail(`closures[${i}].date`, 'must be YYYY-MM-DD');
+  }
+  if (!isUnset(schedule.buffer_minutes)) {
+    if (typeof schedule.buffer_minutes !== 'object') fail('buffer_minutes', 'must map station types to minutes');
+    for (const [type, minutes] of Object.entries(schedule.buffer_minutes)) {
+      if (!isWholeNumber(minutes)) fail(`buffer_minutes.${type}`, 'must be a whole number of minutes');
+    }
+  }
+  for (const key of ['max_advance_days', 'min_duration_minutes', 'max_duration_minutes']) {
+    if (!isUnset(schedule[key]) && !(isWholeNumber(schedule[key]) && schedule[key] > 0)) {
+      fail(key, 'must be a positive whole number');
+    }
+  }
+  if (schedule.min_duration_minutes && schedule.max_duration_minutes &&
+      schedule.min_duration_minutes > schedule.max_duration_minutes) {
+    fail('min_duration_minutes', 'is longer than max_duration_minutes');
+  }
+  return { ...DEFAULT_SCHEDULE, ...schedule };
+}
+
+// Minutes kept free either side of a session on a station of this type
+function bufferMinutes(schedule, stationType) {
+  return (schedule.buffer_minutes || {})[stationType] || 0;
+}
+
+function closureOn(schedule, date) {
+  return (schedule.closures || []).find(closure => closure.date === date) || null;
+}
+
+// Opening periods starting on one cafe-local date, as [open, close] instants
+function periodsOn(schedule, date, timeZone) {
+  if (closureOn(schedule, date)) return [];
+  const rules = schedule.opening_hours && schedule.opening_hours.length ? schedule.opening_hours : [ALL_DAY];
+  const weekday = weekdayOf(zonedTimeToUtc(date, '12:00', timeZone), timeZone);
+
+  return rules
+    .filter(rule => rule.days.includes(weekday))
+    .map(rule => [
+      zonedTimeToUtc(date, rule.open, timeZone),
+      zonedTimeToUtc(rule.close <= rule.open ? addDays(date, 1) : date, rule.close, timeZone)
+    ]);
+}
+
+// Opening periods touching [start, end), merged where they run into each other
+function openPeriods(schedule, start, end, timeZone) {
+  const periods = [];
+  const last = toZonedDateTime(end, timeZone).date;
+  // The day before can run past midnight into the start
+  for (let date = addDays(toZonedDateTime(start, timeZone).date, -1); date <= last; date = addDays(date, 1)) {
+    periods.push(...periodsOn(schedule, date, timeZone));
+  }
+  periods.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const [open, close] of periods) {
+    const previous = merged[merged.length - 1];
+    if (previous && open <= previous[1]) {
+      if (close > previous[1]) previous[1] = close;
+    } else {
+      merged.push([open, close]);
+    }
+  }
+  return merged;
+}
+
+// "on Mondays the cafe is open 10:00-23:00" for the day a session starts
+function hoursMessage(schedule, start, timeZone) {
+  const date = toZonedDateTime(start, timeZone).date;
+  const day = DAY_NAMES[weekdayOf(start, timeZone)];
+  const hours = periodsOn(schedule, date, timeZone)
+    .map(([open, close]) => `${toZonedDateTime(open, timeZone).time}-${toZonedDateTime(close, timeZone).time}`);
+  return hours.length
+    ? `Outside opening hours: on ${day}s the cafe is open ${hours.join(', ')}`
+    : `The cafe is closed on ${day}s`;
+}
+
+// The rule a session from start to end breaks, as a message, or null when it
+// fits the schedule
+function scheduleProblem(schedule, start, end, now = new Date(), timeZone = CAFE_TIMEZONE) {
+  const minutes = Math.ceil((end - start) / MINUTE_MS);
+  if (schedule.min_duration_minutes && minutes < schedule.min_duration_minutes) {
+    return `Bookings must be at least ${formatMinutes(schedule.min_duration_minutes)} long`;
+  }
+  if (schedule.max_duration_minutes && minutes > schedule.max_duration_minutes) {
+    return `Bookings can be at most ${formatMinutes(schedule.max_duration_minutes)} long`;
+  }
+  if (schedule.max_advance_days && start - now > schedule.max_advance_days * DAY_MS) {
+    return `Bookings can only be made up to ${schedule.max_advance_days} days ahead`;
+  }
+
+  const fits = openPeriods(schedule, start, end, timeZone).some(([open, close]) => open <= start && end <= close);
+  if (fits) return null;
+
+  for (const instant of [start, new Date(end - 1)]) {
+    const date = toZonedDateTime(instant, timeZone).date;
+    const closure = closureOn(schedule, date);
+    if (closure) return `The cafe is closed on ${date}${closure.reason ? ` (${closure.reason})` : ''}`;
+  }
+  return hoursMessage(schedule, start, timeZone);
+}
+
+// Throw a 400 naming the rule a new session breaks
+function assertWithinSchedule(schedule, start, end, now = new Date(), timeZone = CAFE_TIMEZONE) {
+  const problem = scheduleProblem(schedule, start, end, now, timeZone);
+  if (problem) throw new AppError(problem, 400, 'outside_schedule');
+}
+
+// The schedule in force at a branch, as for getRateCard
+async function getSchedule(storage, branchId) {
+  return (await storage.settings.forBranch('schedule', branchId)) || DEFAULT_SCHEDULE;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  validateSchedule,
+  bufferMinutes,
+  formatMinutes,
+  openPeriods,
+  scheduleProblem,
+  assertWithinSchedule,
+  getSchedule
+};
@@ -0,0 +1,336 @@
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { TABLES } = require('./storage/schema');
+
+// Retry failed syncs with exponential backoff, capped at five minutes
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Give up on a Google call that hasn't answered in this long
+const SHEETS_TIMEOUT_MS = parseInt(process.env.SHEETS_TIMEOUT_MS || '10000', 10);
+
+// Calls made while serving a request retry quota errors this many times,
+// waiting 1s, 2s, 4s (or longer if Google says so)
+const QUOTA_RETRIES = 3;
+const QUOTA_RETRY_BASE_MS = 1000;
+
+// Google Sheets setup
+const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+let CREDS = null;
+try {
+  CREDS = process.env.GOOGLE_CREDS_JSON ? JSON.parse(process.env.GOOGLE_CREDS_JSON) : null;
+  if (CREDS) {
+    console.log('Service Account Email:', CREDS.client_email);
+    if (!CREDS.private_key || !CREDS.client_email) {
+      throw new Error('Missing required credential fields');
+    }
+  }
+} catch (e) {
+  CREDS = null;
+  console.error('Invalid GOOGLE_CREDS_JSON:', e.message);
+  console.error('Please ensure your service account credentials are properly formatted and contain all required fields');
+}
+
+// Header row for a table's sheet: one column per schema column
+function headersFor(name) {
+  return Object.keys(TABLES[name].columns);
+}
+
+// Get a sheet by title, creating it with the given headers if it doesn't
+// exist and appending any headers an older sheet is missing
+async function getOrCreateSheet(doc, title, headerValues) {
+  let sheet = doc.sheetsByTitle[title];
+  if (!sheet) {
+    console.log(`Creating ${title} sheet...`);
+    sheet = await doc.addSheet({ title, headerValues });
+    console.log(`${title} sheet created successfully`);
+    return sheet;
+  }
+
+  console.log(`Found existing ${title} sheet`);
+  await sheet.loadHeaderRow();
+  const missing = headerValues.filter(header => !sheet.headerValues.includes(header));
+  if (missing.length > 0) {
+    console.log(`Adding columns to ${title} sheet:`, missing.join(', '));
+    await sheet.setHeaderRow([...sheet.headerValues, ...missing]);
+  }
+  return sheet;
+}
+
+// Connect to the spreadsheet and make sure there is a sheet for each table
+// (all by default). Pass doc to use an already opened spreadsheet instead of
+// GOOGLE_SHEET_ID, e.g. the in-memory one from lib/storage/fake-sheets.js.
+async function connectGoogleSheets(tableNames = Object.keys(TABLES), { doc } = {}) {
+  if (!doc && !SHEET_ID) {
+    throw new Error('GOOGLE_SHEET_ID environment variable is missing');
+  }
+  if (!doc && !CREDS) {
+    throw new Error('Invalid or missing GOOGLE_CREDS_JSON environment variable');
+  }
+
+  try {
+    if (!doc) {
+      console.log('Initializing Google Sheets with Sheet ID:', SHEET_ID);
+      doc = new GoogleSpreadsheet(SHEET_ID);
+
+      // Initialize auth - see more available options at https://theoephraim.github.io/node-google-spreadsheet/#/getting-started/authentication
+      console.log('Attempting to authenticate with service account:', CREDS.client_email);
+      await doc.useServiceAccountAuth({
+        // env var values are copied from service account credentials generated by google
+        // see "Authentication" section in docs for more info
+        client_email: CREDS.client_email,
+        private_key: CREDS.private_key.replace(/\\n/g, '\n'),
+        scopes: [
+          'https://www.googleapis.com/auth/spreadsheets',
+          'https://www.googleapis.com/auth/drive.file',
+        ],
+      });
+    }
+
+    await doc.loadInfo();
+    console.log('Spreadsheet loaded:', doc.title);
+
+    const sheets = {};
+    for (const name of tableNames) {
+      sheets[name] = await getOrCreateSheet(doc, TABLES[name].sheet, headersFor(name));
+    }
+
+    console.log('✅ Google Sheets initialized');
+    return { doc, sheets };
+  } catch (err) {
+    console.error('❌ Google Sheets init error:', err.message);
+    console.error('Additional error details:', {
+      message: err.message,
+      code: err.code,
+      response: err.response?.data,
+    });
+
+    if (err.message.includes('permission')) {
+      console.error('\nPossible solutions:');
+      console.error('1. Verify the service account email address is correct');
+      console.error('2. Make sure you have shared the Google Sheet with the service account email');
+      console.error('3. Ensure the service account has Editor access to the sheet');
+      console.error(`4. Double check that the Sheet ID "${SHEET_ID}" is correct`);
+    }
+
+    throw err;
+  }
+}
+
+// Reject if a Google call takes longer than SHEETS_TIMEOUT_MS. The call
+// itself may still complete later.
+function withTimeout(promise, ms = SHEETS_TIMEOUT_MS) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Google Sheets did not answer within ${ms / 1000}s`);
+      err.timeout = true;
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// How long Google asked us to wait (Retry-After), in ms, or 0
+function retryAfterMs(err) {
+  const seconds = Number(err.response?.headers?.['retry-after']);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Over quota (429) or Google having a bad moment (5xx); timeouts too unless
+// the call was a write that may have gone through anyway
+function isRetryable(err, { timeouts = true } = {}) {
+  const status = err.response?.status || err.code;
+  if (err.timeout) return timeouts;
+  return status === 429 || (Number.isInteger(status) && status >= 500);
+}
+
+// Run one Google call with a timeout, retrying quota and server errors with
+// exponential backoff. Writes pass timeouts: false so a slow insert isn't
+// made twice.
+async function callSheets(fn, { retries = QUOTA_RETRIES, timeouts = true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(fn());
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err, { timeouts })) throw err;
+      const delay = Math.max(QUOTA_RETRY_BASE_MS * 2 ** attempt, retryAfterMs(err));
+      console.warn(`Google Sheets call failed (${err.message}), retrying in ${delay / 1000}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Format a record as sheet cell values
+function toCells(headers, record) {
+  const values = {};
+  for (const header of headers) {
+    const value = record[header];
+    if (value === null || value === undefined) values[header] = '';
+    else if (typeof value === 'object') values[header] = JSON.stringify(value);
+    else values[header] = String(value);
+  }
+  return values;
+}
+
+// Write records into a sheet keyed by their id column: existing rows are
+// updated in place, new ones appended in a single batch.
+async function upsertRows(sheet, headers, records) {
+  const rows = await withTimeout(sheet.getRows());
+  const byId = new Map(rows.map(row => [String(row.id), row]));
+  const toAdd = [];
+
+  for (const record of records) {
+    const values = toCells(headers, record);
+    const row = byId.get(String(record.id));
+    if (row) {
+      Object.assign(row, values);
+      await withTimeout(row.save());
+    } else {
+      toAdd.push(values);
+    }
+  }
+
+  if (toAdd.length > 0) {
+    await withTimeout(sheet.addRows(toAdd));
+  }
+}
+
+// Background job that copies every table into Google Sheets.
+// Writes are queued and coalesced by id; if Google is slow or unreachable the
+// queue is retried later and bookings carry on unaffected. Mirrors to doc
+// when given, otherwise to GOOGLE_SHEET_ID if it and the credentials are set.
+function createSheetsMirror({ doc } = {}) {
+  const enabled = Boolean(doc || (SHEET_ID && CREDS));
+  const mirrored = Object.keys(TABLES).filter(name => TABLES[name].backup !== false);
+  const pending = new Map(mirrored.map(name => [name, new Map()]));
+  let connection = null;
+  let timer = null;
+  let flushing = false;
+  let failures = 0;
+  let lastError = null;
+  let nextRetryAt = null;
+
+  const pendingCount = () => [...pending.values()].reduce((sum, records) => sum + records.size, 0);
+
+  function schedule(delay) {
+    if (!enabled || timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+    timer.unref();
+  }
+
+  function enqueue(name, record) {
+    if (!enabled || !record || !pending.has(name)) return;
+    pending.get(name).set(record.id, record);
+    schedule(0);
+  }
+
+  async function syncTable(name) {
+    const records = pending.get(name);
+    if (records.size === 0) return;
+
+    const batch = new Map(records);
+    records.clear();
+    try {
+      await upsertRows(connection.sheets[name], headersFor(name), [...batch.values()]);
+    } catch (err) {
+      // Put the batch back unless a newer version was queued meanwhile
+      for (const [id, record] of batch) {
+        if (!records.has(id)) records.set(id, record);
+      }
+      throw err;
+    }
+  }
+
+  async function flush() {
+    if (flushing) return;
+    flushing = true;
+    try {
+      if (!connection) connection = await connectGoogleSheets(mirrored, { doc });
+      for (const name of pending.keys()) {
+        await syncTable(name);
+      }
+      failures = 0;
+      nextRetryAt = null;
+    } catch (err) {
+      failures++;
+      // Over quota, wait at least as long as Google asks
+      const delay = Math.max(Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS), retryAfterMs(err));
+      lastError = { message: err.message, at: new Date().toISOString() };
+      nextRetryAt = new Date(Date.now() + delay).toISOString();
+      console.error(`Sheets mirror sync failed (attempt ${failures}), retrying in ${delay / 1000}s:`, err.message);
+      schedule(delay);
+    } finally {
+      flushing = false;
+      if (failures === 0 && pendingCount() > 0) {
+        schedule(0);
+      }
+    }
+  }
+
+  // Queue the records returned by a table's insert/update calls
+  function mirrorTable(name, table, onRecord) {
+    const wrapped = { ...table };
+    for (const method of ['insert', 'update']) {
+      wrapped[method] = async (...args) => {
+        const record = await table[method](...args);
+        onRecord(name, record);
+        return record;
+      };
+    }
+    return wrapped;
+  }
+
+  // Wrap a storage adapter so every successful write is queued for the mirror.
+  // Writes made inside a transaction are only queued once it commits.
+  function wrap(adapter) {
+    if (!enabled) return adapter;
+
+    return {
+      ...adapter,
+
+      table: name => mirrorTable(name, adapter.table(name), enqueue),
+
+      async transaction(fn) {
+        const written = [];
+        const result = await adapter.transaction(tx => fn({
+          ...tx,
+          table: name => mirrorTable(name, tx.table(name), (table, record) => written.push([table, record]))
+        }));
+        for (const [name, record] of written) enqueue(name, record);
+        return result;
+      }
+    };
+  }
+
+  return {
+    enabled,
+    wrap,
+
+    // Queue a full copy of the current data, e.g. on startup
+    async syncAll(adapter) {
+      if (!enabled) {
+        console.log('📑 Google Sheets backup: disabled (GOOGLE_SHEET_ID / GOOGLE_CREDS_JSON not set)');
+        return;
+      }
+      for (const name of mirrored) {
+        for (const record of await adapter.table(name).list()) enqueue(name, record);
+      }
+    },
+
+    status() {
+      return {
+        enabled,
+        connected: Boolean(connection),
+        pending: pendingCount(),
+        failures,
+        last_error: lastError,
+        next_retry_at: nextRetryAt
+      };
+    }
+  };
+}
+
+module.exports = { QUOTA_RETRIES, callSheets, connectGoogleSheets, createSheetsMirror, headersFor, toCells };
@@ -0,0 +1,103 @@
+const ExcelJS = require('exceljs');
+const { AppError, invalid } = require('./errors');
+const { escapeFormula, unescapeFormula, toCsv, parseCsv } = require('./csv');
+
+// Tables in and out as CSV or Excel (.xlsx) files. A table is a header row
+// of column names followed by one row per record.
+
+const FORMATS = {
+  csv: { type: 'text/csv', extension: 'csv' },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// .xlsx files are zip archives, which start with "PK"
+const isZip = buffer => buffer.length > 2 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+const pad = n => String(n).padStart(2, '0');
+
+// A cell as text. Excel keeps dates and times as wall-clock values, which
+// ExcelJS hands back as UTC Dates: a time on its own comes back on
+// 1899-12-30 and a plain date at midnight.
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const date = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+    const time = `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}`;
+    if (value.getUTCFullYear() < 1900) return time;
+    return time === '00:00' ? date : `${date}T${time}`;
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+}
+
+// Rows of text cells -> records keyed by the header row's names
+// (lower-cased, spaces as underscores), each with its spreadsheet row number.
+// Cells we escaped against formulas on export lose the escape again.
+function toRecords(rows) {
+  if (rows.length === 0) throw new AppError('The file is empty', 400, 'invalid_file');
+  const headers = rows[0].map(header => String(header).trim().toLowerCase().replace(/\s+/g, '_'));
+  return rows.slice(1).map((cells, i) => {
+    const record = { row: i + 2 };
+    headers.forEach((header, column) => {
+      if (header) record[header] = unescapeFormula(String(cells[column] === undefined ? '' : cells[column])).trim();
+    });
+    return record;
+  });
+}
+
+// An uploaded file (Buffer) -> records, from the first sheet of a workbook.
+// Format is 'csv' or 'xlsx'; without one it is told from the file itself.
+async function readTable(buffer, format) {
+  const kind = format || (isZip(buffer) ? 'xlsx' : 'csv');
+  if (!FORMATS[kind]) throw invalid('format', `format must be one of ${Object.keys(FORMATS).join(', ')}`, 'invalid_choice');
+
+  if (kind === 'csv') return toRecords(parseCsv(buffer.toString('utf8')));
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw new AppError('The file is not a readable .xlsx workbook', 400, 'invalid_file');
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw new AppError('The workbook has no sheets', 400, 'invalid_file');
+
+  const rows = [];
+  sheet.eachRow(row => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      cells[column - 1] = cellText(cell.value);
+    });
+    if (cells.some(Boolean)) rows.push(Array.from(cells, cell => cell || ''));
+  });
+  return toRecords(rows);
+}
+
+// columns: [{ key, label }] -> { body, type, extension } for a download
+async function writeTable(columns, rows, format = 'csv', sheetName = 'Sheet1') {
+  if (!FORMATS[format]) throw invalid('format', `format must be one of ${Object.keys(FORMATS).join(', ')}`, 'invalid_choice');
+  const { type, extension } = FORMATS[format];
+
+  if (format === 'csv') return { body: toCsv(columns, rows), type, extension };
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column.label || column.key, key: String(column.key), width: 16 }));
+  sheet.getRow(1).font = { bold: true };
+  for (const row of rows) {
+    const values = {};
+    for (const column of columns) {
+      const value = row[column.key];
+      values[column.key] = value === null || value === undefined ? '' : escapeFormula(value);
+    }
+    sheet.addRow(values);
+  }
+  return { body: Buffer.from(await workbook.xlsx.writeBuffer()), type, extension };
+}
+
+module.exports = { FORMATS, readTable, writeTable };
@@ -0,0 +1,21 @@
+const { AppError } = require('./errors');
+
+// Station lifecycle. "available" means in service - whether someone is
+// playing on it right now is worked out from bookings, not stored here.
+const STATION_STATUSES = ['available', 'maintenance', 'out_of_order', 'retired'];
+
+// Statuses staff can set directly; retiring goes through DELETE
+const EDITABLE_STATUSES = ['available', 'maintenance', 'out_of_order'];
+
+function isBookable(station) {
+  return station.status === 'available';
+}
+
+// Throw a 400 unless the station can take a new booking
+function assertBookable(station) {
+  if (!isBookable(station)) {
+    throw new AppError(`Station is not available for booking (${station.status.replace(/_/g, ' ')})`, 400, 'station_unavailable');
+  }
+}
+
+module.exports = { STATION_STATUSES, EDITABLE_STATUSES, isBookable, assertBookable };
@@ -0,0 +1,66 @@
+const { bookingTimes } = require('../bookings');
+const { DATE_PATTERN, TIME_PATTERN, zonedTimeToUtc } = require('../time');
+const { customerFor } = require('../customers');
+
+// Give bookings written before starts_at/ends_at existed their instants,
+// reading the old date and "HH:MM" fields in the cafe timezone. An end time at
+// or before the start time was a session past midnight. Rows that can't be
+// read (or that now clash with another booking) are logged and left alone.
+async function backfillBookingTimes(storage) {
+  const pending = (await storage.bookings.list()).filter(b => !b.starts_at || !b.ends_at);
+  if (pending.length === 0) return;
+
+  console.log(`Backfilling start/end times for ${pending.length} bookings...`);
+  let skipped = 0;
+  for (const booking of pending) {
+    if (!DATE_PATTERN.test(booking.booking_date || '') ||
+        !TIME_PATTERN.test(booking.start_time || '') ||
+        !TIME_PATTERN.test(booking.end_time || '')) {
+      console.warn(`Skipping booking ${booking.id}: unreadable date/time`, booking.booking_date, booking.start_time, booking.end_time);
+      skipped++;
+      continue;
+    }
+
+    const start = zonedTimeToUtc(booking.booking_date, booking.start_time);
+    let end = zonedTimeToUtc(booking.booking_date, booking.end_time);
+    if (end <= start) end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+
+    try {
+      await storage.bookings.update(booking.id, bookingTimes(start, end));
+    } catch (err) {
+      console.warn(`Skipping booking ${booking.id}:`, err.message);
+      skipped++;
+    }
+  }
+  console.log(`Backfill complete (${pending.length - skipped} updated, ${skipped} skipped)`);
+}
+
+// Link bookings made before customers existed to a customer by their contact
+// number, named after the earliest booking. Points are not credited for them.
+async function backfillCustomers(storage) {
+  const pending = (await storage.bookings.list())
+    .filter(b => !b.customer_id && b.contact)
+    .sort((a, b) => a.id - b.id);
+
+  let linked = 0;
+  for (const booking of pending) {
+    const customer = await customerFor(storage, booking.user_name, booking.contact);
+    if (!customer) continue;
+    const changes = { customer_id: customer.id };
+    // Sessions already played are settled without points
+    if (booking.status === 'completed' && booking.points_earned === null) changes.points_earned = 0;
+    await storage.bookings.update(booking.id, changes);
+    linked++;
+  }
+  if (linked > 0) console.log(`Linked ${linked} bookings to customers`);
+}
+
+// Put stations, bookings, walk-ins and wallet sales from before there were
+// branches into the first branch, and make the settings from then every
+// branch's own
+async function backfillBranches(storage, branch) {
+  const adopted = await storage.branches.adoptUnassigned(branch.id);
+  if (adopted > 0) console.log(`Moved ${adopted} existing records into the ${branch.name} branch`);
+}
+
+module.exports = { backfillBookingTimes, backfillCustomers, backfillBranches };
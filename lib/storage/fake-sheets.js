@@ -0,0 +1,108 @@
+// An in-memory stand-in for a google-spreadsheet document, covering the
+// calls lib/sheets.js and the sheets adapter make: loadInfo, sheetsByTitle,
+// addSheet, and per sheet loadHeaderRow, setHeaderRow, getRows, addRow(s),
+// with row.save() and row.delete(). Cells are kept as text, as Google
+// returns them. Pass it as sheetsDoc to createStorage to run the Sheets
+// adapter or the mirror without Google:
+//
+//   const doc = createFakeSpreadsheet();
+//   const storage = createStorage({ STORAGE: 'sheets' }, { sheetsDoc: doc });
+//
+// doc.failNext(n) makes the next n calls fail like an unreachable Google.
+
+function createFakeSpreadsheet({ title = 'Fake spreadsheet' } = {}) {
+  let failures = 0;
+
+  function maybeFail() {
+    if (failures > 0) {
+      failures--;
+      throw new Error('Fake spreadsheet unavailable');
+    }
+  }
+
+  const toText = value => (value === null || value === undefined ? '' : String(value));
+
+  function createSheet(sheetTitle, headerValues) {
+    let stored = [];
+
+    const pick = values => Object.fromEntries(sheet.headerValues.map(h => [h, toText(values[h])]));
+
+    // A row object with the cells as properties, like GoogleSpreadsheetRow
+    function toRow(entry) {
+      const row = { ...entry.cells };
+      Object.defineProperties(row, {
+        rowNumber: { get: () => stored.indexOf(entry) + 2 },
+        save: {
+          value: async () => {
+            maybeFail();
+            entry.cells = pick(row);
+          }
+        },
+        delete: {
+          value: async () => {
+            maybeFail();
+            stored = stored.filter(other => other !== entry);
+          }
+        }
+      });
+      return row;
+    }
+
+    const sheet = {
+      title: sheetTitle,
+      headerValues: [...headerValues],
+
+      async loadHeaderRow() {
+        maybeFail();
+      },
+
+      async setHeaderRow(headers) {
+        maybeFail();
+        sheet.headerValues = [...headers];
+      },
+
+      async getRows() {
+        maybeFail();
+        return stored.map(toRow);
+      },
+
+      async addRow(values) {
+        maybeFail();
+        const entry = { cells: pick(values) };
+        stored.push(entry);
+        return toRow(entry);
+      },
+
+      async addRows(rows) {
+        maybeFail();
+        const entries = rows.map(values => ({ cells: pick(values) }));
+        stored.push(...entries);
+        return entries.map(toRow);
+      }
+    };
+    return sheet;
+  }
+
+  const doc = {
+    title,
+    sheetsByTitle: {},
+
+    async loadInfo() {
+      maybeFail();
+    },
+
+    async addSheet({ title: sheetTitle, headerValues = [] }) {
+      maybeFail();
+      if (doc.sheetsByTitle[sheetTitle]) throw new Error(`A sheet named ${sheetTitle} already exists`);
+      doc.sheetsByTitle[sheetTitle] = createSheet(sheetTitle, headerValues);
+      return doc.sheetsByTitle[sheetTitle];
+    },
+
+    failNext(count = 1) {
+      failures = count;
+    }
+  };
+  return doc;
+}
+
+module.exports = { createFakeSpreadsheet };
@@ -0,0 +1,72 @@
+const path = require('path');
+const { createRepositories } = require('./repositories');
+const { seedFirstBranch, seedDefaultStations, seedOwnerAccount } = require('./seed');
+const { backfillBookingTimes, backfillCustomers, backfillBranches } = require('./backfill');
+const { createSheetsMirror } = require('../sheets');
+
+const ADAPTERS = {
+  postgres: env => require('./postgres').createPostgresStorage({ connectionString: env.DATABASE_URL }),
+  sqlite: env => require('./sqlite').createSqliteStorage({
+    filename: env.SQLITE_FILE || path.join(__dirname, '..', '..', 'data', 'onemoregame.sqlite')
+  }),
+  sheets: (env, { sheetsDoc }) => require('./sheets').createSheetsStorage({ doc: sheetsDoc }),
+  memory: () => require('./memory').createMemoryStorage()
+};
+
+// Pick the adapter from STORAGE (postgres | sqlite | sheets | memory). Without
+// it we use PostgreSQL when DATABASE_URL is set and memory otherwise.
+function resolveAdapterName(env) {
+  if (env.STORAGE) {
+    const name = env.STORAGE.toLowerCase();
+    if (!ADAPTERS[name]) {
+      throw new Error(`Unknown STORAGE "${env.STORAGE}" - expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    if (name === 'postgres' && !env.DATABASE_URL) {
+      throw new Error('STORAGE=postgres requires DATABASE_URL');
+    }
+    return name;
+  }
+
+  if (env.DATABASE_URL) return 'postgres';
+
+  console.warn('⚠️  Neither STORAGE nor DATABASE_URL is set - using in-memory storage, bookings will be lost on restart');
+  return 'memory';
+}
+
+// Build the storage the routes use: the selected adapter, mirrored to Google
+// Sheets in the background (unless Sheets is already the primary store),
+// wrapped in entity repositories. sheetsDoc replaces the Google spreadsheet
+// for both, e.g. with createFakeSpreadsheet() from ./fake-sheets.
+function createStorage(env = process.env, { sheetsDoc } = {}) {
+  const name = resolveAdapterName(env);
+  const adapter = ADAPTERS[name](env, { sheetsDoc });
+  const mirror = name === 'sheets' ? null : createSheetsMirror({ doc: sheetsDoc });
+  const storage = createRepositories(mirror ? mirror.wrap(adapter) : adapter);
+
+  return {
+    ...storage,
+    mirror,
+
+    // The Sheets cache (Sheets storage only) and backup queue, for GET /api/health
+    status() {
+      return {
+        cache: adapter.status ? adapter.status() : null,
+        backup: mirror ? mirror.status() : null
+      };
+    },
+
+    async init() {
+      await adapter.init();
+      const firstBranch = await seedFirstBranch(storage);
+      await backfillBranches(storage, firstBranch);
+      await seedDefaultStations(storage, firstBranch);
+      await seedOwnerAccount(storage, env);
+      await backfillBookingTimes(storage);
+      await backfillCustomers(storage);
+      // Sheets backup runs in the background and never blocks startup
+      if (mirror) await mirror.syncAll(adapter);
+    }
+  };
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,95 @@
+const { getTable, coerce, toRecord, prepareInsert, pickColumns } = require('./schema');
+const { createSerialQueue, queueMethods } = require('./queue');
+
+// In-memory storage. Nothing survives a restart, which is exactly what we want
+// for local development and tests that shouldn't need a database.
+function createMemoryStorage() {
+  const tables = new Map();
+  const queue = createSerialQueue();
+
+  function state(name) {
+    getTable(name);
+    if (!tables.has(name)) tables.set(name, { rows: [], lastId: 0 });
+    return tables.get(name);
+  }
+
+  // Hand out copies so callers can't mutate the store behind our back
+  const copy = row => (row ? { ...row } : null);
+
+  function matches(name, row, where) {
+    const { columns } = getTable(name);
+    return Object.keys(where).every(key => (
+      !(key in columns) || where[key] === undefined || row[key] === coerce(columns[key], where[key])
+    ));
+  }
+
+  function createTable(name) {
+    const table = state(name);
+
+    return {
+      async list(where = {}) {
+        return table.rows.filter(row => matches(name, row, where)).map(copy);
+      },
+
+      async get(id) {
+        return copy(table.rows.find(row => row.id === Number(id)));
+      },
+
+      async insert(values) {
+        const row = toRecord(name, { ...prepareInsert(name, values), id: ++table.lastId });
+        table.rows.push(row);
+        return copy(row);
+      },
+
+      async update(id, changes) {
+        const index = table.rows.findIndex(row => row.id === Number(id));
+        if (index === -1) return null;
+
+        table.rows[index] = toRecord(name, { ...table.rows[index], ...pickColumns(name, changes) });
+        return copy(table.rows[index]);
+      },
+
+      async remove(id) {
+        const index = table.rows.findIndex(row => row.id === Number(id));
+        if (index === -1) return false;
+        table.rows.splice(index, 1);
+        return true;
+      }
+    };
+  }
+
+  function snapshot() {
+    return new Map([...tables].map(([name, t]) => [name, { rows: t.rows.map(copy), lastId: t.lastId }]));
+  }
+
+  return {
+    name: 'memory',
+
+    // Outside a transaction each call waits its turn behind any running transaction
+    table: name => queueMethods(queue, createTable(name)),
+
+    transaction(fn) {
+      return queue.run(async () => {
+        const before = snapshot();
+        try {
+          // Transactions already run one at a time, so locks are a no-op
+          return await fn({ table: createTable, lock: async () => {} });
+        } catch (err) {
+          // Roll back in place so tables handed out earlier stay valid
+          for (const [name, t] of tables) {
+            const saved = before.get(name) || { rows: [], lastId: 0 };
+            t.rows = saved.rows;
+            t.lastId = saved.lastId;
+          }
+          throw err;
+        }
+      });
+    },
+
+    async init() {},
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,25 @@
+CREATE TABLE stations (
+  id SERIAL PRIMARY KEY,
+  station_name TEXT NOT NULL,
+  specs TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'available',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE bookings (
+  id SERIAL PRIMARY KEY,
+  user_name TEXT NOT NULL,
+  contact TEXT NOT NULL DEFAULT '',
+  station_id INTEGER NOT NULL REFERENCES stations (id),
+  booking_date DATE NOT NULL,
+  start_time TEXT NOT NULL CHECK (start_time ~ '^\d{2}:\d{2}$'),
+  end_time TEXT NOT NULL CHECK (end_time ~ '^\d{2}:\d{2}$'),
+  duration_hours NUMERIC(6, 2),
+  total_price NUMERIC(10, 2),
+  status TEXT NOT NULL DEFAULT 'confirmed',
+  booking_code TEXT UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX bookings_station_date_idx ON bookings (station_id, booking_date);
+
@@ -0,0 +1,20 @@
+-- Bookings get real start/end instants so sessions can cross midnight or run
+-- over several days. booking_date/start_time/end_time stay as cafe-local
+-- display values; existing rows are backfilled on startup (lib/storage/backfill.js).
+ALTER TABLE bookings
+  ADD COLUMN starts_at TIMESTAMPTZ,
+  ADD COLUMN ends_at TIMESTAMPTZ,
+  ADD CONSTRAINT bookings_window_check CHECK (ends_at > starts_at);
+
+-- Confirmed bookings on the same station may not overlap at all. This
+-- supersedes the same-start-minute index from 002.
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (station_id WITH =, tstzrange(starts_at, ends_at) WITH &&)
+  WHERE (status = 'confirmed' AND starts_at IS NOT NULL);
+
+DROP INDEX bookings_confirmed_slot_idx;
+
+CREATE INDEX bookings_station_starts_at_idx ON bookings (station_id, starts_at);
@@ -0,0 +1,10 @@
+-- Cancellation, no-show and refund details. Which status changes are allowed
+-- is enforced by the state machine in lib/bookings.js.
+ALTER TABLE bookings
+  ADD COLUMN status_changed_at TIMESTAMPTZ,
+  ADD COLUMN status_changed_by TEXT,
+  ADD COLUMN cancellation_reason TEXT,
+  ADD COLUMN refund_amount NUMERIC(10, 2),
+  ADD COLUMN refund_reason TEXT,
+  ADD COLUMN refunded_at TIMESTAMPTZ,
+  ADD CONSTRAINT bookings_refund_check CHECK (refund_amount IS NULL OR refund_amount >= 0);
@@ -0,0 +1,49 @@
+-- Prepaid wallets: a rupee balance per customer, packages on sale, the
+-- memberships bought from them and a ledger of every change
+ALTER TABLE customers ADD COLUMN wallet_balance NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN payment_method TEXT;
+
+CREATE TABLE packages (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('credit', 'hours', 'pass')),
+  station_type TEXT,
+  hours NUMERIC,
+  credit NUMERIC,
+  price NUMERIC NOT NULL,
+  valid_days INTEGER,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE memberships (
+  id SERIAL PRIMARY KEY,
+  customer_id INTEGER NOT NULL REFERENCES customers (id),
+  package_id INTEGER REFERENCES packages (id),
+  package_name TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  station_type TEXT NOT NULL,
+  hours_remaining NUMERIC,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX memberships_customer_idx ON memberships (customer_id);
+
+CREATE TABLE wallet_ledger (
+  id SERIAL PRIMARY KEY,
+  customer_id INTEGER NOT NULL REFERENCES customers (id),
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('top_up', 'purchase', 'charge')),
+  amount NUMERIC NOT NULL DEFAULT 0,
+  hours NUMERIC NOT NULL DEFAULT 0,
+  balance_after NUMERIC NOT NULL,
+  price_paid NUMERIC,
+  package_id INTEGER REFERENCES packages (id),
+  membership_id INTEGER REFERENCES memberships (id),
+  booking_id INTEGER REFERENCES bookings (id),
+  note TEXT NOT NULL DEFAULT '',
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX wallet_ledger_customer_idx ON wallet_ledger (customer_id);
@@ -0,0 +1,19 @@
+-- Cafe locations. Stations, bookings, the waitlist and wallet sales belong to
+-- a branch; staff accounts may be limited to one (NULL = every branch).
+-- Existing rows are given the first branch on startup (see lib/storage/backfill.js).
+CREATE TABLE branches (
+  id SERIAL PRIMARY KEY,
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  timezone TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE stations ADD COLUMN branch_id INTEGER REFERENCES branches (id);
+ALTER TABLE bookings ADD COLUMN branch_id INTEGER REFERENCES branches (id);
+ALTER TABLE waitlist ADD COLUMN branch_id INTEGER REFERENCES branches (id);
+ALTER TABLE wallet_ledger ADD COLUMN branch_id INTEGER REFERENCES branches (id);
+ALTER TABLE users ADD COLUMN branch_id INTEGER REFERENCES branches (id);
+
+CREATE INDEX stations_branch_idx ON stations (branch_id);
+CREATE INDEX bookings_branch_idx ON bookings (branch_id, status);
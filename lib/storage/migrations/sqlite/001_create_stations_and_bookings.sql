@@ -0,0 +1,24 @@
+CREATE TABLE stations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  station_name TEXT NOT NULL,
+  specs TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'available',
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE bookings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_name TEXT NOT NULL,
+  contact TEXT NOT NULL DEFAULT '',
+  station_id INTEGER NOT NULL REFERENCES stations (id),
+  booking_date TEXT NOT NULL,
+  start_time TEXT NOT NULL,
+  end_time TEXT NOT NULL,
+  duration_hours REAL,
+  total_price REAL,
+  status TEXT NOT NULL DEFAULT 'confirmed',
+  booking_code TEXT UNIQUE,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX bookings_station_date_idx ON bookings (station_id, booking_date);
@@ -0,0 +1,6 @@
+-- Last line of defence against double booking: two confirmed bookings can
+-- never start on the same station at the same minute, even if they come from
+-- different server instances
+CREATE UNIQUE INDEX bookings_confirmed_slot_idx
+  ON bookings (station_id, booking_date, start_time)
+  WHERE status = 'confirmed';
@@ -0,0 +1,7 @@
+-- Bookings get real start/end instants so sessions can cross midnight or run
+-- over several days. booking_date/start_time/end_time stay as cafe-local
+-- display values; existing rows are backfilled on startup (lib/storage/backfill.js).
+ALTER TABLE bookings ADD COLUMN starts_at TEXT;
+ALTER TABLE bookings ADD COLUMN ends_at TEXT;
+
+CREATE INDEX bookings_station_starts_at_idx ON bookings (station_id, starts_at);
@@ -0,0 +1,8 @@
+-- Cancellation, no-show and refund details. Which status changes are allowed
+-- is enforced by the state machine in lib/bookings.js.
+ALTER TABLE bookings ADD COLUMN status_changed_at TEXT;
+ALTER TABLE bookings ADD COLUMN status_changed_by TEXT;
+ALTER TABLE bookings ADD COLUMN cancellation_reason TEXT;
+ALTER TABLE bookings ADD COLUMN refund_amount REAL;
+ALTER TABLE bookings ADD COLUMN refund_reason TEXT;
+ALTER TABLE bookings ADD COLUMN refunded_at TEXT;
@@ -0,0 +1,2 @@
+-- When a player actually left, for sessions checked out before their end time
+ALTER TABLE bookings ADD COLUMN checked_out_at TEXT;
@@ -0,0 +1,4 @@
+-- Bookings made together for several stations share a group code
+ALTER TABLE bookings ADD COLUMN group_code TEXT;
+
+CREATE INDEX bookings_group_code_idx ON bookings (group_code) WHERE group_code IS NOT NULL;
@@ -0,0 +1,15 @@
+-- Walk-ins waiting for a station of a given type
+CREATE TABLE waitlist (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  station_type TEXT NOT NULL,
+  user_name TEXT NOT NULL,
+  contact TEXT NOT NULL DEFAULT '',
+  duration_hours REAL NOT NULL,
+  status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'seated', 'left')),
+  booking_id INTEGER REFERENCES bookings (id),
+  status_changed_at TEXT,
+  status_changed_by TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX waitlist_waiting_idx ON waitlist (station_type, id) WHERE status = 'waiting';
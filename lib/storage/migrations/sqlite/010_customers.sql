@@ -0,0 +1,16 @@
+-- Customers keyed by phone number, with their loyalty points balance
+CREATE TABLE customers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  loyalty_points INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL
+);
+
+ALTER TABLE bookings ADD COLUMN customer_id INTEGER REFERENCES customers (id);
+ALTER TABLE bookings ADD COLUMN points_redeemed INTEGER;
+ALTER TABLE bookings ADD COLUMN points_discount REAL;
+ALTER TABLE bookings ADD COLUMN points_earned INTEGER;
+ALTER TABLE bookings ADD COLUMN points_returned_at TEXT;
+
+CREATE INDEX bookings_customer_idx ON bookings (customer_id) WHERE customer_id IS NOT NULL;
@@ -0,0 +1,49 @@
+-- Prepaid wallets: a rupee balance per customer, packages on sale, the
+-- memberships bought from them and a ledger of every change
+ALTER TABLE customers ADD COLUMN wallet_balance REAL NOT NULL DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN payment_method TEXT;
+
+CREATE TABLE packages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('credit', 'hours', 'pass')),
+  station_type TEXT,
+  hours REAL,
+  credit REAL,
+  price REAL NOT NULL,
+  valid_days INTEGER,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE memberships (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  customer_id INTEGER NOT NULL REFERENCES customers (id),
+  package_id INTEGER REFERENCES packages (id),
+  package_name TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  station_type TEXT NOT NULL,
+  hours_remaining REAL,
+  expires_at TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX memberships_customer_idx ON memberships (customer_id);
+
+CREATE TABLE wallet_ledger (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  customer_id INTEGER NOT NULL REFERENCES customers (id),
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('top_up', 'purchase', 'charge')),
+  amount REAL NOT NULL DEFAULT 0,
+  hours REAL NOT NULL DEFAULT 0,
+  balance_after REAL NOT NULL,
+  price_paid REAL,
+  package_id INTEGER REFERENCES packages (id),
+  membership_id INTEGER REFERENCES memberships (id),
+  booking_id INTEGER REFERENCES bookings (id),
+  note TEXT NOT NULL DEFAULT '',
+  created_by TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX wallet_ledger_customer_idx ON wallet_ledger (customer_id);
@@ -0,0 +1,18 @@
+-- Payments taken against bookings. amount_paid and discount_amount on the
+-- booking are the running totals of its payments.
+ALTER TABLE bookings ADD COLUMN amount_paid REAL NOT NULL DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN discount_amount REAL NOT NULL DEFAULT 0;
+
+CREATE TABLE payments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  booking_id INTEGER NOT NULL REFERENCES bookings (id),
+  method TEXT NOT NULL CHECK (method IN ('cash', 'upi', 'card', 'wallet')),
+  amount REAL NOT NULL DEFAULT 0 CHECK (amount >= 0),
+  discount REAL NOT NULL DEFAULT 0 CHECK (discount >= 0),
+  note TEXT NOT NULL DEFAULT '',
+  recorded_by TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX payments_booking_idx ON payments (booking_id);
+CREATE INDEX payments_created_at_idx ON payments (created_at);
@@ -0,0 +1,3 @@
+-- Booking codes are random now (see lib/bookings.js), so uniqueness is
+-- checked by the database rather than following from the id
+CREATE UNIQUE INDEX bookings_booking_code_idx ON bookings (booking_code);
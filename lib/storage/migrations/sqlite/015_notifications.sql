@@ -0,0 +1,24 @@
+-- Messages sent to customers about their bookings (see lib/notifications.js),
+-- one row per attempt. due_at is the start or end time a reminder or
+-- warning was for, so a moved booking is reminded again.
+ALTER TABLE customers ADD COLUMN email TEXT;
+
+CREATE TABLE notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  booking_id INTEGER REFERENCES bookings (id),
+  branch_id INTEGER REFERENCES branches (id),
+  kind TEXT NOT NULL,
+  channel TEXT NOT NULL CHECK (channel IN ('sms', 'whatsapp', 'email')),
+  provider TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT,
+  message TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+  error TEXT,
+  provider_ref TEXT,
+  due_at TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX notifications_booking_idx ON notifications (booking_id, kind);
+CREATE INDEX notifications_branch_idx ON notifications (branch_id, created_at);
@@ -0,0 +1,60 @@
+const { Pool, types } = require('pg');
+const { migrate } = require('./migrate');
+const { createSqlTable } = require('./sql');
+
+// Return DATE columns as plain 'YYYY-MM-DD' strings and NUMERIC as numbers,
+// matching the shape the API has always served
+types.setTypeParser(types.builtins.DATE, value => value);
+types.setTypeParser(types.builtins.NUMERIC, value => (value === null ? null : parseFloat(value)));
+
+const placeholder = n => `$${n}`;
+
+function createPostgresStorage({ connectionString }) {
+  const pool = new Pool({ connectionString });
+
+  pool.on('error', err => {
+    console.error('Unexpected PostgreSQL client error:', err.message);
+  });
+
+  const poolQuery = async (sql, params) => (await pool.query(sql, params)).rows;
+
+  return {
+    name: 'postgres',
+
+    table(name) {
+      return createSqlTable(name, { query: poolQuery, placeholder });
+    },
+
+    // Run fn on a single connection inside BEGIN/COMMIT, rolling back if it throws
+    async transaction(fn) {
+      const client = await pool.connect();
+      const clientQuery = async (sql, params) => (await client.query(sql, params)).rows;
+      try {
+        await client.query('BEGIN');
+        const result = await fn({
+          table: name => createSqlTable(name, { query: clientQuery, placeholder }),
+          // Held until COMMIT/ROLLBACK, so it also serialises other server instances
+          lock: key => clientQuery('SELECT pg_advisory_xact_lock(hashtext($1))', [key])
+        });
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    async init() {
+      await pool.query('SELECT 1');
+      await migrate(pool);
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = { createPostgresStorage };
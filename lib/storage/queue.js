@@ -0,0 +1,48 @@
+// Runs async tasks one at a time, in the order they were queued. Adapters
+// without real transactions (memory, Sheets) or with a single shared
+// connection (SQLite) use this to keep a transaction's reads and writes from
+// interleaving with other requests.
+function createSerialQueue() {
+  let tail = Promise.resolve();
+
+  return {
+    run(task) {
+      const result = tail.then(() => task());
+      // Keep the chain going whether or not this task failed
+      tail = result.catch(() => {});
+      return result;
+    }
+  };
+}
+
+// Wrap every method of `target` so calls wait their turn on the queue
+function queueMethods(queue, target) {
+  const queued = {};
+  for (const method of Object.keys(target)) {
+    queued[method] = (...args) => queue.run(() => target[method](...args));
+  }
+  return queued;
+}
+
+// One serial queue per key, e.g. per station, so unrelated work doesn't wait.
+// Queues are dropped again once they drain.
+function createKeyedLock() {
+  const queues = new Map();
+
+  return {
+    run(key, task) {
+      let entry = queues.get(key);
+      if (!entry) {
+        entry = { queue: createSerialQueue(), waiting: 0 };
+        queues.set(key, entry);
+      }
+
+      entry.waiting++;
+      return entry.queue.run(task).finally(() => {
+        if (--entry.waiting === 0) queues.delete(key);
+      });
+    }
+  };
+}
+
+module.exports = { createSerialQueue, queueMethods, createKeyedLock };
@@ -0,0 +1,687 @@
+const { EventEmitter } = require('events');
+const { overlaps, newBookingCode, newGroupCode, assertTransition, assertRefundable } = require('../bookings');
+const { AppError, BookingConflictError, WriteConflictError, invalid } = require('../errors');
+const { createKeyedLock } = require('./queue');
+const { roundMoney } = require('../pricing');
+const { walletCharge, membershipFor, assertWalletCovers } = require('../wallet');
+const { amountDue, assertPayable, paymentTotals } = require('../payments');
+
+const refundFields = ({ amount, reason }, now) => ({
+  refund_amount: amount,
+  refund_reason: reason || '',
+  refunded_at: now.toISOString()
+});
+
+// Fields stamped on every status change
+const statusFields = (status, by, now) => ({
+  status,
+  status_changed_at: now.toISOString(),
+  status_changed_by: by
+});
+
+// Spend the loyalty points a new booking redeems, in the booking's
+// transaction, so a balance can't be spent twice
+async function redeemPoints(tx, data) {
+  if (!data.points_redeemed) return;
+  if (!data.customer_id) throw invalid('contact', 'Loyalty points can only be redeemed with a contact number', 'required');
+
+  await tx.lock(`customer:${data.customer_id}`);
+  const customers = tx.table('customers');
+  const customer = await customers.get(data.customer_id);
+  if (customer.loyalty_points < data.points_redeemed) {
+    throw invalid('redeem_points', `Only ${customer.loyalty_points} loyalty points available`, 'too_large');
+  }
+  await customers.update(customer.id, { loyalty_points: customer.loyalty_points - data.points_redeemed });
+}
+
+// Refuse a new booking paid from the wallet unless the wallet covers it on
+// top of the customer's other bookings still waiting to be charged
+async function reserveWallet(tx, data) {
+  if (data.payment_method !== 'wallet') return;
+  if (!data.customer_id) throw invalid('contact', 'Paying from the wallet needs the customer\'s contact number', 'required');
+
+  await tx.lock(`customer:${data.customer_id}`);
+  const customer = await tx.table('customers').get(data.customer_id);
+  const memberships = await tx.table('memberships').list({ customer_id: customer.id });
+  const stations = await tx.table('stations').list();
+  const typeOf = stationId => (stations.find(s => s.id === Number(stationId)) || {}).specs;
+  const pending = (await tx.table('bookings').list({ customer_id: customer.id, status: 'confirmed', payment_method: 'wallet' }))
+    .map(booking => ({ booking, station_type: typeOf(booking.station_id) }));
+
+  assertWalletCovers(customer, memberships, pending, data, typeOf(data.station_id));
+}
+
+// Charge a completed wallet booking to a pass, an hours pack or the rupee
+// balance, write it to the ledger and record it as a wallet payment. The
+// balance can go below zero when the booking grew after it was made (an
+// extension). Resolves to the paid booking.
+async function chargeWallet(tx, booking, by) {
+  await tx.lock(`customer:${booking.customer_id}`);
+  const customers = tx.table('customers');
+  const memberships = tx.table('memberships');
+  const customer = await customers.get(booking.customer_id);
+  const station = await tx.table('stations').get(booking.station_id);
+
+  const charge = walletCharge(booking, station.specs, await memberships.list({ customer_id: customer.id }));
+  if (charge.hours) {
+    await memberships.update(charge.membership.id, {
+      hours_remaining: roundMoney(charge.membership.hours_remaining - charge.hours)
+    });
+  }
+  const balance = roundMoney(customer.wallet_balance - charge.amount);
+  if (charge.amount) await customers.update(customer.id, { wallet_balance: balance });
+
+  await tx.table('wallet_ledger').insert({
+    customer_id: customer.id,
+    entry_type: 'charge',
+    amount: -charge.amount,
+    hours: -charge.hours,
+    balance_after: balance,
+    membership_id: charge.membership ? charge.membership.id : null,
+    booking_id: booking.id,
+    branch_id: booking.branch_id,
+    note: charge.membership ? charge.membership.package_name : `Booking ${booking.booking_code}`,
+    created_by: by
+  });
+
+  const payment = { method: 'wallet', amount: amountDue(booking), discount: 0 };
+  await tx.table('payments').insert({ booking_id: booking.id, ...payment, note: '', recorded_by: by });
+  return tx.table('bookings').update(booking.id, paymentTotals(booking, payment));
+}
+
+// Settings each branch keeps its own of, as "<key>:<branch id>"
+const BRANCH_SETTINGS = ['rate_card', 'schedule', 'notification_templates'];
+
+// Defaults for a new booking
+const NEW_BOOKING = { contact: '', status: 'confirmed', amount_paid: 0, discount_amount: 0 };
+
+// The booking in the way of a new one, as a BookingConflictError. When only
+// the buffer around it is in the way, say so.
+function conflictWith(data, clash, stationLabel) {
+  if (overlaps(data, clash)) {
+    return stationLabel
+      ? new BookingConflictError(`${stationLabel} is already booked during this time period`)
+      : new BookingConflictError();
+  }
+  return new BookingConflictError(
+    `${stationLabel || 'Station'} needs ${data.buffer_minutes} minutes free between sessions, ` +
+    `and is booked ${clash.booking_date} ${clash.start_time}-${clash.end_time}`
+  );
+}
+
+// Entity repositories built on a storage adapter. Routes only ever use these,
+// so they behave the same whichever adapter is underneath.
+//
+// An adapter provides:
+//   table(name)      -> { list(where), get(id), insert(values), update(id, changes), remove(id) }
+//   transaction(fn)  -> runs fn({ table, lock }) atomically and resolves to its result;
+//                       lock(key) blocks other transactions taking the same key until this one ends
+//   init(), close()
+//
+// Every station, booking and waitlist write is announced on `events` as
+// 'change' { type: 'station' | 'booking' | 'waitlist', action, record } once
+// it has been saved, where action names the repository method, e.g. 'create'.
+function createRepositories(adapter) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  // Bookings for the same station are created one at a time in this process;
+  // the transaction lock and the slot index cover other processes
+  const stationLocks = createKeyedLock();
+
+  // Run a task holding several stations' locks, taken one after another in a
+  // fixed order so two multi-station writes can't deadlock. The task gets
+  // the sorted station ids.
+  function withStationLocks(stationIdsOf, task) {
+    const stationIds = [...new Set(stationIdsOf.map(String))].sort();
+    const run = stationIds.reduceRight((inner, id) => () => stationLocks.run(id, inner), () => task(stationIds));
+    return run();
+  }
+
+  const branches = {
+    list: () => adapter.table('branches').list(),
+
+    get: id => adapter.table('branches').get(id),
+
+    // Slugs are unique; checked in the transaction as for usernames
+    create: data => adapter.transaction(async tx => {
+      const table = tx.table('branches');
+      const taken = () => invalid('slug', `There is already a branch called ${data.slug}`, 'taken');
+
+      const [existing] = await table.list({ slug: data.slug });
+      if (existing) throw taken();
+
+      try {
+        return await table.insert(data);
+      } catch (err) {
+        if (err instanceof WriteConflictError) throw taken();
+        throw err;
+      }
+    }),
+
+    update: (id, changes) => adapter.table('branches').update(id, changes),
+
+    // Give the rows saved before there were branches to this one. Settings
+    // saved then (one rate card, schedule and set of templates for the whole
+    // cafe) become the own settings of every branch without its own. Resolves
+    // to how many rows changed.
+    adoptUnassigned: branchId => adapter.transaction(async tx => {
+      let adopted = 0;
+      for (const name of ['stations', 'bookings', 'waitlist', 'wallet_ledger']) {
+        const table = tx.table(name);
+        for (const row of await table.list()) {
+          if (row.branch_id !== null) continue;
+          await table.update(row.id, { branch_id: branchId });
+          adopted++;
+        }
+      }
+
+      const table = tx.table('settings');
+      const branchIds = (await tx.table('branches').list()).map(branch => branch.id);
+      for (const key of BRANCH_SETTINGS) {
+        const [shared] = await table.list({ key });
+        if (!shared) continue;
+        for (const id of branchIds) {
+          const [own] = await table.list({ key: `${key}:${id}` });
+          if (!own) await table.insert({ key: `${key}:${id}`, value: shared.value, updated_at: shared.updated_at });
+        }
+        await table.remove(shared.id);
+        adopted++;
+      }
+      return adopted;
+    })
+  };
+
+  const stations = {
+    list: (where = {}) => adapter.table('stations').list(where),
+
+    get: id => adapter.table('stations').get(id),
+
+    create: data => adapter.table('stations').insert({ status: 'available', ...data }),
+
+    update: (id, changes) => adapter.table('stations').update(id, changes),
+
+    // Add several stations at once, all or nothing
+    importMany: records => adapter.transaction(async tx => {
+      const table = tx.table('stations');
+      const created = [];
+      for (const record of records) {
+        created.push(await table.insert({ status: 'available', ...record }));
+      }
+      return created;
+    })
+  };
+
+  const bookings = {
+    list: (where = {}) => adapter.table('bookings').list(where),
+
+    get: id => adapter.table('bookings').get(id),
+
+    async findByCode(code) {
+      const [booking] = await adapter.table('bookings').list({ booking_code: code });
+      return booking || null;
+    },
+
+    // Check for overlaps and insert in one transaction so two counters can't
+    // both win the same slot. `buffer_minutes` (not stored) keeps that long
+    // free either side of other bookings on the station.
+    create: data => stationLocks.run(String(data.station_id), () => adapter.transaction(async tx => {
+      await tx.lock(`station:${data.station_id}`);
+      const table = tx.table('bookings');
+
+      const existing = await table.list({ station_id: data.station_id, status: 'confirmed' });
+      const clash = existing.find(booking => overlaps(data, booking, data.buffer_minutes));
+      if (clash) throw conflictWith(data, clash);
+      await redeemPoints(tx, data);
+      await reserveWallet(tx, data);
+
+      try {
+        return await table.insert({ ...NEW_BOOKING, booking_code: newBookingCode(), ...data });
+      } catch (err) {
+        if (err instanceof WriteConflictError) throw new BookingConflictError();
+        throw err;
+      }
+    })),
+
+    // Book several stations for the same window at once, all or nothing. Every
+    // station is locked and checked before anything is written; the bookings
+    // share a group_code. Items may carry a
+    // station_name for the conflict message and buffer_minutes, as for create.
+    createGroup: items => withStationLocks(items.map(item => item.station_id), stationIds =>
+      adapter.transaction(async tx => {
+        for (const id of stationIds) await tx.lock(`station:${id}`);
+        const table = tx.table('bookings');
+
+        for (const item of items) {
+          const existing = await table.list({ station_id: item.station_id, status: 'confirmed' });
+          const clash = existing.find(booking => overlaps(item, booking, item.buffer_minutes));
+          if (clash) throw conflictWith(item, clash, item.station_name || `Station ${item.station_id}`);
+        }
+
+        try {
+          const groupCode = newGroupCode();
+          const booked = [];
+          for (const item of items) {
+            booked.push(await table.insert({ ...NEW_BOOKING, booking_code: newBookingCode(), group_code: groupCode, ...item }));
+          }
+          return booked;
+        } catch (err) {
+          if (err instanceof WriteConflictError) throw new BookingConflictError();
+          throw err;
+        }
+      })),
+
+    update: (id, changes) => adapter.table('bookings').update(id, changes),
+
+    // Bulk-load checked bookings (see lib/transfer.js), all or nothing.
+    // Confirmed ones are checked for overlaps again under the station locks,
+    // in case someone booked meanwhile. Finished ones are stamped as changed
+    // by `by`; completed ones earn no loyalty points.
+    importMany: (records, { by } = {}) => withStationLocks(records.map(record => record.station_id), stationIds =>
+      adapter.transaction(async tx => {
+        for (const id of stationIds) await tx.lock(`station:${id}`);
+        const table = tx.table('bookings');
+        const now = new Date();
+
+        for (const record of records.filter(r => r.status === 'confirmed')) {
+          const existing = await table.list({ station_id: record.station_id, status: 'confirmed' });
+          const clash = existing.find(booking => overlaps(record, booking));
+          if (clash) throw conflictWith(record, clash, `Station ${record.station_id}`);
+        }
+
+        try {
+          const imported = [];
+          for (const record of records) {
+            const finished = record.status === 'confirmed' ? {} : statusFields(record.status, by, now);
+            imported.push(await table.insert({
+              ...NEW_BOOKING,
+              booking_code: newBookingCode(),
+              ...record,
+              ...finished,
+              ...(record.status === 'completed' ? { points_earned: 0 } : {})
+            }));
+          }
+          return imported;
+        } catch (err) {
+          if (err instanceof WriteConflictError) throw new BookingConflictError();
+          throw err;
+        }
+      })),
+
+    // Change a confirmed booking's window (extend, reschedule) along with any
+    // fields that depend on it. Same locking and overlap check as create,
+    // ignoring the booking itself, with `buffer_minutes` in changes as for
+    // create. The booking's lock is taken as well, so a status change or
+    // charge running alongside either sees the new window or makes this one
+    // fail. `expectedEndsAt` guards against two counters changing the same
+    // booking at once. Resolves to null when there is no such booking.
+    async changeWindow(id, changes, expectedEndsAt) {
+      const current = await adapter.table('bookings').get(id);
+      if (!current) return null;
+
+      return stationLocks.run(String(current.station_id), () => adapter.transaction(async tx => {
+        await tx.lock(`station:${current.station_id}`);
+        await tx.lock(`booking:${id}`);
+        const table = tx.table('bookings');
+
+        const booking = await table.get(id);
+        if (booking.status !== 'confirmed') {
+          throw new AppError(`Only confirmed bookings can be changed, this one is ${booking.status.replace(/_/g, '-')}`, 400, 'invalid_transition');
+        }
+        if (expectedEndsAt && booking.ends_at !== expectedEndsAt) {
+          throw new AppError('The booking was changed by someone else, please try again', 409);
+        }
+
+        const window = { starts_at: changes.starts_at || booking.starts_at, ends_at: changes.ends_at || booking.ends_at };
+        const others = await table.list({ station_id: booking.station_id, status: 'confirmed' });
+        const clash = others.find(other => other.id !== booking.id && overlaps(window, other, changes.buffer_minutes));
+        if (clash && overlaps(window, clash)) {
+          throw new BookingConflictError(`Station is already booked ${clash.booking_date} ${clash.start_time}-${clash.end_time}`);
+        }
+        if (clash) throw conflictWith({ ...window, buffer_minutes: changes.buffer_minutes }, clash);
+
+        try {
+          return await table.update(booking.id, changes);
+        } catch (err) {
+          if (err instanceof WriteConflictError) throw new BookingConflictError();
+          throw err;
+        }
+      }));
+    },
+
+    // Move a booking to a new status if the state machine allows it, with an
+    // optional refund ({ amount, reason }) recorded at the same time. The
+    // status is read under the booking's lock, so of two counters acting on
+    // it at once the second sees the first one's change (and a wallet is
+    // charged once). A new total_price (a prorated check-out) never drops
+    // below what has already been paid. Resolves to null when there is no
+    // such booking.
+    transition: (id, status, { by, refund, ...changes } = {}) => adapter.transaction(async tx => {
+      await tx.lock(`booking:${id}`);
+      const table = tx.table('bookings');
+      const booking = await table.get(id);
+      if (!booking) return null;
+
+      const now = new Date();
+      assertTransition(booking, status, now);
+      if (refund) assertRefundable({ ...booking, status }, refund.amount);
+      if (changes.total_price !== undefined) {
+        changes.total_price = Math.max(changes.total_price, booking.amount_paid || 0);
+      }
+
+      const updated = await table.update(booking.id, {
+        ...changes,
+        ...(refund ? refundFields(refund, now) : {}),
+        ...statusFields(status, by, now)
+      });
+      if (status === 'completed' && updated.payment_method === 'wallet') return chargeWallet(tx, updated, by);
+      return updated;
+    }),
+
+    // Move every still-confirmed booking in a group to a new status, all or
+    // nothing. Each member is locked, in id order, before the statuses are
+    // read, as transition does for one booking. Resolves to the changed
+    // bookings, or null for an unknown group.
+    transitionGroup: (groupCode, status, { by, ...changes } = {}) => adapter.transaction(async tx => {
+      const table = tx.table('bookings');
+      const ids = (await table.list({ group_code: groupCode })).map(booking => booking.id).sort((a, b) => a - b);
+      if (ids.length === 0) return null;
+      for (const id of ids) await tx.lock(`booking:${id}`);
+      const members = await table.list({ group_code: groupCode });
+
+      const pending = members.filter(booking => booking.status === 'confirmed');
+      if (pending.length === 0) {
+        throw new AppError('No bookings in this group are still confirmed', 400, 'invalid_transition');
+      }
+
+      const now = new Date();
+      pending.forEach(booking => assertTransition(booking, status, now));
+
+      const changed = [];
+      for (const booking of pending) {
+        const updated = await table.update(booking.id, { ...changes, ...statusFields(status, by, now) });
+        changed.push(status === 'completed' && updated.payment_method === 'wallet' ? await chargeWallet(tx, updated, by) : updated);
+      }
+      return changed;
+    }),
+
+    // Record a refund on a cancelled or no-show booking, once. Read under the
+    // booking's lock, as for transition, so two refunds at once can't both pass.
+    refund: (id, refund) => adapter.transaction(async tx => {
+      await tx.lock(`booking:${id}`);
+      const table = tx.table('bookings');
+      const booking = await table.get(id);
+      if (!booking) return null;
+
+      assertRefundable(booking, refund.amount);
+      return table.update(booking.id, refundFields(refund, new Date()));
+    }),
+
+    // Record a payment ({ method, amount, discount, note }) and add it to the
+    // booking's totals. Resolves to the updated booking, or null when there
+    // is no such booking.
+    recordPayment: (id, payment, { by } = {}) => adapter.transaction(async tx => {
+      await tx.lock(`booking:${id}`);
+      const table = tx.table('bookings');
+      const booking = await table.get(id);
+      if (!booking) return null;
+
+      assertPayable(booking, payment);
+      await tx.table('payments').insert({ booking_id: booking.id, ...payment, recorded_by: by });
+      return table.update(booking.id, paymentTotals(booking, payment));
+    })
+  };
+
+  const payments = {
+    list: (where = {}) => adapter.table('payments').list(where)
+  };
+
+  // The delivery log: one entry per message sent or failed
+  const notifications = {
+    list: (where = {}) => adapter.table('notifications').list(where),
+
+    get: id => adapter.table('notifications').get(id),
+
+    log: entry => adapter.table('notifications').insert(entry)
+  };
+
+  const waitlist = {
+    list: (where = {}) => adapter.table('waitlist').list(where),
+
+    get: id => adapter.table('waitlist').get(id),
+
+    create: data => adapter.table('waitlist').insert({ contact: '', status: 'waiting', ...data }),
+
+    // Move a waiting entry to seated or left. Resolves to null when there is
+    // no such entry; an entry that is no longer waiting is a 400.
+    leaveQueue: (id, status, { by, ...changes } = {}) => adapter.transaction(async tx => {
+      const table = tx.table('waitlist');
+      const entry = await table.get(id);
+      if (!entry) return null;
+      if (entry.status !== 'waiting') {
+        throw new AppError(`This walk-in is no longer waiting (${entry.status})`, 400, 'invalid_transition');
+      }
+      return table.update(entry.id, { ...changes, ...statusFields(status, by, new Date()) });
+    })
+  };
+
+  const customers = {
+    list: () => adapter.table('customers').list(),
+
+    get: id => adapter.table('customers').get(id),
+
+    async findByPhone(phone) {
+      const [customer] = await adapter.table('customers').list({ phone });
+      return customer || null;
+    },
+
+    // The customer with this phone number, created on their first booking.
+    // Two first bookings at once both end up with the same customer.
+    async findOrCreate({ phone, name }) {
+      try {
+        return await adapter.transaction(async tx => {
+          const table = tx.table('customers');
+          const [existing] = await table.list({ phone });
+          return existing || table.insert({ phone, name, loyalty_points: 0, wallet_balance: 0 });
+        });
+      } catch (err) {
+        if (err instanceof WriteConflictError) return customers.findByPhone(phone);
+        throw err;
+      }
+    },
+
+    update: (id, changes) => adapter.table('customers').update(id, changes),
+
+    // Credit a finished booking's points to its customer, once. Resolves to
+    // the customer, or null when there was nothing to credit.
+    awardPoints: (bookingId, points) => adapter.transaction(async tx => {
+      await tx.lock(`booking:${bookingId}`);
+      const bookingsTable = tx.table('bookings');
+      const booking = await bookingsTable.get(bookingId);
+      if (!booking || !booking.customer_id || booking.points_earned !== null) return null;
+
+      await tx.lock(`customer:${booking.customer_id}`);
+      const table = tx.table('customers');
+      const customer = await table.get(booking.customer_id);
+      await bookingsTable.update(booking.id, { points_earned: points });
+      return table.update(customer.id, { loyalty_points: customer.loyalty_points + points });
+    }),
+
+    // Give back the points a cancelled booking redeemed, once
+    returnPoints: bookingId => adapter.transaction(async tx => {
+      await tx.lock(`booking:${bookingId}`);
+      const bookingsTable = tx.table('bookings');
+      const booking = await bookingsTable.get(bookingId);
+      if (!booking || !booking.customer_id || !booking.points_redeemed || booking.points_returned_at) return null;
+
+      await tx.lock(`customer:${booking.customer_id}`);
+      const table = tx.table('customers');
+      const customer = await table.get(booking.customer_id);
+      await bookingsTable.update(booking.id, { points_returned_at: new Date().toISOString() });
+      return table.update(customer.id, { loyalty_points: customer.loyalty_points + booking.points_redeemed });
+    })
+  };
+
+  const packages = {
+    list: (where = {}) => adapter.table('packages').list(where),
+
+    get: id => adapter.table('packages').get(id),
+
+    create: data => adapter.table('packages').insert({ active: true, ...data }),
+
+    update: (id, changes) => adapter.table('packages').update(id, changes)
+  };
+
+  // Customers' prepaid balances. Every change is written to the ledger in
+  // the same transaction.
+  const wallet = {
+    memberships: customerId => adapter.table('memberships').list({ customer_id: customerId }),
+
+    // One customer's ledger, or everyone's without a customer id
+    ledger: customerId => adapter.table('wallet_ledger').list(customerId === undefined ? {} : { customer_id: customerId }),
+
+    // Add rupees to the balance, at the branch that took the money. Resolves
+    // to the ledger entry, or null when there is no such customer.
+    topUp: (customerId, amount, { by, note, branchId } = {}) => adapter.transaction(async tx => {
+      await tx.lock(`customer:${customerId}`);
+      const customers = tx.table('customers');
+      const customer = await customers.get(customerId);
+      if (!customer) return null;
+
+      const balance = roundMoney(customer.wallet_balance + amount);
+      await customers.update(customer.id, { wallet_balance: balance });
+      return tx.table('wallet_ledger').insert({
+        customer_id: customer.id,
+        entry_type: 'top_up',
+        amount,
+        hours: 0,
+        balance_after: balance,
+        price_paid: amount,
+        branch_id: branchId,
+        note: note || '',
+        created_by: by
+      });
+    }),
+
+    // Sell a package: credit goes on the balance, hours packs and passes
+    // become memberships. Resolves to the ledger entry, or null when there is
+    // no such customer.
+    purchase: (customerId, pkg, { by, branchId } = {}) => adapter.transaction(async tx => {
+      await tx.lock(`customer:${customerId}`);
+      const customers = tx.table('customers');
+      const customer = await customers.get(customerId);
+      if (!customer) return null;
+
+      const membership = membershipFor(pkg, customer.id);
+      const saved = membership ? await tx.table('memberships').insert(membership) : null;
+      const credit = pkg.kind === 'credit' ? pkg.credit : 0;
+      const balance = roundMoney(customer.wallet_balance + credit);
+      if (credit) await customers.update(customer.id, { wallet_balance: balance });
+
+      return tx.table('wallet_ledger').insert({
+        customer_id: customer.id,
+        entry_type: 'purchase',
+        amount: credit,
+        hours: pkg.kind === 'hours' ? pkg.hours : 0,
+        balance_after: balance,
+        price_paid: pkg.price,
+        package_id: pkg.id,
+        membership_id: saved ? saved.id : null,
+        branch_id: branchId,
+        note: pkg.name,
+        created_by: by
+      });
+    })
+  };
+
+  const settings = {
+    // Stored value for a key, or null when it has never been set
+    async get(key) {
+      const [row] = await adapter.table('settings').list({ key });
+      return row ? row.value : null;
+    },
+
+    set: (key, value) => adapter.transaction(async tx => {
+      const table = tx.table('settings');
+      const [row] = await table.list({ key });
+      const values = { key, value, updated_at: new Date().toISOString() };
+      const saved = row ? await table.update(row.id, values) : await table.insert(values);
+      return saved.value;
+    }),
+
+    // A branch's own value for a key (stored as "<key>:<branch id>"), or null
+    // until it has one
+    forBranch: (key, branchId) => settings.get(`${key}:${branchId}`),
+
+    setForBranch: (key, branchId, value) => settings.set(`${key}:${branchId}`, value)
+  };
+
+  const users = {
+    list: () => adapter.table('users').list(),
+
+    get: id => adapter.table('users').get(id),
+
+    async findByUsername(username) {
+      const [user] = await adapter.table('users').list({ username });
+      return user || null;
+    },
+
+    // Usernames are unique; the check runs in the transaction because only
+    // the SQL adapters have a unique index behind it
+    create: data => adapter.transaction(async tx => {
+      const table = tx.table('users');
+      const taken = () => invalid('username', `Username ${data.username} is already taken`, 'taken');
+
+      const [existing] = await table.list({ username: data.username });
+      if (existing) throw taken();
+
+      try {
+        return await table.insert({ active: true, ...data });
+      } catch (err) {
+        if (err instanceof WriteConflictError) throw taken();
+        throw err;
+      }
+    }),
+
+    update: (id, changes) => adapter.table('users').update(id, changes)
+  };
+
+  // Wrap write methods so the saved record is announced after they resolve
+  function announce(type, repository, methods) {
+    for (const method of methods) {
+      const write = repository[method];
+      repository[method] = async (...args) => {
+        const result = await write(...args);
+        // Group writes resolve to several records
+        for (const record of [].concat(result || [])) {
+          events.emit('change', { type, action: method, record });
+        }
+        return result;
+      };
+    }
+  }
+
+  announce('station', stations, ['create', 'update', 'importMany']);
+  announce('booking', bookings, ['create', 'createGroup', 'importMany', 'update', 'changeWindow', 'transition', 'transitionGroup', 'refund', 'recordPayment']);
+  announce('waitlist', waitlist, ['create', 'leaveQueue']);
+
+  return {
+    name: adapter.name,
+    events,
+    branches,
+    stations,
+    bookings,
+    payments,
+    notifications,
+    waitlist,
+    customers,
+    packages,
+    wallet,
+    settings,
+    users,
+    init: () => adapter.init(),
+    close: () => adapter.close()
+  };
+}
+
+module.exports = { createRepositories };
@@ -0,0 +1,281 @@
+// Column layout for every table, shared by all storage adapters. SQL adapters
+// still create their tables through migrations; this is what the generic
+// table helpers use to pick known columns and coerce values coming back from
+// drivers (or from Sheets, where every cell is a string).
+
+const TABLES = {
+  // Cafe locations, each in its own timezone (see lib/branches.js)
+  branches: {
+    sheet: 'Branches',
+    columns: {
+      id: 'integer',
+      slug: 'text',
+      name: 'text',
+      timezone: 'text',
+      created_at: 'timestamp'
+    }
+  },
+
+  stations: {
+    sheet: 'Stations',
+    columns: {
+      id: 'integer',
+      branch_id: 'integer',
+      station_name: 'text',
+      specs: 'text',
+      status: 'text',
+      created_at: 'timestamp'
+    }
+  },
+
+  bookings: {
+    sheet: 'Bookings',
+    columns: {
+      id: 'integer',
+      branch_id: 'integer',
+      user_name: 'text',
+      contact: 'text',
+      station_id: 'integer',
+      booking_date: 'date',
+      start_time: 'text',
+      end_time: 'text',
+      starts_at: 'timestamp',
+      ends_at: 'timestamp',
+      duration_hours: 'number',
+      total_price: 'number',
+      status: 'text',
+      booking_code: 'text',
+      group_code: 'text',
+      status_changed_at: 'timestamp',
+      status_changed_by: 'text',
+      cancellation_reason: 'text',
+      refund_amount: 'number',
+      refund_reason: 'text',
+      refunded_at: 'timestamp',
+      checked_out_at: 'timestamp',
+      customer_id: 'integer',
+      points_redeemed: 'integer',
+      points_discount: 'number',
+      points_earned: 'integer',
+      points_returned_at: 'timestamp',
+      payment_method: 'text',
+      amount_paid: 'number',
+      discount_amount: 'number',
+      created_at: 'timestamp'
+    }
+  },
+
+  // Repeat customers, keyed by phone number (see lib/customers.js)
+  customers: {
+    sheet: 'Customers',
+    columns: {
+      id: 'integer',
+      phone: 'text',
+      name: 'text',
+      email: 'text',
+      loyalty_points: 'integer',
+      wallet_balance: 'number',
+      created_at: 'timestamp'
+    }
+  },
+
+  // Prepaid packages on sale (see lib/wallet.js)
+  packages: {
+    sheet: 'Packages',
+    columns: {
+      id: 'integer',
+      name: 'text',
+      kind: 'text',
+      station_type: 'text',
+      hours: 'number',
+      credit: 'number',
+      price: 'number',
+      valid_days: 'integer',
+      active: 'boolean',
+      created_at: 'timestamp'
+    }
+  },
+
+  // Hours packs and passes a customer has bought
+  memberships: {
+    sheet: 'Memberships',
+    columns: {
+      id: 'integer',
+      customer_id: 'integer',
+      package_id: 'integer',
+      package_name: 'text',
+      kind: 'text',
+      station_type: 'text',
+      hours_remaining: 'number',
+      expires_at: 'timestamp',
+      created_at: 'timestamp'
+    }
+  },
+
+  // Every top-up, package purchase and booking charged to a wallet
+  wallet_ledger: {
+    sheet: 'Wallet Ledger',
+    columns: {
+      id: 'integer',
+      customer_id: 'integer',
+      entry_type: 'text',
+      amount: 'number',
+      hours: 'number',
+      balance_after: 'number',
+      price_paid: 'number',
+      package_id: 'integer',
+      membership_id: 'integer',
+      booking_id: 'integer',
+      branch_id: 'integer',
+      note: 'text',
+      created_by: 'text',
+      created_at: 'timestamp'
+    }
+  },
+
+  // Money taken against a booking, by method (see lib/payments.js)
+  payments: {
+    sheet: 'Payments',
+    columns: {
+      id: 'integer',
+      booking_id: 'integer',
+      method: 'text',
+      amount: 'number',
+      discount: 'number',
+      note: 'text',
+      recorded_by: 'text',
+      created_at: 'timestamp'
+    }
+  },
+
+  // Confirmations, reminders and other messages sent to customers, one row
+  // per attempt (see lib/notifications.js)
+  notifications: {
+    sheet: 'Notifications',
+    columns: {
+      id: 'integer',
+      booking_id: 'integer',
+      branch_id: 'integer',
+      kind: 'text',
+      channel: 'text',
+      provider: 'text',
+      recipient: 'text',
+      subject: 'text',
+      message: 'text',
+      status: 'text',
+      error: 'text',
+      provider_ref: 'text',
+      due_at: 'timestamp',
+      created_at: 'timestamp'
+    }
+  },
+
+  // Walk-ins queued for the next free station of a type, seated in order
+  waitlist: {
+    sheet: 'Waitlist',
+    columns: {
+      id: 'integer',
+      branch_id: 'integer',
+      station_type: 'text',
+      user_name: 'text',
+      contact: 'text',
+      duration_hours: 'number',
+      status: 'text',
+      booking_id: 'integer',
+      status_changed_at: 'timestamp',
+      status_changed_by: 'text',
+      created_at: 'timestamp'
+    }
+  },
+
+  // Server-side configuration documents (rate card, ...) stored as JSON by key
+  settings: {
+    sheet: 'Settings',
+    columns: {
+      id: 'integer',
+      key: 'text',
+      value: 'json',
+      updated_at: 'timestamp'
+    }
+  },
+
+  // Staff accounts. Passwords are stored as scrypt hashes (see lib/auth.js);
+  // backup: false keeps them out of the Google Sheets mirror
+  users: {
+    sheet: 'Users',
+    backup: false,
+    columns: {
+      id: 'integer',
+      username: 'text',
+      password_hash: 'text',
+      role: 'text',
+      branch_id: 'integer',
+      active: 'boolean',
+      created_at: 'timestamp'
+    }
+  }
+};
+
+function getTable(name) {
+  const table = TABLES[name];
+  if (!table) {
+    throw new Error(`Unknown table: ${name}`);
+  }
+  return table;
+}
+
+function coerce(type, value) {
+  if (value === null || value === undefined || value === '') {
+    return type === 'text' && value === '' ? '' : null;
+  }
+
+  switch (type) {
+    case 'integer':
+      return parseInt(value, 10);
+    case 'number':
+      return parseFloat(value);
+    case 'boolean':
+      return value === true || value === 1 || value === 'true' || value === '1';
+    case 'date':
+      return value instanceof Date ? value.toISOString().split('T')[0] : String(value);
+    case 'timestamp':
+      return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+    case 'json':
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    default:
+      return String(value);
+  }
+}
+
+// Turn a raw driver row into a record with exactly the table's columns
+function toRecord(name, row) {
+  const { columns } = getTable(name);
+  const record = {};
+  for (const [column, type] of Object.entries(columns)) {
+    record[column] = coerce(type, row[column]);
+  }
+  return record;
+}
+
+// Keep only known columns (never the id) from an insert/update payload
+function pickColumns(name, values) {
+  const { columns } = getTable(name);
+  const picked = {};
+  for (const column of Object.keys(columns)) {
+    if (column !== 'id' && values[column] !== undefined) {
+      picked[column] = values[column];
+    }
+  }
+  return picked;
+}
+
+// Values for a new row: known columns only, with created_at stamped if missing
+function prepareInsert(name, values) {
+  const picked = pickColumns(name, values);
+  if ('created_at' in getTable(name).columns && !picked.created_at) {
+    picked.created_at = new Date().toISOString();
+  }
+  return picked;
+}
+
+module.exports = { TABLES, getTable, coerce, toRecord, pickColumns, prepareInsert };
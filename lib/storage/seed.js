@@ -0,0 +1,56 @@
+const { hashPassword } = require('../auth');
+const { FIRST_BRANCH } = require('../branches');
+
+// Default floor layout for a brand new store: Stations 1-5 are PCs, 6-8 are PS5s
+const DEFAULT_STATIONS = [
+  ...[1, 2, 3, 4, 5].map(n => ({ station_name: `Station ${n}`, specs: 'PC' })),
+  ...[6, 7, 8].map(n => ({ station_name: `Station ${n}`, specs: 'PS5' }))
+];
+
+// Create the first branch if the store has none yet, in CAFE_TIMEZONE.
+// Resolves to the first branch.
+async function seedFirstBranch(storage) {
+  const branches = await storage.branches.list();
+  if (branches.length > 0) return branches.sort((a, b) => a.id - b.id)[0];
+
+  console.log(`Creating the first branch (${FIRST_BRANCH.name}, ${FIRST_BRANCH.timezone})...`);
+  return storage.branches.create(FIRST_BRANCH);
+}
+
+// Create the default stations at the first branch if the store has none
+// yet. Works on the repositories, so it's the same for every adapter.
+async function seedDefaultStations(storage, branch) {
+  const stations = await storage.stations.list();
+  if (stations.length > 0) {
+    console.log(`Found ${stations.length} existing stations`);
+    return;
+  }
+
+  console.log('No stations found. Initializing default stations...');
+  for (const station of DEFAULT_STATIONS) {
+    console.log(`Creating ${station.specs} ${station.station_name}...`);
+    await storage.stations.create({ ...station, branch_id: branch.id });
+  }
+  console.log('All stations initialized successfully');
+}
+
+// Create the first owner account from OWNER_USERNAME / OWNER_PASSWORD when
+// there are no staff accounts yet. Further accounts are added by the owner.
+async function seedOwnerAccount(storage, env) {
+  const users = await storage.users.list();
+  if (users.length > 0) return;
+
+  if (!env.OWNER_USERNAME || !env.OWNER_PASSWORD) {
+    console.warn('⚠️  No staff accounts yet - set OWNER_USERNAME and OWNER_PASSWORD to create the owner account');
+    return;
+  }
+
+  await storage.users.create({
+    username: env.OWNER_USERNAME,
+    password_hash: await hashPassword(env.OWNER_PASSWORD),
+    role: 'owner'
+  });
+  console.log(`Created owner account ${env.OWNER_USERNAME}`);
+}
+
+module.exports = { DEFAULT_STATIONS, seedFirstBranch, seedDefaultStations, seedOwnerAccount };
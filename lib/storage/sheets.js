@@ -0,0 +1,156 @@
+const { QUOTA_RETRIES, callSheets, connectGoogleSheets, headersFor, toCells } = require('../sheets');
+const { getTable, coerce, toRecord, prepareInsert, pickColumns } = require('./schema');
+const { createSerialQueue, queueMethods } = require('./queue');
+
+// Re-read a sheet at most this often, so hand edits in the spreadsheet show up
+const CACHE_TTL_MS = parseInt(process.env.SHEETS_CACHE_TTL_MS || '30000', 10);
+
+// Google Sheets as the primary store - how the cafe ran before PostgreSQL.
+// Sheets has no transactions, so writes are serialised in-process and a
+// failed transaction cannot be rolled back; for the same reason only one
+// server instance should run in this mode.
+// Rows are cached per sheet and read again after SHEETS_CACHE_TTL_MS; our own
+// writes update the cache as they go. When Google is over quota or not
+// answering, the last rows read are served rather than failing the request.
+// doc: an already opened spreadsheet to use instead of GOOGLE_SHEET_ID.
+function createSheetsStorage({ doc } = {}) {
+  const queue = createSerialQueue();
+  let connection = null;
+
+  // name -> { rows, loadedAt, checkAfter }
+  const cache = new Map();
+  const stats = { hits: 0, reads: 0, staleServed: 0, lastError: null };
+
+  function matches(name, record, where) {
+    const { columns } = getTable(name);
+    return Object.keys(where).every(key => (
+      !(key in columns) || where[key] === undefined || record[key] === coerce(columns[key], where[key])
+    ));
+  }
+
+  // The sheet's rows, from the cache while it is fresh
+  async function loadRows(name) {
+    const cached = cache.get(name);
+    if (cached && Date.now() < cached.checkAfter) {
+      stats.hits++;
+      return cached.rows;
+    }
+
+    try {
+      // With rows to fall back on, don't hold the request up retrying
+      const rows = await callSheets(() => connection.sheets[name].getRows(), { retries: cached ? 0 : QUOTA_RETRIES });
+      stats.reads++;
+      cache.set(name, { rows, loadedAt: Date.now(), checkAfter: Date.now() + CACHE_TTL_MS });
+      return rows;
+    } catch (err) {
+      stats.lastError = { message: err.message, at: new Date().toISOString() };
+      if (!cached) throw err;
+      stats.staleServed++;
+      // Try Google again after another TTL rather than on every request
+      cached.checkAfter = Date.now() + CACHE_TTL_MS;
+      const age = Math.round((Date.now() - cached.loadedAt) / 1000);
+      console.warn(`Google Sheets read failed (${err.message}), serving ${name} cached ${age}s ago`);
+      return cached.rows;
+    }
+  }
+
+  // A write to the sheet. If it fails we can't tell whether it went through
+  // (a timed out insert may still land), so the sheet is read again next time.
+  async function write(name, fn) {
+    try {
+      return await callSheets(fn, { timeouts: false });
+    } catch (err) {
+      cache.delete(name);
+      throw err;
+    }
+  }
+
+  function createTable(name) {
+    const headers = headersFor(name);
+    const sheet = () => connection.sheets[name];
+
+    async function findRow(id) {
+      const rows = await loadRows(name);
+      return rows.find(row => Number(row.id) === Number(id)) || null;
+    }
+
+    return {
+      async list(where = {}) {
+        const rows = await loadRows(name);
+        return rows
+          .map(row => toRecord(name, row))
+          .filter(record => matches(name, record, where));
+      },
+
+      async get(id) {
+        const row = await findRow(id);
+        return row ? toRecord(name, row) : null;
+      },
+
+      async insert(values) {
+        const rows = await loadRows(name);
+        const nextId = rows.length > 0
+          ? Math.max(...rows.map(row => parseInt(row.id, 10) || 0)) + 1
+          : 1;
+        const record = toRecord(name, { ...prepareInsert(name, values), id: nextId });
+        const row = await write(name, () => sheet().addRow(toCells(headers, record)));
+        rows.push(row);
+        return record;
+      },
+
+      async update(id, changes) {
+        const row = await findRow(id);
+        if (!row) return null;
+
+        const record = toRecord(name, { ...toRecord(name, row), ...pickColumns(name, changes) });
+        Object.assign(row, toCells(headers, record));
+        await write(name, () => row.save());
+        return record;
+      },
+
+      async remove(id) {
+        const row = await findRow(id);
+        if (!row) return false;
+        await write(name, () => row.delete());
+        // Rows below it have moved up, so cached rows would save to the wrong place
+        cache.delete(name);
+        return true;
+      }
+    };
+  }
+
+  return {
+    name: 'sheets',
+
+    table: name => queueMethods(queue, createTable(name)),
+
+    transaction(fn) {
+      // Transactions already run one at a time, so locks are a no-op
+      return queue.run(() => fn({ table: createTable, lock: async () => {} }));
+    },
+
+    async init() {
+      connection = await connectGoogleSheets(undefined, { doc });
+    },
+
+    // Cache health for GET /api/health
+    status() {
+      const tables = {};
+      for (const [name, { rows, loadedAt }] of cache) {
+        tables[name] = { rows: rows.length, age_seconds: Math.round((Date.now() - loadedAt) / 1000) };
+      }
+      return {
+        ttl_seconds: CACHE_TTL_MS / 1000,
+        hits: stats.hits,
+        reads: stats.reads,
+        stale_served: stats.staleServed,
+        last_error: stats.lastError,
+        tables
+      };
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createSheetsStorage };
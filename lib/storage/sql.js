@@ -0,0 +1,88 @@
+const { getTable, toRecord, pickColumns, prepareInsert } = require('./schema');
+const { WriteConflictError } = require('../errors');
+
+// PostgreSQL reports 23505 (unique) / 23P01 (exclusion), better-sqlite3 SQLITE_CONSTRAINT_UNIQUE
+const isConflict = err => ['23505', '23P01', 'SQLITE_CONSTRAINT_UNIQUE'].includes(err.code);
+
+// Generic table over a SQL connection, shared by the PostgreSQL and SQLite
+// adapters. `query(sql, params)` must resolve to an array of rows and
+// `placeholder(n)` render the n-th (1-based) bind parameter for the dialect.
+function createSqlTable(name, { query: runQuery, placeholder, jsonAsText = false }) {
+  const { columns } = getTable(name);
+
+  async function query(sql, params) {
+    try {
+      return await runQuery(sql, params);
+    } catch (err) {
+      if (isConflict(err)) throw new WriteConflictError(name, err);
+      throw err;
+    }
+  }
+
+  function toDriverValue(column, value) {
+    if (value === null || value === undefined) return null;
+    if (columns[column] === 'json') return jsonAsText ? JSON.stringify(value) : value;
+    if (columns[column] === 'boolean' && jsonAsText) return value ? 1 : 0;
+    return value;
+  }
+
+  function whereClause(where) {
+    const keys = Object.keys(pickColumns(name, where)).concat(where.id !== undefined ? ['id'] : []);
+    const conditions = [];
+    const params = [];
+    for (const key of keys) {
+      if (where[key] === null) {
+        conditions.push(`${key} IS NULL`);
+      } else {
+        params.push(toDriverValue(key, where[key]));
+        conditions.push(`${key} = ${placeholder(params.length)}`);
+      }
+    }
+    return { sql: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  const table = {
+    async list(where = {}) {
+      const clause = whereClause(where);
+      const rows = await query(`SELECT * FROM ${name}${clause.sql} ORDER BY id`, clause.params);
+      return rows.map(row => toRecord(name, row));
+    },
+
+    async get(id) {
+      const rows = await query(`SELECT * FROM ${name} WHERE id = ${placeholder(1)}`, [id]);
+      return rows[0] ? toRecord(name, rows[0]) : null;
+    },
+
+    async insert(values) {
+      const data = prepareInsert(name, values);
+      const keys = Object.keys(data);
+      const rows = await query(
+        `INSERT INTO ${name} (${keys.join(', ')}) VALUES (${keys.map((_, i) => placeholder(i + 1)).join(', ')}) RETURNING *`,
+        keys.map(key => toDriverValue(key, data[key]))
+      );
+      return toRecord(name, rows[0]);
+    },
+
+    async update(id, changes) {
+      const data = pickColumns(name, changes);
+      const keys = Object.keys(data);
+      if (keys.length === 0) return table.get(id);
+
+      const assignments = keys.map((key, i) => `${key} = ${placeholder(i + 2)}`);
+      const rows = await query(
+        `UPDATE ${name} SET ${assignments.join(', ')} WHERE id = ${placeholder(1)} RETURNING *`,
+        [id, ...keys.map(key => toDriverValue(key, data[key]))]
+      );
+      return rows[0] ? toRecord(name, rows[0]) : null;
+    },
+
+    async remove(id) {
+      const rows = await query(`DELETE FROM ${name} WHERE id = ${placeholder(1)} RETURNING id`, [id]);
+      return rows.length > 0;
+    }
+  };
+
+  return table;
+}
+
+module.exports = { createSqlTable };
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createSqlTable } = require('./sql');
+const { createSerialQueue, queueMethods } = require('./queue');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations', 'sqlite');
+
+// better-sqlite3 has no $1-style parameters, so bind by name instead
+const placeholder = n => `@p${n}`;
+const bindings = params => Object.fromEntries(params.map((value, i) => [`p${i + 1}`, value]));
+
+// SQLite file storage for running the cafe counter (or tests) without any
+// network services. better-sqlite3 is synchronous and there is one
+// connection, so transactions hold a queue that other calls wait behind.
+function createSqliteStorage({ filename }) {
+  const queue = createSerialQueue();
+  let db = null;
+
+  async function query(sql, params = []) {
+    const stmt = db.prepare(sql);
+    if (stmt.reader) return stmt.all(bindings(params));
+    stmt.run(bindings(params));
+    return [];
+  }
+
+  const options = { query, placeholder, jsonAsText: true };
+
+  function migrate() {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(db.prepare('SELECT name FROM schema_migrations').all().map(r => r.name));
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(f => f.endsWith('.sql'))
+      .sort();
+
+    for (const file of files) {
+      if (applied.has(file)) continue;
+
+      console.log(`Applying migration ${file}...`);
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      db.transaction(() => {
+        db.exec(sql);
+        db.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)')
+          .run(file, new Date().toISOString());
+      })();
+    }
+  }
+
+  return {
+    name: 'sqlite',
+
+    table: name => queueMethods(queue, createSqlTable(name, options)),
+
+    transaction(fn) {
+      return queue.run(async () => {
+        db.exec('BEGIN IMMEDIATE');
+        try {
+          // Transactions already run one at a time, so locks are a no-op
+          const result = await fn({ table: name => createSqlTable(name, options), lock: async () => {} });
+          db.exec('COMMIT');
+          return result;
+        } catch (err) {
+          if (db.inTransaction) db.exec('ROLLBACK');
+          throw err;
+        }
+      });
+    },
+
+    async init() {
+      if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+      }
+      db = new Database(filename);
+      db.pragma('journal_mode = WAL');
+      db.pragma('foreign_keys = ON');
+      migrate();
+    },
+
+    async close() {
+      if (db) db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
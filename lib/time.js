@@ -0,0 +1,131 @@
+// Time helpers. Bookings are stored as UTC instants (starts_at / ends_at);
+// dates and "HH:MM" times are only ever wall-clock values in the cafe's
+// timezone, used for input and display.
+
+const CAFE_TIMEZONE = process.env.CAFE_TIMEZONE || 'Asia/Kolkata';
+
+// Fail fast on a typo rather than silently booking in UTC
+new Intl.DateTimeFormat('en-US', { timeZone: CAFE_TIMEZONE });
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const formatters = new Map();
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function zonedParts(instant, timeZone) {
+  const parts = {};
+  for (const part of formatterFor(timeZone).formatToParts(instant)) {
+    parts[part.type] = part.value;
+  }
+  return parts;
+}
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+function offsetAt(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// Wall-clock date ('YYYY-MM-DD') and time ('HH:MM') in the timezone -> Date
+function zonedTimeToUtc(date, time, timeZone = CAFE_TIMEZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Correct by the offset, then once more in case that crossed a DST change
+  const offset = offsetAt(new Date(wallClock), timeZone);
+  const corrected = offsetAt(new Date(wallClock - offset), timeZone);
+  return new Date(wallClock - corrected);
+}
+
+// Date -> { date: 'YYYY-MM-DD', time: 'HH:MM' } on the wall clock of the timezone
+function toZonedDateTime(instant, timeZone = CAFE_TIMEZONE) {
+  const p = zonedParts(instant, timeZone);
+  return { date: `${p.year}-${p.month}-${p.day}`, time: `${p.hour}:${p.minute}` };
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const weekdayFormatters = new Map();
+// Day of the week (0 = Sunday) of an instant on the wall clock of the timezone
+function weekdayOf(instant, timeZone = CAFE_TIMEZONE) {
+  if (!weekdayFormatters.has(timeZone)) {
+    weekdayFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short' }));
+  }
+  return WEEKDAYS[weekdayFormatters.get(timeZone).format(instant)];
+}
+
+const isDayList = value => Array.isArray(value) && value.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+
+// 'YYYY-MM-DD' plus a number of days, as a calendar date
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+// The instants a cafe-local day starts and ends at (not always 24h apart with DST)
+function dayWindow(date, timeZone = CAFE_TIMEZONE) {
+  return {
+    start: zonedTimeToUtc(date, '00:00', timeZone),
+    end: zonedTimeToUtc(addDays(date, 1), '00:00', timeZone)
+  };
+}
+
+// Accept an ISO instant ('2024-05-01T18:30:00Z', '...+05:30') or a wall-clock
+// 'YYYY-MM-DDTHH:MM' as sent by a datetime-local input, which is read in the
+// cafe timezone. Returns null if the value can't be parsed.
+function parseInstant(value, timeZone = CAFE_TIMEZONE) {
+  if (typeof value !== 'string') return null;
+
+  const wallClock = value.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(:\d{2}(\.\d+)?)?$/);
+  if (wallClock) {
+    return TIME_PATTERN.test(wallClock[2]) ? zonedTimeToUtc(wallClock[1], wallClock[2], timeZone) : null;
+  }
+
+  const instant = new Date(value);
+  return Number.isNaN(instant.getTime()) ? null : instant;
+}
+
+// Whole minutes left until endsAt, never below 0
+function minutesRemaining(now, endsAt) {
+  return Math.max(0, Math.floor((new Date(endsAt) - new Date(now)) / 60000));
+}
+
+// Human readable time left until endsAt, e.g. "1h 5m" or "12m"
+function getTimeRemaining(now, endsAt) {
+  const left = minutesRemaining(now, endsAt);
+  const hours = Math.floor(left / 60);
+  const minutes = left % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+module.exports = {
+  CAFE_TIMEZONE,
+  DATE_PATTERN,
+  TIME_PATTERN,
+  zonedTimeToUtc,
+  toZonedDateTime,
+  weekdayOf,
+  isDayList,
+  addDays,
+  dayWindow,
+  parseInstant,
+  minutesRemaining,
+  getTimeRemaining
+};
@@ -0,0 +1,172 @@
+const { AppError } = require('./errors');
+const { BOOKING_TRANSITIONS, overlaps, resolveBookingWindow } = require('./bookings');
+const { STATION_STATUSES } = require('./stations');
+const { quotePrice, roundMoney } = require('./pricing');
+
+// Bulk export and import of bookings and stations as spreadsheets. Exports
+// use the column names as headers, so an export can be imported again
+// elsewhere. An import is checked row by row against the stored data and
+// the rows before it; nothing is written unless every row is valid.
+
+const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+
+// Bookings that hold their station's time
+const HOLDS_STATION = ['confirmed', 'completed'];
+
+// Largest file accepted in one import
+const MAX_IMPORT_ROWS = 5000;
+
+const BOOKING_COLUMNS = [
+  'id', 'booking_code', 'group_code', 'user_name', 'contact', 'station_id', 'station_name',
+  'booking_date', 'start_time', 'end_time', 'starts_at', 'ends_at', 'duration_hours', 'total_price',
+  'status', 'amount_paid', 'discount_amount', 'payment_method', 'cancellation_reason',
+  'refund_amount', 'refund_reason', 'checked_out_at', 'created_at'
+].map(key => ({ key }));
+
+const STATION_COLUMNS = ['id', 'station_name', 'specs', 'status', 'created_at'].map(key => ({ key }));
+
+// Throw a 400 unless the import has rows and not too many
+function assertImportSize(rows) {
+  if (rows.length === 0) throw new AppError('The file has a header row but no data rows', 400, 'invalid_file');
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`Import at most ${MAX_IMPORT_ROWS} rows at a time, this file has ${rows.length}`, 400, 'invalid_file');
+  }
+}
+
+// Money from a cell, or undefined when the cell is empty
+function readMoney(value, name, problems) {
+  if (value === undefined || value === '') return undefined;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    problems.push(`${name} must be a number of 0 or more`);
+    return undefined;
+  }
+  return roundMoney(amount);
+}
+
+// Check imported booking rows. Each row needs user_name, a station
+// (station_id or station_name) and the same time fields as POST
+// /api/bookings; total_price defaults to the rate card and status to
+// completed for sessions that have ended and confirmed otherwise. Times are
+// read in the branch's timeZone. Resolves to { records, errors: [{ row, errors }] }.
+function validateBookingRows(rows, { stations, bookings, card, timeZone, now = new Date() }) {
+  const taken = bookings.filter(b => HOLDS_STATION.includes(b.status));
+  const records = [];
+  const errors = [];
+
+  for (const row of rows) {
+    const problems = [];
+
+    const userName = row.user_name || '';
+    if (!userName) problems.push('user_name is required');
+
+    let station = null;
+    if (row.station_id) {
+      station = stations.find(s => s.id === Number(row.station_id));
+      if (!station) problems.push(`There is no station ${row.station_id}`);
+    } else if (row.station_name) {
+      const named = stations.filter(s => s.station_name.toLowerCase() === row.station_name.toLowerCase());
+      if (named.length === 1) station = named[0];
+      else problems.push(named.length ? `More than one station is named ${row.station_name}, use station_id` : `There is no station named ${row.station_name}`);
+    } else {
+      problems.push('station_id or station_name is required');
+    }
+
+    let times = null;
+    try {
+      times = resolveBookingWindow(row, timeZone);
+    } catch (err) {
+      problems.push(err.message);
+    }
+
+    const status = row.status || (times && new Date(times.ends_at) <= now ? 'completed' : 'confirmed');
+    if (!BOOKING_STATUSES.includes(status)) problems.push(`status must be one of ${BOOKING_STATUSES.join(', ')}`);
+
+    let totalPrice = readMoney(row.total_price, 'total_price', problems);
+    const amountPaid = readMoney(row.amount_paid, 'amount_paid', problems);
+    if (totalPrice === undefined && station && times) {
+      try {
+        totalPrice = quotePrice(card, station.specs, new Date(times.starts_at), new Date(times.ends_at), timeZone).total;
+      } catch (err) {
+        problems.push(err.message);
+      }
+    }
+    if (amountPaid !== undefined && totalPrice !== undefined && amountPaid > totalPrice) {
+      problems.push('amount_paid is more than total_price');
+    }
+
+    if (station && times && HOLDS_STATION.includes(status)) {
+      const clash = taken.find(b => b.station_id === station.id && overlaps(times, b));
+      if (clash) {
+        problems.push(clash.id
+          ? `${station.station_name} is already booked ${clash.booking_date} ${clash.start_time}-${clash.end_time} (${clash.booking_code})`
+          : `Overlaps row ${clash.row} on ${station.station_name}`);
+      }
+    }
+
+    if (problems.length) {
+      errors.push({ row: row.row, errors: problems });
+      continue;
+    }
+
+    const record = {
+      user_name: userName,
+      contact: row.contact || '',
+      station_id: station.id,
+      ...times,
+      total_price: totalPrice,
+      status,
+      // Past sessions were settled before they reached this system
+      amount_paid: amountPaid !== undefined ? amountPaid : (status === 'completed' ? totalPrice : 0),
+      discount_amount: 0,
+      cancellation_reason: row.cancellation_reason || null
+    };
+    records.push(record);
+    if (HOLDS_STATION.includes(status)) taken.push({ ...record, row: row.row });
+  }
+
+  return { records, errors };
+}
+
+// Check imported station rows: station_name (not already in use), specs (a
+// type on the rate card) and optionally status.
+function validateStationRows(rows, { stations, card }) {
+  const names = new Map(stations.map(s => [s.station_name.toLowerCase(), null]));
+  const records = [];
+  const errors = [];
+
+  for (const row of rows) {
+    const problems = [];
+    const name = row.station_name || '';
+    const status = row.status || 'available';
+
+    if (!name) {
+      problems.push('station_name is required');
+    } else if (names.has(name.toLowerCase())) {
+      const earlier = names.get(name.toLowerCase());
+      problems.push(earlier ? `Row ${earlier} already adds a station named ${name}` : `A station named ${name} already exists`);
+    }
+    if (!card.types[row.specs]) {
+      problems.push(`specs must be a station type on the rate card (${Object.keys(card.types).join(', ')})`);
+    }
+    if (!STATION_STATUSES.includes(status)) problems.push(`status must be one of ${STATION_STATUSES.join(', ')}`);
+
+    if (problems.length) {
+      errors.push({ row: row.row, errors: problems });
+      continue;
+    }
+    names.set(name.toLowerCase(), row.row);
+    records.push({ station_name: name, specs: row.specs, status });
+  }
+
+  return { records, errors };
+}
+
+module.exports = {
+  BOOKING_STATUSES,
+  BOOKING_COLUMNS,
+  STATION_COLUMNS,
+  assertImportSize,
+  validateBookingRows,
+  validateStationRows
+};
@@ -0,0 +1,174 @@
+const { ValidationError, sendError } = require('./errors');
+const { DATE_PATTERN, TIME_PATTERN, parseInstant } = require('./time');
+
+// Request schemas. A schema is a function (value, path, problems) that
+// returns the value cleaned up (trimmed, numbers from query strings) and
+// pushes { path, code, message } onto problems for anything wrong with it.
+// Routes declare theirs with validate({ body, query }); the route then sees
+// the cleaned values in req.body / req.query, and never a field the schema
+// doesn't list. Checks that need storage (does the station exist?) stay in
+// the routes and throw ValidationError with the same shape.
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+const problem = (problems, path, code, message) => {
+  problems.push({ path, code, message: `${path} ${message}` });
+  return undefined;
+};
+
+// Wrap a type check with the options every field shares: required, a
+// default when missing, and nullable (null is kept, e.g. to clear a field)
+function field(check, { required = false, nullable = false, default: fallback } = {}) {
+  return (value, path, problems) => {
+    if (value === null && nullable) return null;
+    if (isMissing(value)) {
+      return required ? problem(problems, path, 'required', 'is required') : fallback;
+    }
+    return check(value, path, problems);
+  };
+}
+
+// Text. max defaults to 200 characters so nothing unbounded reaches storage.
+function string({ trim = true, min = 0, max = 200, pattern, patternMessage, oneOf, ...options } = {}) {
+  return field((value, path, problems) => {
+    if (typeof value !== 'string') return problem(problems, path, 'invalid_type', 'must be text');
+    const text = trim ? value.trim() : value;
+    if (oneOf && !oneOf.includes(text)) return problem(problems, path, 'invalid_choice', `must be one of ${oneOf.join(', ')}`);
+    if (text.length < min) return problem(problems, path, 'too_short', `must be at least ${min} characters`);
+    if (text.length > max) return problem(problems, path, 'too_long', `must be at most ${max} characters`);
+    if (pattern && !pattern.test(text)) {
+      return problem(problems, path, 'invalid_format', patternMessage || 'is not in the right format');
+    }
+    return text;
+  }, options);
+}
+
+// A number, from JSON or a query string. above is an exclusive minimum.
+function number({ integer = false, min, max, above, ...options } = {}) {
+  return field((value, path, problems) => {
+    const n = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof n !== 'number' || !Number.isFinite(n)) return problem(problems, path, 'invalid_type', 'must be a number');
+    if (integer && !Number.isInteger(n)) return problem(problems, path, 'invalid_type', 'must be a whole number');
+    if (above !== undefined && !(n > above)) return problem(problems, path, 'too_small', `must be more than ${above}`);
+    if (min !== undefined && n < min) return problem(problems, path, 'too_small', `must be ${min} or more`);
+    if (max !== undefined && n > max) return problem(problems, path, 'too_large', `must be at most ${max}`);
+    return n;
+  }, options);
+}
+
+// A record id: a whole number from 1 up
+const id = options => number({ integer: true, min: 1, ...options });
+
+function boolean(options) {
+  return field((value, path, problems) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return problem(problems, path, 'invalid_type', 'must be true or false');
+  }, options);
+}
+
+// A cafe-local calendar date, YYYY-MM-DD, that exists
+function date(options) {
+  return field((value, path, problems) => {
+    const valid = typeof value === 'string' && DATE_PATTERN.test(value) &&
+      new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+    return valid ? value : problem(problems, path, 'invalid_format', 'must be a date as YYYY-MM-DD');
+  }, options);
+}
+
+// A wall-clock time, HH:MM
+function time(options) {
+  return field((value, path, problems) => (
+    typeof value === 'string' && TIME_PATTERN.test(value)
+      ? value
+      : problem(problems, path, 'invalid_format', 'must be a time as HH:MM')
+  ), options);
+}
+
+// An ISO instant or a cafe-local 'YYYY-MM-DDTHH:MM'; kept as given, since
+// the routes read it with parseInstant themselves
+function instant(options) {
+  return field((value, path, problems) => (
+    typeof value === 'string' && parseInstant(value)
+      ? value
+      : problem(problems, path, 'invalid_format', 'must be a date and time, e.g. 2024-05-01T18:30')
+  ), options);
+}
+
+// A list. With split, a comma separated string (from a query) is read as one.
+function list(item, { min = 0, max = 100, split = false, ...options } = {}) {
+  return field((value, path, problems) => {
+    const items = split && typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(items)) return problem(problems, path, 'invalid_type', 'must be a list');
+    if (items.length < min) {
+      return problem(problems, path, 'too_short', `must have at least ${min} ${min === 1 ? 'entry' : 'entries'}`);
+    }
+    if (items.length > max) return problem(problems, path, 'too_long', `must have at most ${max} entries`);
+    const before = problems.length;
+    const parsed = items.map((entry, i) => item(entry, `${path}[${i}]`, problems));
+    return problems.length === before ? parsed : undefined;
+  }, options);
+}
+
+// An object with the given fields. Fields it doesn't list are rejected, or
+// with unknown: 'strip' dropped, or with unknown: 'allow' kept as they are.
+function object(shape, { unknown = 'reject', ...options } = {}) {
+  return field((value, path, problems) => {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return problem(problems, path || 'body', 'invalid_type', 'must be an object');
+    }
+    const out = unknown === 'allow' ? { ...value } : {};
+    for (const [key, schema] of Object.entries(shape)) {
+      const parsed = schema(value[key], path ? `${path}.${key}` : key, problems);
+      if (parsed !== undefined) out[key] = parsed;
+      else delete out[key];
+    }
+    if (unknown === 'reject') {
+      for (const key of Object.keys(value)) {
+        if (!(key in shape)) problem(problems, path ? `${path}.${key}` : key, 'unknown_field', 'is not a field this accepts');
+      }
+    }
+    return out;
+  }, options);
+}
+
+// Run a schema, returning the cleaned value or throwing a ValidationError
+function check(schema, value) {
+  const problems = [];
+  const parsed = schema(value, '', problems);
+  if (problems.length) throw new ValidationError(problems);
+  return parsed;
+}
+
+// Route middleware: { body, query } are field maps (or schemas). Query
+// strings pick up extra parameters (cache busters and the like), so unknown
+// query parameters are dropped rather than rejected.
+function validate({ body, query }) {
+  const bodySchema = typeof body === 'object' ? object(body) : body;
+  const querySchema = typeof query === 'object' ? object(query, { unknown: 'strip' }) : query;
+
+  return (req, res, next) => {
+    try {
+      if (bodySchema) req.body = check(bodySchema, req.body || {});
+      if (querySchema) req.query = check(querySchema, req.query || {});
+      next();
+    } catch (err) {
+      sendError(res, err, 'Failed to read the request');
+    }
+  };
+}
+
+module.exports = {
+  field,
+  string,
+  number,
+  id,
+  boolean,
+  date,
+  time,
+  instant,
+  list,
+  object,
+  check,
+  validate
+};
@@ -0,0 +1,183 @@
+const { AppError, BookingConflictError } = require('./errors');
+const { overlaps, bookingTimes } = require('./bookings');
+const { isBookable } = require('./stations');
+const { earliestFreeStart } = require('./availability');
+const { getSchedule, scheduleProblem, bufferMinutes } = require('./schedule');
+const { quotePrice, getRateCard } = require('./pricing');
+const { customerFor } = require('./customers');
+const { createSerialQueue } = require('./storage/queue');
+
+// Walk-in queue. Walk-ins wait for the next free station of a type and are
+// seated in the order they joined: a booking is made for them from now on
+// the first station that is free for their whole session.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Bookings end on their own, so the queue is also checked this often
+const WAITLIST_CHECK_MS = 60 * 1000;
+
+const durationOf = entry => entry.duration_hours * HOUR_MS;
+const byQueueOrder = (a, b) => a.id - b.id;
+
+// What the public see of a queue entry: no names or numbers
+const anonymiseWaitlistEntry = entry => ({
+  id: entry.id,
+  station_type: entry.station_type,
+  duration_hours: entry.duration_hours,
+  status: entry.status,
+  position: entry.position,
+  estimated_start_at: entry.estimated_start_at,
+  estimated_wait_minutes: entry.estimated_wait_minutes,
+  created_at: entry.created_at
+});
+
+// Waiting entries in queue order, each with its place in its type's queue and
+// an estimated start. Each entry in turn takes the station that frees up
+// first (after the one ahead of it) and then holds it for its session. The
+// estimate is null when no station of the type is in service.
+function estimateQueue(entries, stations, bookings, schedule, now = new Date()) {
+  const booked = {};
+  for (const booking of bookings) {
+    if (booking.status !== 'confirmed' || new Date(booking.ends_at) <= now) continue;
+    (booked[booking.station_id] = booked[booking.station_id] || []).push(booking);
+  }
+
+  const earliest = {};
+  const positions = {};
+  return entries
+    .filter(entry => entry.status === 'waiting')
+    .sort(byQueueOrder)
+    .map(entry => {
+      const type = entry.station_type;
+      const buffer = bufferMinutes(schedule, type);
+      const from = earliest[type] || now;
+      positions[type] = (positions[type] || 0) + 1;
+
+      let best = null;
+      for (const station of stations.filter(s => isBookable(s) && s.specs === type)) {
+        const start = earliestFreeStart(booked[station.id] || [], from, durationOf(entry), buffer);
+        if (!best || start < best.start) best = { station, start };
+      }
+      if (best) {
+        const held = { starts_at: best.start, ends_at: new Date(best.start.getTime() + durationOf(entry)) };
+        (booked[best.station.id] = booked[best.station.id] || []).push(held);
+        earliest[type] = best.start;
+      }
+
+      return {
+        ...entry,
+        position: positions[type],
+        estimated_start_at: best ? best.start.toISOString() : null,
+        estimated_wait_minutes: best ? Math.ceil((best.start - now) / MINUTE_MS) : null
+      };
+    });
+}
+
+// Seat whoever can be seated now, in queue order per branch and type: book
+// them a free station at their branch from now for their session. A queue
+// stops at the first walk-in that can't be seated yet, so nobody is skipped.
+// Resolves to the seated entries.
+async function seatWaiting(storage, now = new Date()) {
+  const waiting = (await storage.waitlist.list({ status: 'waiting' })).sort(byQueueOrder);
+  if (waiting.length === 0) return [];
+
+  const seated = [];
+  for (const branch of await storage.branches.list()) {
+    const queue = waiting.filter(entry => entry.branch_id === branch.id);
+    if (queue.length > 0) seated.push(...await seatWaitingAt(storage, branch, queue, now));
+  }
+  return seated;
+}
+
+// seatWaiting for one branch's waiting entries
+async function seatWaitingAt(storage, branch, waiting, now) {
+  const stations = (await storage.stations.list({ branch_id: branch.id })).filter(isBookable);
+  const bookings = await storage.bookings.list({ branch_id: branch.id, status: 'confirmed' });
+  const schedule = await getSchedule(storage, branch.id);
+  const card = await getRateCard(storage, branch.id);
+  const start = new Date(Math.floor(now / MINUTE_MS) * MINUTE_MS);
+
+  const seated = [];
+  const blocked = new Set();
+  for (const entry of waiting) {
+    const type = entry.station_type;
+    if (blocked.has(type)) continue;
+
+    const end = new Date(start.getTime() + durationOf(entry));
+    const buffer = bufferMinutes(schedule, type);
+    const window = { starts_at: start, ends_at: end };
+    const station = stations.find(s => s.specs === type &&
+      !bookings.some(b => b.station_id === s.id && overlaps(window, b, buffer)));
+    if (!station || scheduleProblem(schedule, start, end, now, branch.timezone)) {
+      blocked.add(type);
+      continue;
+    }
+
+    const customer = await customerFor(storage, entry.user_name, entry.contact);
+    let booking;
+    try {
+      booking = await storage.bookings.create({
+        branch_id: branch.id,
+        user_name: entry.user_name,
+        contact: entry.contact,
+        customer_id: customer ? customer.id : null,
+        station_id: station.id,
+        ...bookingTimes(start, end, branch.timezone),
+        total_price: quotePrice(card, type, start, end, branch.timezone).total,
+        status: 'confirmed',
+        buffer_minutes: buffer
+      });
+    } catch (err) {
+      if (!(err instanceof BookingConflictError)) throw err;
+      blocked.add(type);
+      continue;
+    }
+    bookings.push(booking);
+
+    let seatedEntry = null;
+    try {
+      seatedEntry = await storage.waitlist.leaveQueue(entry.id, 'seated', { by: 'waitlist', booking_id: booking.id });
+    } catch (err) {
+      if (!(err instanceof AppError && err.code === 'invalid_transition')) throw err;
+    }
+    if (!seatedEntry) {
+      // Staff took them off the queue meanwhile; give the station back
+      await storage.bookings.transition(booking.id, 'cancelled', {
+        by: 'waitlist',
+        cancellation_reason: 'Walk-in left the queue'
+      });
+      continue;
+    }
+    seated.push(seatedEntry);
+  }
+  return seated;
+}
+
+// Seat walk-ins whenever a station may have freed up: a booking finished,
+// was cancelled or checked out, a station changed, someone joined the queue,
+// or a booking simply ran out. Checks run one at a time. Returns a function
+// that stops watching and resolves once the checks already queued are done.
+function watchWaitlist(storage) {
+  const queue = createSerialQueue();
+  const check = () => queue.run(() => seatWaiting(storage))
+    .catch(err => console.error('Failed to seat the waitlist:', err.message));
+
+  const onChange = ({ type, record }) => {
+    const freed = type === 'booking' && record.status !== 'confirmed';
+    const joined = type === 'waitlist' && record.status === 'waiting';
+    if (freed || joined || type === 'station') check();
+  };
+  storage.events.on('change', onChange);
+
+  const timer = setInterval(check, WAITLIST_CHECK_MS);
+  timer.unref();
+
+  return () => {
+    clearInterval(timer);
+    storage.events.off('change', onChange);
+    return queue.run(() => {});
+  };
+}
+
+module.exports = { anonymiseWaitlistEntry, estimateQueue, seatWaiting, watchWaitlist };
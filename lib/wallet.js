@@ -0,0 +1,121 @@
+const { AppError, invalid } = require('./errors');
+const { roundMoney } = require('./pricing');
+const { hoursPlayed } = require('./customers');
+
+// Prepaid wallets. A customer's wallet holds a rupee balance plus any
+// memberships bought from packages:
+//
+//   credit - adds `credit` rupees to the balance (may be more than the price)
+//   hours  - `hours` of play on one station type, optionally expiring after valid_days
+//   pass   - unlimited play on one station type for valid_days
+//
+// Bookings paid from the wallet are charged when they complete: a pass
+// covers them, otherwise an hours pack with enough hours left, otherwise the
+// rupee balance. Every top-up, purchase and charge is written to the ledger.
+
+const PACKAGE_KINDS = ['credit', 'hours', 'pass'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Throw a 400 describing the first problem with a package, or return its fields
+function validatePackage(body) {
+  const fail = (path, message) => {
+    throw invalid(path, `Invalid package: ${message}`);
+  };
+
+  const name = String(body.name || '').trim();
+  if (!name) fail('name', 'name is required');
+  if (!PACKAGE_KINDS.includes(body.kind)) fail('kind', `kind must be one of ${PACKAGE_KINDS.join(', ')}`);
+  if (!isPositiveNumber(body.price)) fail('price', 'price must be a positive number');
+  if (body.kind === 'credit' && !isPositiveNumber(body.credit)) fail('credit', 'credit packages need a positive credit');
+  if (body.kind !== 'credit' && !body.station_type) fail('station_type', `${body.kind} packages need a station_type`);
+  if (body.kind === 'hours' && !isPositiveNumber(body.hours)) fail('hours', 'hours packages need a positive number of hours');
+  if (body.valid_days !== undefined && body.valid_days !== null && !(Number.isInteger(body.valid_days) && body.valid_days > 0)) {
+    fail('valid_days', 'valid_days must be a whole number of days');
+  }
+  if (body.kind === 'pass' && !body.valid_days) fail('valid_days', 'passes need valid_days');
+
+  return {
+    name,
+    kind: body.kind,
+    station_type: body.kind === 'credit' ? null : body.station_type,
+    hours: body.kind === 'hours' ? body.hours : null,
+    credit: body.kind === 'credit' ? body.credit : null,
+    price: body.price,
+    valid_days: body.valid_days || null
+  };
+}
+
+// The membership a package purchase creates, or null for a credit package
+function membershipFor(pkg, customerId, now = new Date()) {
+  if (pkg.kind === 'credit') return null;
+  return {
+    customer_id: customerId,
+    package_id: pkg.id,
+    package_name: pkg.name,
+    kind: pkg.kind,
+    station_type: pkg.station_type,
+    hours_remaining: pkg.kind === 'hours' ? pkg.hours : null,
+    expires_at: pkg.valid_days ? new Date(now.getTime() + pkg.valid_days * DAY_MS).toISOString() : null
+  };
+}
+
+// Memberships that can still pay for something
+function activeMemberships(memberships, now = new Date()) {
+  return memberships.filter(m => (!m.expires_at || new Date(m.expires_at) > now) &&
+    (m.kind === 'pass' || m.hours_remaining > 0));
+}
+
+// How a booking on a station type would be paid from the wallet:
+// { membership, hours, amount }. Packs expiring soonest are used first.
+function walletCharge(booking, stationType, memberships) {
+  const startsAt = new Date(booking.starts_at);
+  const hours = Math.round(hoursPlayed(booking) * 100) / 100;
+  const usable = activeMemberships(memberships, startsAt).filter(m => m.station_type === stationType);
+
+  const pass = usable.find(m => m.kind === 'pass');
+  if (pass) return { membership: pass, hours: 0, amount: 0 };
+
+  const pack = usable
+    .filter(m => m.kind === 'hours' && m.hours_remaining >= hours)
+    .sort((a, b) => (a.expires_at || '9999').localeCompare(b.expires_at || '9999'))[0];
+  if (pack) return { membership: pack, hours, amount: 0 };
+
+  return { membership: null, hours: 0, amount: roundMoney(booking.total_price) };
+}
+
+// Throw a 400 unless the wallet can pay for a new booking on top of the
+// bookings already waiting to be charged to it ({ booking, station_type } each)
+function assertWalletCovers(customer, memberships, pending, booking, stationType) {
+  let balance = customer.wallet_balance || 0;
+  const left = memberships.map(m => ({ ...m }));
+
+  const take = (item, type) => {
+    const charge = walletCharge(item, type, left);
+    if (charge.membership && charge.hours) charge.membership.hours_remaining -= charge.hours;
+    balance = roundMoney(balance - charge.amount);
+    return charge;
+  };
+
+  for (const item of pending) take(item.booking, item.station_type);
+  const available = balance;
+  const charge = take(booking, stationType);
+  if (charge.amount > 0 && available < charge.amount) {
+    throw new AppError(
+      `Wallet balance is not enough: ₹${Math.max(0, available)} available, this booking costs ₹${charge.amount}`,
+      400,
+      'insufficient_balance'
+    );
+  }
+}
+
+module.exports = {
+  PACKAGE_KINDS,
+  validatePackage,
+  membershipFor,
+  activeMemberships,
+  walletCharge,
+  assertWalletCovers
+};
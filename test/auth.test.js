@@ -0,0 +1,59 @@
+const http = require('http');
+const { startApp, book } = require('./helpers');
+
+let ctx;
+let token;
+
+beforeEach(async () => {
+  ctx = await startApp();
+  token = ctx.auth.Authorization.slice('Bearer '.length);
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+// Open the event stream and resolve to the data of the first `type` event
+function nextEvent(port, path, type) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port, path }, res => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        const match = buffer.match(new RegExp(`event: ${type}\\ndata: (.*)\\n\\n`));
+        if (match) {
+          req.destroy();
+          resolve(JSON.parse(match[1]));
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('access_token in the query', () => {
+  test('signs staff in to the event stream', async () => {
+    const server = ctx.app.listen(0);
+    try {
+      const { port } = server.address();
+      const staffEvent = nextEvent(port, `/api/events?access_token=${token}`, 'booking');
+      const publicEvent = nextEvent(port, '/api/events', 'booking');
+      // Let both streams connect before booking
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await book(ctx);
+
+      expect((await staffEvent).user_name).toBe('Asha');
+      expect((await publicEvent).user_name).toBeUndefined();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('is ignored everywhere else', async () => {
+    const res = await ctx.api().get('/api/customers').query({ access_token: token });
+    expect(res.status).toBe(401);
+
+    expect((await ctx.api().get('/api/customers').set(ctx.auth)).status).toBe(200);
+  });
+});
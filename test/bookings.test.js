@@ -0,0 +1,308 @@
+const { startApp, book, minutesFromNow } = require('./helpers');
+const { toZonedDateTime, zonedTimeToUtc, addDays } = require('../lib/time');
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startApp();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+describe('POST /api/bookings', () => {
+  test('books a free slot at the rate card price', async () => {
+    const res = await book(ctx, { hours: 2 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.booking).toMatchObject({ station_id: 1, status: 'confirmed', duration_hours: 2 });
+    expect(res.body.booking.booking_code).toMatch(/^BK[2-9A-Z]{8}$/);
+    expect(res.body.booking.total_price).toBe(res.body.quote.total);
+  });
+
+  test('rejects an overlapping booking on the same station with suggestions', async () => {
+    expect((await book(ctx, { startsIn: 60, hours: 2 })).status).toBe(201);
+
+    const res = await book(ctx, { startsIn: 120, hours: 1 });
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('booking_conflict');
+    expect(Array.isArray(res.body.suggestions)).toBe(true);
+  });
+
+  test('allows back-to-back bookings and the same slot on another station', async () => {
+    expect((await book(ctx, { startsIn: 60, hours: 1 })).status).toBe(201);
+    expect((await book(ctx, { startsIn: 120, hours: 1 })).status).toBe(201);
+    expect((await book(ctx, { station_id: 2, startsIn: 60, hours: 1 })).status).toBe(201);
+  });
+
+  test('reports every problem with the body', async () => {
+    const res = await ctx.api().post('/api/bookings').send({ station_id: 'x', duration_hours: -1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('validation_failed');
+    expect(res.body.errors.map(e => e.path)).toEqual(expect.arrayContaining(['user_name', 'station_id', 'duration_hours']));
+  });
+});
+
+describe('customer email', () => {
+  const publicBook = (startsIn, email) => ctx.api().post('/api/bookings')
+    .send({ user_name: 'Asha', contact: '98765 43210', email, station_id: 1, starts_at: minutesFromNow(startsIn), duration_hours: 1 });
+  const emailOnFile = async () => (await ctx.storage.customers.findByPhone('9876543210')).email;
+
+  test('is filled in by a public booking but not replaced by one', async () => {
+    expect((await publicBook(60, 'asha@example.com')).status).toBe(201);
+    expect((await publicBook(120, 'someone@example.net')).status).toBe(201);
+    expect(await emailOnFile()).toBe('asha@example.com');
+  });
+
+  test('can be changed by staff', async () => {
+    expect((await publicBook(60, 'asha@example.com')).status).toBe(201);
+    expect((await book(ctx, { startsIn: 120, email: 'asha@example.org' })).status).toBe(201);
+    expect(await emailOnFile()).toBe('asha@example.org');
+  });
+});
+
+describe('loyalty points', () => {
+  test('are only redeemed by staff', async () => {
+    const customer = await ctx.storage.customers.findOrCreate({ phone: '9876543210', name: 'Asha' });
+    await ctx.storage.customers.update(customer.id, { loyalty_points: 100 });
+
+    const res = await ctx.api().post('/api/bookings')
+      .send({ user_name: 'Asha', contact: '98765 43210', station_id: 1, starts_at: minutesFromNow(60), duration_hours: 1, redeem_points: 50 });
+    expect(res.status).toBe(403);
+    expect((await ctx.storage.customers.get(customer.id)).loyalty_points).toBe(100);
+
+    const staff = await book(ctx, { startsIn: 60, redeem_points: 50 });
+    expect(staff.status).toBe(201);
+    expect((await ctx.storage.customers.get(customer.id)).loyalty_points).toBe(50);
+  });
+});
+
+describe('wallet payment', () => {
+  test('is refused to the public before any customer is written', async () => {
+    const res = await ctx.api().post('/api/bookings')
+      .send({ user_name: 'Asha', contact: '98765 43210', station_id: 1, starts_at: minutesFromNow(60), duration_hours: 1, pay_from_wallet: true });
+    expect(res.status).toBe(403);
+    expect(await ctx.storage.customers.list()).toEqual([]);
+  });
+});
+
+describe('GET /api/stations', () => {
+  test('shows a running booking as occupied with the time left', async () => {
+    await book(ctx, { startsIn: -30, hours: 1 });
+
+    const res = await ctx.api().get('/api/stations');
+    const station = res.body.find(s => s.id === 1);
+    expect(station.status).toBe('occupied');
+    expect(station.timeRemaining).toMatch(/^(29|30)m$/);
+    expect(station.currentBooking.userName).toBeUndefined();
+    expect(res.body.find(s => s.id === 2).status).toBe('available');
+  });
+
+  test('answers for another time with ?datetime=', async () => {
+    await book(ctx, { startsIn: 120, hours: 1 });
+
+    const during = await ctx.api().get('/api/stations').query({ datetime: minutesFromNow(150) });
+    expect(during.body.find(s => s.id === 1).status).toBe('Occupied');
+
+    const after = await ctx.api().get('/api/stations').query({ datetime: minutesFromNow(180) });
+    expect(after.body.find(s => s.id === 1).status).toBe('Available');
+  });
+});
+
+describe('GET /api/stations/timeline', () => {
+  const saveSchedule = schedule => ctx.api().put('/api/schedule').set(ctx.auth).send(schedule);
+  const timeline = async instant => {
+    const date = toZonedDateTime(new Date(instant), 'Asia/Kolkata').date;
+    const res = await ctx.api().get('/api/stations/timeline').query({ date });
+    return res.body.stations.find(s => s.id === 1);
+  };
+
+  test('shows no free time on a closed day', async () => {
+    const dayAfter = minutesFromNow(2 * 24 * 60);
+    const date = toZonedDateTime(new Date(dayAfter), 'Asia/Kolkata').date;
+    expect((await saveSchedule({ closures: [{ date, reason: 'Stocktake' }] })).status).toBe(200);
+
+    expect((await timeline(dayAfter)).free).toEqual([]);
+  });
+
+  test('keeps the buffer around bookings out of free time', async () => {
+    // Midday tomorrow, so the buffer stays within the day
+    const today = toZonedDateTime(new Date(), 'Asia/Kolkata').date;
+    const noon = zonedTimeToUtc(addDays(today, 1), '12:00', 'Asia/Kolkata');
+    const { booking } = (await book(ctx, { startsIn: Math.round((noon - Date.now()) / 60000) })).body;
+    expect((await saveSchedule({ buffer_minutes: { PC: 15 } })).status).toBe(200);
+
+    const station = await timeline(booking.starts_at);
+    const startsAt = new Date(booking.starts_at).getTime();
+    const endsAt = new Date(booking.ends_at).getTime();
+    for (const range of station.free) {
+      const free = [new Date(range.starts_at).getTime(), new Date(range.ends_at).getTime()];
+      expect(free[1] <= startsAt - 15 * 60 * 1000 || free[0] >= endsAt + 15 * 60 * 1000).toBe(true);
+    }
+    expect(station.free.some(range => range.ends_at === new Date(startsAt - 15 * 60 * 1000).toISOString())).toBe(true);
+  });
+});
+
+describe('status changes', () => {
+  test('completes a running booking once', async () => {
+    const { booking } = (await book(ctx, { startsIn: -30 })).body;
+
+    const res = await ctx.api().post(`/api/bookings/${booking.id}/complete`).set(ctx.auth).send({});
+    expect(res.status).toBe(200);
+    expect(res.body.booking.status).toBe('completed');
+
+    const again = await ctx.api().post(`/api/bookings/${booking.id}/complete`).set(ctx.auth).send({});
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe('invalid_transition');
+  });
+
+  test('cancels with a refund and frees the slot', async () => {
+    const { booking } = (await book(ctx, { startsIn: 60 })).body;
+    await ctx.api().post(`/api/bookings/${booking.id}/payments`).set(ctx.auth).send({ method: 'cash', amount: booking.total_price });
+
+    const res = await ctx.api().post(`/api/bookings/${booking.id}/cancel`).set(ctx.auth)
+      .send({ reason: 'Rained off', refund_amount: booking.total_price });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ status: 'cancelled', refund_amount: booking.total_price });
+
+    expect((await book(ctx, { startsIn: 60 })).status).toBe(201);
+  });
+
+  test('does not complete a booking before it starts', async () => {
+    const { booking } = (await book(ctx, { startsIn: 60 })).body;
+
+    const res = await ctx.api().post(`/api/bookings/${booking.id}/complete`).set(ctx.auth).send({});
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('invalid_transition');
+    expect((await ctx.storage.bookings.get(booking.id)).status).toBe('confirmed');
+  });
+
+  test('refunds no more than was paid', async () => {
+    const { booking } = (await book(ctx, { startsIn: 60 })).body;
+    await ctx.api().post(`/api/bookings/${booking.id}/cancel`).set(ctx.auth).send({ reason: 'Rained off' });
+
+    const res = await ctx.api().post(`/api/bookings/${booking.id}/refund`).set(ctx.auth).send({ refund_amount: booking.total_price });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ path: 'refund_amount', code: 'too_large' });
+    expect((await ctx.storage.bookings.get(booking.id)).refunded_at).toBeFalsy();
+  });
+
+  test('only marks a no-show after the grace period', async () => {
+    const early = (await book(ctx, { startsIn: -5 })).body.booking;
+    const late = (await book(ctx, { station_id: 2, startsIn: -30 })).body.booking;
+
+    expect((await ctx.api().post(`/api/bookings/${early.id}/no-show`).set(ctx.auth).send({})).status).toBe(409);
+    expect((await ctx.api().post(`/api/bookings/${late.id}/no-show`).set(ctx.auth).send({})).body.booking.status).toBe('no_show');
+  });
+
+  test('is for staff only', async () => {
+    const { booking } = (await book(ctx, { startsIn: -30 })).body;
+
+    const res = await ctx.api().post(`/api/bookings/${booking.id}/complete`).send({});
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('rescheduling', () => {
+  const reschedule = (code, startsIn) => ctx.api().post('/api/bookings/reschedule')
+    .send({ booking_code: code, contact: '98765 43210', starts_at: minutesFromNow(startsIn), duration_hours: 1 });
+
+  test('moves a single booking', async () => {
+    const { booking } = (await book(ctx, { startsIn: 60 })).body;
+
+    const res = await reschedule(booking.booking_code, 180);
+    expect(res.status).toBe(200);
+    expect(res.body.booking.starts_at).not.toBe(booking.starts_at);
+  });
+
+  test('leaves group bookings to staff, even by a member\'s own code', async () => {
+    const group = await ctx.api().post('/api/bookings/group')
+      .send({ user_name: 'Asha', contact: '98765 43210', station_ids: [1, 2], starts_at: minutesFromNow(60), duration_hours: 1 });
+    expect(group.status).toBe(201);
+
+    for (const code of [group.body.group_code, group.body.bookings[0].booking_code]) {
+      expect((await reschedule(code, 180)).status).toBe(400);
+    }
+    const members = await ctx.storage.bookings.list({ group_code: group.body.group_code });
+    expect(new Set(members.map(member => member.starts_at)).size).toBe(1);
+  });
+});
+
+describe('extending', () => {
+  const extend = (booking, minutes) =>
+    ctx.api().post(`/api/bookings/${booking.id}/extend`).set(ctx.auth).send({ minutes });
+  const saveSchedule = schedule => ctx.api().put('/api/schedule').set(ctx.auth).send(schedule);
+
+  test('keeps the buffer free before the next booking', async () => {
+    const { booking } = (await book(ctx, { startsIn: -30 })).body;
+    await book(ctx, { startsIn: 50 });
+    expect((await saveSchedule({ buffer_minutes: { PC: 15 } })).status).toBe(200);
+
+    const res = await extend(booking, 10);
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('booking_conflict');
+    expect((await extend(booking, 5)).status).toBe(200);
+  });
+
+  test('keeps to the schedule', async () => {
+    const { booking } = (await book(ctx, { startsIn: -30 })).body;
+    expect((await saveSchedule({ max_duration_minutes: 90 })).status).toBe(200);
+
+    const res = await extend(booking, 60);
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('outside_schedule');
+    expect((await extend(booking, 30)).status).toBe(200);
+  });
+});
+
+describe('payments', () => {
+  test('adds payments to the booking up to its price', async () => {
+    const { booking } = (await book(ctx, { startsIn: -30 })).body;
+    const pay = body => ctx.api().post(`/api/bookings/${booking.id}/payments`).set(ctx.auth).send(body);
+
+    const first = await pay({ method: 'cash', amount: 20 });
+    expect(first.status).toBe(201);
+    expect(first.body.booking.amount_paid).toBe(20);
+
+    const tooMuch = await pay({ method: 'upi', amount: booking.total_price });
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.errors[0]).toMatchObject({ path: 'amount', code: 'too_large' });
+
+    const rest = await pay({ method: 'upi', amount: booking.total_price - 30, discount: 10 });
+    expect(rest.body.booking).toMatchObject({ amount_paid: booking.total_price - 10, discount_amount: 10 });
+
+    const listed = await ctx.api().get(`/api/bookings/${booking.id}/payments`).set(ctx.auth);
+    expect(listed.body.map(p => p.method)).toEqual(['cash', 'upi']);
+  });
+
+  test('a prorated check-out keeps the price at what was already paid', async () => {
+    const { booking } = (await book(ctx, { startsIn: -30 })).body;
+    await ctx.api().post(`/api/bookings/${booking.id}/payments`).set(ctx.auth).send({ method: 'cash', amount: booking.total_price });
+
+    const res = await ctx.api().post(`/api/bookings/${booking.id}/checkout`).set(ctx.auth).send({ prorate: true });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ status: 'completed', total_price: booking.total_price, amount_paid: booking.total_price });
+  });
+
+  test('shows up in the cash-up once the booking is completed', async () => {
+    const { booking } = (await book(ctx, { startsIn: -30 })).body;
+    await ctx.api().post(`/api/bookings/${booking.id}/payments`).set(ctx.auth).send({ method: 'card', amount: booking.total_price });
+    await ctx.api().post(`/api/bookings/${booking.id}/complete`).set(ctx.auth).send({});
+
+    const res = await ctx.api().get('/api/reports/cash-up').set(ctx.auth).query({ date: booking.booking_date });
+    expect(res.body).toMatchObject({ expected: booking.total_price, collected: booking.total_price, difference: 0 });
+  });
+});
+
+describe('app.close()', () => {
+  test('stops watching storage', async () => {
+    const other = await startApp();
+    expect(other.storage.events.listenerCount('change')).toBeGreaterThan(0);
+
+    await other.app.close();
+    expect(other.storage.events.listenerCount('change')).toBe(0);
+    await other.storage.close();
+  });
+});
@@ -0,0 +1,41 @@
+const { createStorage } = require('../lib/storage');
+
+// Settings saved before there were branches, when one rate card, schedule
+// and set of templates served the whole cafe
+describe('settings from before branches', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = createStorage({ STORAGE: 'memory' });
+    await storage.init();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  test('become the own settings of every branch without its own', async () => {
+    const second = await storage.branches.create({ slug: 'city-centre', name: 'City Centre', timezone: 'Asia/Kolkata' });
+    const card = { types: { PC: { hourly: 80 } } };
+    await storage.settings.set('rate_card', card);
+    await storage.settings.set('schedule', { max_advance_days: 7 });
+    await storage.settings.setForBranch('schedule', second.id, { max_advance_days: 14 });
+
+    // As on the next start
+    await storage.init();
+
+    expect(await storage.settings.get('rate_card')).toBeNull();
+    expect(await storage.settings.get('schedule')).toBeNull();
+    expect(await storage.settings.forBranch('rate_card', 1)).toEqual(card);
+    expect(await storage.settings.forBranch('rate_card', second.id)).toEqual(card);
+    expect(await storage.settings.forBranch('schedule', 1)).toEqual({ max_advance_days: 7 });
+    expect(await storage.settings.forBranch('schedule', second.id)).toEqual({ max_advance_days: 14 });
+  });
+
+  test('are not inherited by branches opened later', async () => {
+    await storage.settings.set('rate_card', { types: { PC: { hourly: 80 } } });
+    const later = await storage.branches.create({ slug: 'airport', name: 'Airport', timezone: 'Asia/Kolkata' });
+
+    expect(await storage.settings.forBranch('rate_card', later.id)).toBeNull();
+  });
+});
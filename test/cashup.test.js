@@ -0,0 +1,66 @@
+const { cashUp } = require('../lib/payments');
+
+const TZ = 'Asia/Kolkata';
+
+const booking = (id, fields) => ({
+  id,
+  booking_code: `BK${id}`,
+  user_name: 'Asha',
+  status: 'completed',
+  booking_date: '2024-06-08',
+  total_price: 60,
+  amount_paid: 60,
+  discount_amount: 0,
+  ...fields
+});
+
+const payment = (bookingId, createdAt, fields = {}) => ({
+  booking_id: bookingId,
+  method: 'upi',
+  amount: 60,
+  discount: 0,
+  created_at: createdAt,
+  ...fields
+});
+
+describe('cashUp', () => {
+  test('counts a booking paid the day before on the day it is played', () => {
+    const data = {
+      bookings: [booking(1)],
+      payments: [payment(1, '2024-06-07T12:00:00Z')],
+      ledger: []
+    };
+
+    expect(cashUp('2024-06-08', data, TZ)).toMatchObject({ expected: 60, collected: 60, difference: 0, outstanding: [] });
+    expect(cashUp('2024-06-07', data, TZ)).toMatchObject({ expected: 0, collected: 0, difference: 0 });
+  });
+
+  test('is short by exactly what is still owed', () => {
+    const data = {
+      bookings: [booking(1), booking(2, { amount_paid: 20, discount_amount: 10 })],
+      payments: [
+        payment(1, '2024-06-08T10:00:00Z', { method: 'cash' }),
+        payment(2, '2024-06-08T11:00:00Z', { amount: 20, discount: 10 })
+      ],
+      ledger: []
+    };
+
+    const report = cashUp('2024-06-08', data, TZ);
+    expect(report).toMatchObject({ expected: 120, collected: 80, discounts: 10, difference: -30 });
+    expect(report.by_method.cash).toEqual({ count: 1, amount: 60 });
+    expect(report.outstanding.map(b => b.due)).toEqual([30]);
+  });
+
+  test('lists refunds without counting them against the day', () => {
+    const data = {
+      bookings: [
+        booking(1),
+        booking(2, { status: 'cancelled', refund_amount: 50, refunded_at: '2024-06-08T09:00:00Z' })
+      ],
+      payments: [payment(1, '2024-06-08T10:00:00Z'), payment(2, '2024-06-07T10:00:00Z')],
+      ledger: []
+    };
+
+    expect(cashUp('2024-06-08', data, TZ)).toMatchObject({ expected: 60, collected: 60, refunds: 50, difference: 0 });
+  });
+});
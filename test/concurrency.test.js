@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp, minutesFromNow } = require('./helpers');
+
+const PARALLEL = 10;
+
+// Bookings for the same station and window, all sent at once. Exactly one
+// may win, whichever adapter is underneath.
+describe.each([
+  ['memory', () => ({ STORAGE: 'memory' })],
+  ['sqlite', dir => ({ STORAGE: 'sqlite', SQLITE_FILE: path.join(dir, 'bookings.sqlite') })]
+])('parallel bookings on %s', (name, envFor) => {
+  let dir;
+  let ctx;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookings-'));
+    ctx = await startApp(envFor(dir));
+  });
+
+  afterEach(async () => {
+    await ctx.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('only one of the same slot succeeds', async () => {
+    const starts_at = minutesFromNow(60);
+    const responses = await Promise.all(Array.from({ length: PARALLEL }, (_, i) => ctx.api()
+      .post('/api/bookings')
+      .send({ user_name: `Player ${i}`, station_id: 3, starts_at, duration_hours: 1 })));
+
+    const statuses = responses.map(res => res.status).sort();
+    expect(statuses).toEqual([201, ...Array(PARALLEL - 1).fill(409)]);
+    expect(responses.filter(res => res.status === 409).every(res => res.body.code === 'booking_conflict')).toBe(true);
+
+    const stored = await ctx.storage.bookings.list({ station_id: 3, status: 'confirmed' });
+    expect(stored).toHaveLength(1);
+  });
+
+  test('overlapping windows and a group booking race for one winner', async () => {
+    const requests = [
+      ...Array.from({ length: PARALLEL / 2 }, (_, i) => ctx.api()
+        .post('/api/bookings')
+        .send({ user_name: `Player ${i}`, station_id: 4, starts_at: minutesFromNow(60 + i * 10), duration_hours: 1 })),
+      ...Array.from({ length: PARALLEL / 2 }, (_, i) => ctx.api()
+        .post('/api/bookings/group')
+        .send({ user_name: `Team ${i}`, station_ids: [4, 5], starts_at: minutesFromNow(60 + i * 5), duration_hours: 1 }))
+    ];
+    const responses = await Promise.all(requests);
+
+    expect(responses.filter(res => res.status === 201)).toHaveLength(1);
+    expect(responses.filter(res => res.status === 409)).toHaveLength(PARALLEL - 1);
+
+    const stored = await ctx.storage.bookings.list({ station_id: 4, status: 'confirmed' });
+    expect(stored).toHaveLength(1);
+    const codes = new Set((await ctx.storage.bookings.list()).map(b => b.booking_code));
+    expect(codes.size).toBe((await ctx.storage.bookings.list()).length);
+  });
+});
@@ -0,0 +1,84 @@
+const request = require('supertest');
+const { createStorage } = require('../lib/storage');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { createRepositories } = require('../lib/storage/repositories');
+const { createApp } = require('../lib/app');
+
+const OWNER = { username: 'owner', password: 'owner-password' };
+
+const MINUTE_MS = 60 * 1000;
+
+// An instant `minutes` from now, to the whole minute, as an ISO string
+function minutesFromNow(minutes) {
+  const instant = new Date(Date.now() + minutes * MINUTE_MS);
+  instant.setUTCSeconds(0, 0);
+  return instant.toISOString();
+}
+
+// A fresh app over its own storage (memory unless env says otherwise) with
+// the seeded stations and an owner signed in. `auth` holds the owner's
+// Authorization header; close() stops the app and closes storage.
+async function startApp(env = {}) {
+  const storage = createStorage({ STORAGE: 'memory', OWNER_USERNAME: OWNER.username, OWNER_PASSWORD: OWNER.password, ...env });
+  await storage.init();
+  const app = createApp({ storage, env });
+
+  const login = await request(app).post('/api/auth/login').send(OWNER);
+  if (login.status !== 200) throw new Error(`Signing in failed: ${login.text}`);
+
+  return {
+    app,
+    storage,
+    auth: { Authorization: `Bearer ${login.body.token}` },
+    api: () => request(app),
+    async close() {
+      await app.close();
+      await storage.close();
+    }
+  };
+}
+
+// Book `hours` on a station from `startsIn` minutes from now
+function book(ctx, { station_id = 1, startsIn = 60, hours = 1, ...fields } = {}) {
+  return ctx.api()
+    .post('/api/bookings')
+    .set(ctx.auth)
+    .send({ user_name: 'Asha', contact: '98765 43210', station_id, starts_at: minutesFromNow(startsIn), duration_hours: hours, ...fields });
+}
+
+// Repositories over memory tables whose transactions run side by side, as
+// they do on PostgreSQL: reads and writes interleave and only tx.lock(key)
+// keeps two transactions apart. Locks are held until the transaction ends and
+// can be taken again by the transaction holding them. Nothing rolls back.
+function createInterleavedStorage() {
+  const memory = createMemoryStorage();
+  const held = new Map();
+
+  const adapter = {
+    ...memory,
+    name: 'interleaved',
+
+    async transaction(fn) {
+      const mine = new Map();
+      const lock = async key => {
+        if (mine.has(key)) return;
+        while (held.has(key)) await held.get(key);
+        let release;
+        held.set(key, new Promise(resolve => { release = resolve; }));
+        mine.set(key, release);
+      };
+
+      try {
+        return await fn({ table: memory.table, lock });
+      } finally {
+        for (const [key, release] of mine) {
+          held.delete(key);
+          release();
+        }
+      }
+    }
+  };
+  return createRepositories(adapter);
+}
+
+module.exports = { OWNER, minutesFromNow, startApp, book, createInterleavedStorage };
@@ -0,0 +1,110 @@
+const { quotePrice } = require('../lib/pricing');
+const { startApp, book, minutesFromNow } = require('./helpers');
+
+const TZ = 'Asia/Kolkata';
+const CARD = {
+  types: { PC: { hourly: 60, peak_hourly: 120, weekend_hourly: 90 } },
+  peak_hours: [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '23:00' }],
+  weekend_days: [0, 6]
+};
+
+// A Kolkata wall-clock time as an instant; 2024-06-07 is a Friday
+const at = (date, time) => new Date(`${date}T${time}:00+05:30`);
+
+const summary = quote => quote.lines.map(line => `${line.kind} ${line.minutes}`);
+
+describe('quotePrice', () => {
+  test('charges each stretch at its own rate', () => {
+    const quote = quotePrice(CARD, 'PC', at('2024-06-07', '17:00'), at('2024-06-07', '19:00'), TZ);
+    expect(summary(quote)).toEqual(['standard 60', 'peak 60']);
+    expect(quote.total).toBe(180);
+  });
+
+  test('changes rate at local midnight', () => {
+    const quote = quotePrice(CARD, 'PC', at('2024-06-07', '22:00'), at('2024-06-08', '01:00'), TZ);
+    expect(summary(quote)).toEqual(['peak 60', 'standard 60', 'weekend 60']);
+    expect(quote.total).toBe(270);
+  });
+
+  test('follows a peak window past midnight', () => {
+    const card = { ...CARD, peak_hours: [{ days: [5], start: '22:00', end: '02:00' }] };
+    const quote = quotePrice(card, 'PC', at('2024-06-07', '21:00'), at('2024-06-08', '03:00'), TZ);
+    expect(summary(quote)).toEqual(['standard 60', 'peak 240', 'weekend 60']);
+    expect(quote.total).toBe(630);
+  });
+
+  test('charges a minute that starts before a change at the earlier rate', () => {
+    const start = new Date(at('2024-06-07', '17:59').getTime() + 30 * 1000);
+    const quote = quotePrice(CARD, 'PC', start, new Date(start.getTime() + 2 * 60 * 1000), TZ);
+    expect(summary(quote)).toEqual(['standard 1', 'peak 1']);
+  });
+
+  test('prices a whole day in a handful of stretches', () => {
+    const quote = quotePrice(CARD, 'PC', at('2024-06-07', '12:00'), at('2024-06-08', '12:00'), TZ);
+    expect(summary(quote)).toEqual(['standard 360', 'peak 300', 'standard 60', 'weekend 720']);
+    expect(quote.total).toBe(360 + 600 + 60 + 1080);
+  });
+});
+
+describe('maximum booking length', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await startApp();
+  });
+
+  afterEach(async () => {
+    await ctx.close();
+  });
+
+  test('refuses quotes and bookings over 24 hours', async () => {
+    const quote = await ctx.api().get('/api/pricing/quote')
+      .query({ station_id: 1, starts_at: minutesFromNow(60), duration_hours: 2400 });
+    expect(quote.status).toBe(400);
+    expect(quote.body.errors[0]).toMatchObject({ path: 'duration_hours', code: 'too_large' });
+
+    const booking = await ctx.api().post('/api/bookings')
+      .send({ user_name: 'Asha', station_id: 1, starts_at: minutesFromNow(60), ends_at: minutesFromNow(60 + 25 * 60) });
+    expect(booking.status).toBe(400);
+    expect(booking.body.errors[0]).toMatchObject({ path: 'ends_at', code: 'too_large' });
+
+    expect((await book(ctx, { hours: 24 })).status).toBe(201);
+  });
+
+  test('refuses extending past 24 hours in all', async () => {
+    const { booking } = (await book(ctx, { startsIn: -30, hours: 20 })).body;
+    const extend = body => ctx.api().post(`/api/bookings/${booking.id}/extend`).set(ctx.auth).send(body);
+
+    const res = await extend({ minutes: 5 * 60 });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ path: 'minutes', code: 'too_large' });
+    expect((await extend({ minutes: 4 * 60 })).status).toBe(200);
+  });
+});
+
+describe('group quotes', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await startApp();
+  });
+
+  afterEach(async () => {
+    await ctx.close();
+  });
+
+  test('refuse loyalty points, as group bookings do', async () => {
+    const window = { starts_at: minutesFromNow(60), duration_hours: 1 };
+
+    const quote = await ctx.api().get('/api/pricing/quote').query({ station_ids: '1,2', redeem_points: 10, ...window });
+    expect(quote.status).toBe(400);
+    expect(quote.body.errors[0]).toMatchObject({ path: 'redeem_points', code: 'invalid' });
+
+    const booking = await ctx.api().post('/api/bookings/group').set(ctx.auth)
+      .send({ user_name: 'Asha', contact: '98765 43210', station_ids: [1, 2], redeem_points: 10, ...window });
+    expect(booking.status).toBe(400);
+    expect(booking.body.errors).toEqual(quote.body.errors);
+
+    expect((await ctx.api().get('/api/pricing/quote').query({ station_ids: '1,2', ...window })).status).toBe(200);
+  });
+});
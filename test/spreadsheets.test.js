@@ -0,0 +1,60 @@
+const ExcelJS = require('exceljs');
+const { csvField, toCsv } = require('../lib/csv');
+const { readTable } = require('../lib/spreadsheets');
+const { startApp, book } = require('./helpers');
+
+const FORMULA = '=HYPERLINK("http://example.com","Click")';
+
+describe('formula injection', () => {
+  test('CSV fields that would run as formulas open as text', () => {
+    for (const text of ['=1+1', '+91 98765', '-2', '@SUM(A1)', '\tx', '\rx']) {
+      expect(csvField(text).replace(/^"/, '')[0]).toBe("'");
+    }
+    expect(csvField('Asha')).toBe('Asha');
+    expect(csvField(-60)).toBe('-60');
+  });
+
+  test('exports escape them and imports read them back', async () => {
+    const csv = toCsv([{ key: 'name' }], [{ name: FORMULA }]);
+    expect(csv).toContain(`"'=HYPERLINK(""http://example.com"",""Click"")"`);
+    expect((await readTable(Buffer.from(csv)))[0].name).toBe(FORMULA);
+  });
+
+  describe('over the API', () => {
+    let ctx;
+
+    beforeEach(async () => {
+      ctx = await startApp();
+      await book(ctx, { user_name: FORMULA });
+    });
+
+    afterEach(async () => {
+      await ctx.close();
+    });
+
+    const download = format => ctx.api().get('/api/export/bookings').set(ctx.auth).query({ format })
+      .buffer(true).parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+    test('in CSV', async () => {
+      const res = await download('csv');
+      expect(res.status).toBe(200);
+      expect(res.body.toString()).toContain(`"'=HYPERLINK(`);
+    });
+
+    test('in Excel', async () => {
+      const res = await download('xlsx');
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(res.body);
+
+      const cells = [];
+      workbook.worksheets[0].eachRow(row => row.eachCell(cell => cells.push(cell.value)));
+      expect(cells).toContain(`'${FORMULA}`);
+      expect(cells.some(value => value && value.formula)).toBe(false);
+      expect((await readTable(res.body)).map(record => record.user_name)).toContain(FORMULA);
+    });
+  });
+});
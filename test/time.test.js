@@ -0,0 +1,27 @@
+const { getTimeRemaining, minutesRemaining } = require('../lib/time');
+const { resolveBookingWindow } = require('../lib/bookings');
+
+describe('getTimeRemaining', () => {
+  test('counts down in hours and minutes', () => {
+    const now = new Date('2024-06-01T10:00:00Z');
+    expect(getTimeRemaining(now, '2024-06-01T11:05:00Z')).toBe('1h 5m');
+    expect(getTimeRemaining(now, '2024-06-01T10:12:30Z')).toBe('12m');
+  });
+
+  test('runs across midnight', () => {
+    // 23:00-01:00 in Kolkata, checked at 23:30
+    const { starts_at, ends_at } = resolveBookingWindow(
+      { booking_date: '2024-06-01', start_time: '23:00', end_time: '01:00' },
+      'Asia/Kolkata'
+    );
+    expect(new Date(ends_at) - new Date(starts_at)).toBe(2 * 60 * 60 * 1000);
+
+    const halfPast = new Date(new Date(starts_at).getTime() + 30 * 60 * 1000);
+    expect(getTimeRemaining(halfPast, ends_at)).toBe('1h 30m');
+  });
+
+  test('never goes below zero', () => {
+    expect(minutesRemaining(new Date('2024-06-01T10:00:00Z'), '2024-06-01T09:00:00Z')).toBe(0);
+    expect(getTimeRemaining(new Date('2024-06-01T10:00:00Z'), '2024-06-01T09:00:00Z')).toBe('0m');
+  });
+});
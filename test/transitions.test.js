@@ -0,0 +1,103 @@
+const { createInterleavedStorage, minutesFromNow } = require('./helpers');
+const { bookingTimes } = require('../lib/bookings');
+
+// A customer with ₹500 in their wallet
+async function walletCustomer(storage) {
+  const customer = await storage.customers.findOrCreate({ phone: '9876543210', name: 'Asha' });
+  await storage.wallet.topUp(customer.id, 500, { by: 'owner', branchId: 1 });
+  return customer;
+}
+
+// A running one-hour session on a station, paid from the wallet
+const walletItem = (customer, stationId) => ({
+  branch_id: 1,
+  station_id: stationId,
+  user_name: 'Asha',
+  customer_id: customer.id,
+  payment_method: 'wallet',
+  total_price: 60,
+  ...bookingTimes(new Date(minutesFromNow(-30)), new Date(minutesFromNow(30)))
+});
+
+const chargesOf = async (storage, customerId) =>
+  (await storage.wallet.ledger(customerId)).filter(entry => entry.entry_type === 'charge');
+
+// Two counters finishing the same session at once, on storage where
+// transactions interleave unless they lock
+describe('parallel completes', () => {
+  let storage;
+  let stations;
+  let customer;
+
+  beforeEach(async () => {
+    storage = createInterleavedStorage();
+    await storage.init();
+    stations = [];
+    for (const name of ['PC 1', 'PC 2', 'PC 3']) {
+      stations.push(await storage.stations.create({ branch_id: 1, station_name: name, specs: 'PC' }));
+    }
+    customer = await walletCustomer(storage);
+  });
+
+  test('a booking is completed and charged once', async () => {
+    const booking = await storage.bookings.create(walletItem(customer, stations[0].id));
+
+    const results = await Promise.allSettled([
+      storage.bookings.transition(booking.id, 'completed', { by: 'owner' }),
+      storage.bookings.transition(booking.id, 'completed', { by: 'staff' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('invalid_transition');
+
+    expect(await chargesOf(storage, customer.id)).toHaveLength(1);
+    expect(await storage.payments.list({ booking_id: booking.id })).toHaveLength(1);
+    expect((await storage.customers.get(customer.id)).wallet_balance).toBe(440);
+  });
+
+  test('a group is completed and charged once, alongside a member completed on its own', async () => {
+    const group = await storage.bookings.createGroup(stations.map(station => walletItem(customer, station.id)));
+    const groupCode = group[0].group_code;
+
+    const results = await Promise.allSettled([
+      storage.bookings.transitionGroup(groupCode, 'completed', { by: 'owner' }),
+      storage.bookings.transitionGroup(groupCode, 'completed', { by: 'staff' }),
+      storage.bookings.transition(group[1].id, 'completed', { by: 'staff' })
+    ]);
+
+    expect(results[0].status === 'fulfilled' || results[1].status === 'fulfilled').toBe(true);
+    const charges = await chargesOf(storage, customer.id);
+    expect(charges.map(entry => entry.booking_id).sort()).toEqual(group.map(booking => booking.id).sort());
+    expect((await storage.customers.get(customer.id)).wallet_balance).toBe(320);
+  });
+
+  test('an extension either lands before the charge or is refused', async () => {
+    const booking = await storage.bookings.create(walletItem(customer, stations[0].id));
+    const longer = bookingTimes(new Date(booking.starts_at), new Date(minutesFromNow(90)));
+
+    const results = await Promise.allSettled([
+      storage.bookings.changeWindow(booking.id, { ...longer, total_price: 120 }, booking.ends_at),
+      storage.bookings.transition(booking.id, 'completed', { by: 'owner' })
+    ]);
+
+    expect(results[1].status).toBe('fulfilled');
+    const done = await storage.bookings.get(booking.id);
+    expect(done.status).toBe('completed');
+    expect(done.amount_paid).toBe(done.total_price);
+    expect((await storage.customers.get(customer.id)).wallet_balance).toBe(500 - done.total_price);
+  });
+
+  test('a refund is recorded once', async () => {
+    const booking = await storage.bookings.create({ ...walletItem(customer, stations[0].id), payment_method: null });
+    await storage.bookings.recordPayment(booking.id, { method: 'cash', amount: 60, discount: 0, note: '' }, { by: 'owner' });
+    await storage.bookings.transition(booking.id, 'cancelled', { by: 'owner' });
+
+    const results = await Promise.allSettled([
+      storage.bookings.refund(booking.id, { amount: 60, reason: 'Rained off' }),
+      storage.bookings.refund(booking.id, { amount: 30, reason: 'Goodwill' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('not_refundable');
+  });
+});
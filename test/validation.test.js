@@ -0,0 +1,54 @@
+const { startApp, book } = require('./helpers');
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startApp();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+const put = (path, body) => ctx.api().put(path).set(ctx.auth).send(body);
+
+describe('settings with a broken list entry', () => {
+  test.each([
+    ['peak_hours', { peak_hours: [null] }],
+    ['bundles', { bundles: [null] }],
+    ['group_discounts', { group_discounts: ['10%'] }],
+    ['peak_hours', { peak_hours: 'evenings' }]
+  ])('rate card %s is a 400', async (key, fields) => {
+    const res = await put('/api/pricing/rate-card', { types: { PC: { hourly: 60 } }, ...fields });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].path).toMatch(new RegExp(`^${key}`));
+  });
+
+  test.each([
+    ['opening_hours', { opening_hours: [null] }],
+    ['closures', { closures: [null] }],
+    ['closures', { closures: [[]] }]
+  ])('schedule %s is a 400', async (key, schedule) => {
+    const res = await put('/api/schedule', schedule);
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].path).toBe(`${key}[0]`);
+  });
+});
+
+describe('POST /api/waitlist/:id/leave', () => {
+  test('takes no body', async () => {
+    // Every PS5 is busy, so the walk-in waits
+    for (const station_id of [6, 7, 8]) await book(ctx, { station_id, startsIn: -10 });
+    const join = await ctx.api().post('/api/waitlist').send({ user_name: 'Asha', station_type: 'PS5' });
+    expect(join.status).toBe(201);
+    const leave = body => ctx.api().post(`/api/waitlist/${join.body.entry.id}/leave`).set(ctx.auth).send(body);
+
+    const res = await leave({ status: 'seated' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('validation_failed');
+
+    const left = await leave();
+    expect(left.status).toBe(200);
+    expect(left.body.entry.status).toBe('left');
+  });
+});
@@ -0,0 +1,65 @@
+const { startApp, book } = require('./helpers');
+const { createStorage } = require('../lib/storage');
+const { seatWaiting } = require('../lib/waitlist');
+
+describe('GET /api/waitlist/:id', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await startApp();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await ctx.close();
+  });
+
+  test('is a 404 for an entry that left the queue while being read', async () => {
+    // Every PS5 is busy, so the walk-in waits
+    for (const station_id of [6, 7, 8]) await book(ctx, { station_id, startsIn: -10 });
+    const join = await ctx.api().post('/api/waitlist').send({ user_name: 'Asha', station_type: 'PS5' });
+    expect(join.status).toBe(201);
+
+    // The queue is read after the entry, by which time it has gone
+    jest.spyOn(ctx.storage.waitlist, 'list').mockResolvedValue([]);
+
+    const res = await ctx.api().get(`/api/waitlist/${join.body.entry.id}`);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('seatWaiting', () => {
+  let storage;
+  let entry;
+
+  beforeEach(async () => {
+    storage = createStorage({ STORAGE: 'memory', OWNER_USERNAME: 'owner', OWNER_PASSWORD: 'owner-password' });
+    await storage.init();
+    entry = await storage.waitlist.create({ user_name: 'Asha', branch_id: 1, station_type: 'PS5', duration_hours: 1 });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await storage.close();
+  });
+
+  test('gives the station back when the walk-in was taken off the queue meanwhile', async () => {
+    const leaveQueue = storage.waitlist.leaveQueue;
+    jest.spyOn(storage.waitlist, 'leaveQueue').mockImplementationOnce(async (id, status, changes) => {
+      await leaveQueue(id, 'left', { by: 'staff' });
+      return leaveQueue(id, status, changes);
+    });
+
+    expect(await seatWaiting(storage)).toEqual([]);
+
+    const [booking] = await storage.bookings.list();
+    expect(booking).toMatchObject({ status: 'cancelled', cancellation_reason: 'Walk-in left the queue' });
+    expect((await storage.waitlist.get(entry.id)).status).toBe('left');
+  });
+
+  test('passes on other failures', async () => {
+    jest.spyOn(storage.waitlist, 'leaveQueue').mockRejectedValueOnce(new Error('Storage is down'));
+
+    await expect(seatWaiting(storage)).rejects.toThrow('Storage is down');
+  });
+});
@@ -0,0 +1,46 @@
+const { startApp } = require('./helpers');
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startApp();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+const HOURS_PACK = { name: '5 PC hours', kind: 'hours', station_type: 'PC', hours: 5, price: 250 };
+
+describe('POST /api/packages', () => {
+  test('adds a package on sale', async () => {
+    const res = await ctx.api().post('/api/packages').set(ctx.auth).send(HOURS_PACK);
+    expect(res.status).toBe(201);
+    expect(res.body.package).toMatchObject({ name: '5 PC hours', active: true });
+  });
+
+  test('can add a package not yet on sale', async () => {
+    const res = await ctx.api().post('/api/packages').set(ctx.auth).send({ ...HOURS_PACK, active: false });
+    expect(res.status).toBe(201);
+    expect(res.body.package.active).toBe(false);
+    expect((await ctx.api().get('/api/packages')).body).toEqual([]);
+  });
+});
+
+describe('wallet', () => {
+  test('records top-ups and package sales in the ledger', async () => {
+    const customer = await ctx.storage.customers.findOrCreate({ phone: '9876543210', name: 'Asha' });
+    const pkg = (await ctx.api().post('/api/packages').set(ctx.auth).send(HOURS_PACK)).body.package;
+
+    const topUp = await ctx.api().post(`/api/customers/${customer.id}/wallet/top-up`).set(ctx.auth).send({ amount: 500 });
+    expect(topUp.status).toBe(201);
+    expect(topUp.body.entry).toMatchObject({ entry_type: 'top_up', amount: 500, balance_after: 500 });
+
+    const sale = await ctx.api().post(`/api/customers/${customer.id}/wallet/purchase`).set(ctx.auth).send({ package_id: pkg.id });
+    expect(sale.status).toBe(201);
+
+    const wallet = await ctx.api().get(`/api/customers/${customer.id}/wallet`).set(ctx.auth);
+    expect(wallet.body.ledger).toHaveLength(2);
+    expect(wallet.body.memberships[0]).toMatchObject({ hours_remaining: 5 });
+  });
+});